@@ -3,13 +3,24 @@ import bodyParser from 'body-parser';
 
 import { initBrowser, shutdownBrowser } from './src/browser/browser.js';
 import apiRoutes from './src/api/routes.js';
+import adminRoutes from './src/api/admin.js';
+import ollamaRoutes from './src/api/ollama.js';
+import geminiRoutes from './src/api/gemini.js';
+import metricsRoutes from './src/api/metricsRoutes.js';
 import { getAvailableModelsFromFile, getApiKeys } from './src/api/chat.js';
-import { loadTokens } from './src/api/tokenManager.js';
+import { loadTokens, isTokenUsable, formatExpiresIn } from './src/api/tokenManager.js';
+import { startTokenRefresh, stopTokenRefresh } from './src/api/tokenRefresh.js';
+import { initSessionStore, closeSessionStore } from './src/api/sessionStore.js';
+import { flushApiKeyUsage } from './src/api/apiKeys.js';
+import { flushUsageStats } from './src/api/usageStats.js';
+import { httpMetrics } from './src/api/metrics.js';
 import { addAccountInteractive } from './src/utils/accountSetup.js';
+import { importAccountsFromEnv } from './src/utils/accountImport.js';
 import { logHttpRequest, logInfo, logError, logWarn } from './src/logger/index.js';
+import { requestIdMiddleware } from './src/logger/requestContext.js';
 import { prompt } from './src/utils/prompt.js';
 import { FORGETMEAI_WATERMARK } from './src/utils/branding.js';
-import { PORT, HOST } from './src/config.js';
+import { PORT, HOST, QWEN_TOKENS } from './src/config.js';
 
 const app = express();
 
@@ -34,7 +45,7 @@ function ensureNonInteractiveTokens() {
         process.exit(1);
     }
     const now = Date.now();
-    const validTokens = tokens.filter(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid);
+    const validTokens = tokens.filter(t => isTokenUsable(t, now));
     if (!validTokens.length) {
         logError('Все аккаунты недоступны. Перезапустите авторизацию перед запуском сервера.');
         process.exit(1);
@@ -42,7 +53,10 @@ function ensureNonInteractiveTokens() {
     logInfo(`Автоматический запуск: обнаружено ${tokens.length} аккаунтов, из них ${validTokens.length} активны.`);
 }
 
+// X-Request-Id и контекст запроса для логов — раньше всех остальных middleware
+app.use(requestIdMiddleware);
 app.use(logHttpRequest);
+app.use(httpMetrics);
 app.use(bodyParser.json({ limit: '150mb' }));
 app.use(bodyParser.urlencoded({ limit: '150mb', extended: true }));
 
@@ -62,13 +76,20 @@ app.use((err, req, res, next) => {
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Api-Key, Anthropic-Version, X-Goog-Api-Key, X-Admin-Key, X-Request-Id');
+    res.header('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
 
+// Метрики Prometheus: GET /metrics (METRICS_API_KEY, ключ админ-API или ключи прокси, см. metricsRoutes.js)
+app.use(metricsRoutes);
+// Админ-API со своим ключом (ADMIN_API_KEY) — до общего /api с ключами прокси
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
+app.use('/ollama', ollamaRoutes);
+app.use('/v1beta', geminiRoutes);
 
 app.use((req, res) => {
     logWarn(`404 Not Found: ${req.method} ${req.originalUrl}`);
@@ -90,6 +111,10 @@ process.on('uncaughtException', async (error) => {
 
 async function handleShutdown() {
     logInfo('\nПолучен сигнал завершения. Закрываем браузер...');
+    closeSessionStore();
+    flushApiKeyUsage();
+    flushUsageStats();
+    stopTokenRefresh();
     await shutdownBrowser();
     logInfo('Завершение работы.');
     process.exit(0);
@@ -109,6 +134,8 @@ async function startServer() {
 
     logInfo('Запуск сервера...');
 
+    if (QWEN_TOKENS) await importAccountsFromEnv(QWEN_TOKENS);
+
     if (!skipAccountMenu) {
         while (true) {
             const tokens = loadTokens();
@@ -122,7 +149,10 @@ async function startServer() {
                     const isWaiting = Boolean(token.resetAt && new Date(token.resetAt).getTime() > now);
                     const statusLabel = isInvalid ? '❌ Недействителен' : isWaiting ? '⏳ Ожидание сброса' : '✅ OK';
                     const statusCode = isInvalid ? 0 : isWaiting ? 1 : 2;
-                    console.log(`${String(i + 1).padStart(2, ' ')} | ${token.id} | ${statusLabel} (${statusCode})`);
+                    const label = token.label ? ` (${token.label})` : '';
+                    const expiresIn = formatExpiresIn(token, now);
+                    const expiry = expiresIn ? ` | истекает через: ${expiresIn}` : '';
+                    console.log(`${String(i + 1).padStart(2, ' ')} | ${token.id}${label} | ${statusLabel} (${statusCode})${expiry}`);
                 });
             }
             console.log('\n=== Меню ===');
@@ -141,11 +171,7 @@ async function startServer() {
                 const { reloginAccountInteractive } = await import('./src/utils/accountSetup.js');
                 await reloginAccountInteractive();
             } else if (choice === '3') {
-                const hasValidToken = tokens.some(t => {
-                    if (t.invalid) return false;
-                    if (!t.resetAt) return true;
-                    return new Date(t.resetAt).getTime() <= Date.now();
-                });
+                const hasValidToken = tokens.some(t => isTokenUsable(t));
                 if (!tokens.length || !hasValidToken) {
                     console.log('Нужен хотя бы один валидный аккаунт для запуска.');
                     continue;
@@ -160,12 +186,16 @@ async function startServer() {
         ensureNonInteractiveTokens();
     }
 
+    await initSessionStore();
+
     const browserInitialized = await initBrowser(false);
     if (!browserInitialized) {
         logError('Не удалось инициализировать браузер. Завершение работы.');
         process.exit(1);
     }
 
+    startTokenRefresh();
+
     try {
         app.listen(port, host, () => {
             const displayHost = host === '0.0.0.0' ? 'localhost' : host;
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+import {
+    listApiKeys, getApiKeyById, createApiKey, updateApiKey, deleteApiKey, resetApiKeyUsage,
+    parseApiKeyFields, describeApiKey, API_KEY_SCOPES
+} from '../src/api/apiKeys.js';
+
+function printDivider() {
+    console.log('======================================================');
+}
+
+function readOption(argv, name) {
+    const index = argv.indexOf(name);
+    return index !== -1 && index + 1 < argv.length ? argv[index + 1] : undefined;
+}
+
+// Опции CLI -> поля ключа для parseApiKeyFields
+const FIELD_OPTIONS = {
+    '--name': 'name',
+    '--owner': 'owner',
+    '--scopes': 'scopes',
+    '--models': 'models',
+    '--rpm': 'rpm',
+    '--daily-requests': 'dailyRequests',
+    '--daily-chars': 'dailyChars',
+    '--expires': 'expiresAt'
+};
+
+function readFields(argv) {
+    const input = {};
+    for (const [option, field] of Object.entries(FIELD_OPTIONS)) {
+        const value = readOption(argv, option);
+        if (value !== undefined) input[field] = value;
+    }
+    if (argv.includes('--disable')) input.disabled = true;
+    if (argv.includes('--enable')) input.disabled = false;
+    return parseApiKeyFields(input);
+}
+
+function formatLimit(value, unit) {
+    return value ? `${value} ${unit}` : '∞';
+}
+
+function printKey(record) {
+    const key = describeApiKey(record);
+    const title = [key.name, key.owner && `владелец: ${key.owner}`].filter(Boolean).join(', ');
+    console.log(`${key.id} | ${key.prefix}… | ${key.status}${title ? ` | ${title}` : ''}`);
+    console.log(`    области: ${key.scopes.join(', ')} | модели: ${key.models.length > 0 ? key.models.join(', ') : 'все'}`);
+    console.log(`    лимиты: ${formatLimit(key.rpm, 'в мин')}, ${formatLimit(key.dailyRequests, 'запросов/сутки')}, ${formatLimit(key.dailyChars, 'символов/сутки')}${key.expiresAt ? ` | до ${key.expiresAt}` : ''}`);
+    console.log(`    использовано: сегодня ${key.usage.dayRequests} запросов / ${key.usage.dayChars} символов, всего ${key.usage.requests} / ${key.usage.chars}${key.usage.lastUsedAt ? ` | последний запрос ${key.usage.lastUsedAt}` : ''}`);
+}
+
+function printHelp() {
+    printDivider();
+    console.log('Управление API-ключами прокси (session/api-keys.json)');
+    printDivider();
+    console.log('Опции:');
+    console.log('  --list                      Показать ключи, лимиты и использование');
+    console.log('  --create [поля]             Создать ключ (значение показывается один раз)');
+    console.log('  --update <id> [поля]        Изменить ключ; --disable / --enable — отключить / включить');
+    console.log('  --reset-usage <id>          Обнулить счётчики использования');
+    console.log('  --revoke <id>               Удалить ключ');
+    console.log('Поля:');
+    console.log('  --name <имя> --owner <владелец>');
+    console.log(`  --scopes <области через запятую: ${API_KEY_SCOPES.join(', ')}>`);
+    console.log('  --models <модели через запятую, "qwen3*" — по префиксу>');
+    console.log('  --rpm <N> --daily-requests <N> --daily-chars <N>   (0 — без ограничения)');
+    console.log('  --expires <дата ISO 8601>   (пустая строка — бессрочно)');
+    console.log('Ключи из src/Authorization.txt продолжают работать без ограничений.');
+    printDivider();
+}
+
+function requireKey(argv, option) {
+    const id = readOption(argv, option);
+    if (!id || !getApiKeyById(id)) {
+        console.log(id ? `API-ключ ${id} не найден.` : `Укажите id ключа после ${option}.`);
+        process.exitCode = 1;
+        return null;
+    }
+    return id;
+}
+
+function run(argv) {
+    if (argv.includes('--create')) {
+        const parsed = readFields(argv);
+        if (parsed.error) {
+            console.log(parsed.error);
+            process.exitCode = 1;
+            return;
+        }
+        const { key, record } = createApiKey(parsed.fields);
+        printKey(record);
+        console.log(`\nКлюч: ${key}`);
+        console.log('Сохраните его сейчас — повторно показать ключ нельзя.');
+        return;
+    }
+
+    if (argv.includes('--update')) {
+        const id = requireKey(argv, '--update');
+        if (!id) return;
+        const parsed = readFields(argv);
+        if (parsed.error || Object.keys(parsed.fields).length === 0) {
+            console.log(parsed.error || 'Укажите хотя бы одно поле для изменения.');
+            process.exitCode = 1;
+            return;
+        }
+        printKey(updateApiKey(id, parsed.fields));
+        return;
+    }
+
+    if (argv.includes('--reset-usage')) {
+        const id = requireKey(argv, '--reset-usage');
+        if (id) printKey(resetApiKeyUsage(id));
+        return;
+    }
+
+    if (argv.includes('--revoke')) {
+        const id = requireKey(argv, '--revoke');
+        if (id && deleteApiKey(id)) console.log(`API-ключ ${id} удалён.`);
+        return;
+    }
+
+    if (argv.includes('--list')) {
+        const keys = listApiKeys();
+        console.log(`\nAPI-ключей: ${keys.length}`);
+        keys.forEach(printKey);
+        return;
+    }
+
+    printHelp();
+}
+
+run(process.argv.slice(2));
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
-import { loadTokens } from '../src/api/tokenManager.js';
+import fs from 'fs';
+import { loadTokens, formatExpiresIn } from '../src/api/tokenManager.js';
+import { importAccount, parseAccountList } from '../src/utils/accountImport.js';
 import { addAccountInteractive, reloginAccountInteractive, removeAccountInteractive } from '../src/utils/accountSetup.js';
 import { formatForgetMeAiWatermark } from '../src/utils/branding.js';
 import { prompt } from '../src/utils/prompt.js';
@@ -17,6 +19,9 @@ const STATUS_CODES = {
 
 function formatStatus(token) {
     const now = Date.now();
+    if (token.disabled) {
+        return { code: STATUS_CODES.INVALID, label: '⛔ Отключён' };
+    }
     if (token.invalid) {
         return { code: STATUS_CODES.INVALID, label: '❌ Недействителен' };
     }
@@ -35,7 +40,10 @@ function printAccounts(tokens) {
 
     tokens.forEach((token, index) => {
         const status = formatStatus(token);
-        console.log(`${String(index + 1).padStart(2, ' ')} | ${token.id} | ${status.label} (${status.code})`);
+        const label = token.label ? ` (${token.label})` : '';
+        const expiresIn = formatExpiresIn(token);
+        const expiry = expiresIn ? ` | истекает через: ${expiresIn}` : '';
+        console.log(`${String(index + 1).padStart(2, ' ')} | ${token.id}${label} | ${status.label} (${status.code})${expiry}`);
     });
 }
 
@@ -46,9 +54,15 @@ function handleList(tokens) {
     console.log(`\nАктивных аккаунтов: ${active.length} из ${tokens.length}`);
 }
 
+function readOption(argv, name) {
+    const index = argv.indexOf(name);
+    return index !== -1 && index + 1 < argv.length ? argv[index + 1] : undefined;
+}
+
 function parseArgs(argv) {
     const args = new Set(argv.slice(2));
     if (args.has('--help') || args.has('-h')) return 'help';
+    if (args.has('--import')) return 'import';
     if (args.has('--list')) return 'list';
     if (args.has('--add')) return 'add';
     if (args.has('--relogin')) return 'relogin';
@@ -66,16 +80,77 @@ function printHelp() {
     console.log('  --add       Добавить новый аккаунт');
     console.log('  --relogin   Перелогинить аккаунт с истекшим токеном');
     console.log('  --remove    Удалить аккаунт');
+    console.log('  --import <токен|@файл> [--id <id>] [--label <метка>] [--note <заметка>] [--no-test]');
+    console.log('              Добавить аккаунт без браузера: JWT-токен, строка Cookie или файл');
+    console.log('              с выгрузкой cookie (JSON) / списком токенов, по одному на строку');
     console.log('Без опций запускается интерактивное меню.');
     printDivider();
 }
 
+/**
+ * Неинтерактивный импорт: один токен из аргумента или список аккаунтов из файла (@path).
+ */
+async function handleImport(argv) {
+    const source = readOption(argv, '--import');
+    if (!source) {
+        console.log('Укажите токен или @файл после --import.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const options = {
+        id: readOption(argv, '--id'),
+        label: readOption(argv, '--label'),
+        note: readOption(argv, '--note'),
+        test: !argv.includes('--no-test')
+    };
+    let entries;
+    try {
+        entries = source.startsWith('@')
+            ? parseAccountList(fs.readFileSync(source.slice(1), 'utf8'))
+            : [{ input: source }];
+    } catch (error) {
+        console.log(`Не удалось прочитать ${source}: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    if (entries.length > 1 && options.id) {
+        console.log('--id можно указать только при импорте одного аккаунта.');
+        process.exitCode = 1;
+        return;
+    }
+
+    let failed = 0;
+    for (const entry of entries) {
+        const result = await importAccount({
+            ...entry,
+            id: entry.id || options.id,
+            label: entry.label || options.label,
+            note: entry.note || options.note,
+            test: options.test
+        });
+        if (result.error) {
+            failed++;
+            console.log(`❌ ${entry.label || entry.id || 'Аккаунт'}: ${result.error}`);
+        } else {
+            const test = result.test ? ` (проверка: ${result.test})` : '';
+            console.log(`✅ Добавлен аккаунт ${result.account.id}${test}`);
+        }
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
 async function runCliAction(action) {
     if (action === 'help') {
         printHelp();
         return;
     }
 
+    if (action === 'import') {
+        await handleImport(process.argv);
+        return;
+    }
+
     if (action === 'list') {
         const tokens = loadTokens();
         handleList(tokens);
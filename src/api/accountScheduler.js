@@ -0,0 +1,233 @@
+// accountScheduler.js — Выбор аккаунта Qwen для запроса с учётом нагрузки.
+// Для каждого аккаунта считаются запросы «в работе» и запуски за последнюю минуту; лимиты —
+// ACCOUNT_MAX_CONCURRENCY / ACCOUNT_MAX_RPM или поля maxConcurrency / maxRpm в tokens.json.
+// Свободные аккаунты выбираются по весу (weight), аккаунты с полем models закреплены за этими
+// моделями. Если все подходящие аккаунты заняты, запрос ждёт в очереди (FIFO), а не уходит
+// на уже перегруженный аккаунт.
+
+import { getTokensSnapshot, isTokenUsable } from './tokenManager.js';
+import { logInfo, logWarn, logDebug } from '../logger/index.js';
+import { ACCOUNT_MAX_CONCURRENCY, ACCOUNT_MAX_RPM, ACCOUNT_QUEUE_TIMEOUT } from '../config.js';
+
+const RPM_WINDOW_MS = 60_000;
+// Как часто очередь перепроверяет аккаунты: сброс лимита, разблокировка через админ-API и т.п.
+const QUEUE_POLL_MS = 1_000;
+
+const usage = new Map(); // id аккаунта -> { inFlight, starts: [мс], currentWeight }
+const waiters = []; // { model, accountId, resolve, timer, onAbort, signal, enqueuedAt }
+let pollTimer = null;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function getUsage(id) {
+    if (!usage.has(id)) usage.set(id, { inFlight: 0, starts: [], currentWeight: 0 });
+    return usage.get(id);
+}
+
+function pruneStarts(entry, now) {
+    while (entry.starts.length > 0 && now - entry.starts[0] >= RPM_WINDOW_MS) entry.starts.shift();
+}
+
+function accountLimit(account, field, fallback) {
+    const value = Number(account[field]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function accountWeight(account) {
+    const weight = Number(account.weight);
+    return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+function reservedModels(account) {
+    return Array.isArray(account.models) ? account.models.map(model => String(model).toLowerCase()) : [];
+}
+
+/**
+ * Аккаунт без models обслуживает любые модели; с models — только перечисленные.
+ */
+function servesModel(account, model) {
+    const models = reservedModels(account);
+    return models.length === 0 || (Boolean(model) && models.includes(String(model).toLowerCase()));
+}
+
+function hasCapacity(account, now) {
+    const entry = getUsage(account.id);
+    pruneStarts(entry, now);
+    const maxConcurrency = accountLimit(account, 'maxConcurrency', ACCOUNT_MAX_CONCURRENCY);
+    const maxRpm = accountLimit(account, 'maxRpm', ACCOUNT_MAX_RPM);
+    return (maxConcurrency === 0 || entry.inFlight < maxConcurrency) && (maxRpm === 0 || entry.starts.length < maxRpm);
+}
+
+/**
+ * Аккаунты, которые в принципе могут обслужить запрос (без учёта текущей загрузки).
+ * Закреплённые за моделью идут первыми: общие аккаунты используются, когда они заняты.
+ */
+function eligibleAccounts({ model, accountId }, now) {
+    const accounts = getTokensSnapshot().filter(account => isTokenUsable(account, now));
+    if (accountId) return accounts.filter(account => account.id === accountId);
+    const matching = accounts.filter(account => servesModel(account, model));
+    const reserved = matching.filter(account => reservedModels(account).length > 0);
+    return reserved.length > 0 ? [reserved, matching.filter(account => !reserved.includes(account))] : [matching];
+}
+
+/**
+ * Выбор среди свободных аккаунтов: наименьшая загрузка относительно веса, при равной —
+ * плавный взвешенный round-robin (как в nginx), чтобы доли запросов соответствовали весам.
+ */
+function pickByWeight(candidates) {
+    const load = account => getUsage(account.id).inFlight / accountWeight(account);
+    const minLoad = Math.min(...candidates.map(load));
+    const pool = candidates.filter(account => load(account) === minLoad);
+
+    let best = null;
+    let totalWeight = 0;
+    for (const account of pool) {
+        const entry = getUsage(account.id);
+        entry.currentWeight += accountWeight(account);
+        totalWeight += accountWeight(account);
+        if (!best || entry.currentWeight > getUsage(best.id).currentWeight) best = account;
+    }
+    getUsage(best.id).currentWeight -= totalWeight;
+    return best;
+}
+
+/**
+ * Свободный аккаунт для запроса; null — все подходящие заняты; undefined — подходящих нет вовсе.
+ */
+function findFreeAccount(request, now = Date.now()) {
+    const tiers = request.accountId ? [eligibleAccounts(request, now)] : eligibleAccounts(request, now);
+    if (tiers.every(tier => tier.length === 0)) return undefined;
+    for (const tier of tiers) {
+        const free = tier.filter(account => hasCapacity(account, now));
+        if (free.length > 0) return pickByWeight(free);
+    }
+    return null;
+}
+
+function createLease(account) {
+    const entry = getUsage(account.id);
+    entry.inFlight++;
+    entry.starts.push(Date.now());
+    let released = false;
+    return {
+        account,
+        release() {
+            if (released) return;
+            released = true;
+            entry.inFlight = Math.max(0, entry.inFlight - 1);
+            drainQueue();
+        }
+    };
+}
+
+function removeWaiter(waiter) {
+    const index = waiters.indexOf(waiter);
+    if (index !== -1) waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    if (waiters.length === 0 && pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+function drainQueue() {
+    const now = Date.now();
+    for (const waiter of [...waiters]) {
+        const account = findFreeAccount(waiter, now);
+        if (account === null) continue;
+        removeWaiter(waiter);
+        if (account === undefined) {
+            waiter.resolve(waiter.accountId
+                ? { error: `Аккаунт ${waiter.accountId} стал недоступен`, busy: true }
+                : null);
+            continue;
+        }
+        logDebug(`Планировщик: аккаунт ${account.id} выдан после ${now - waiter.enqueuedAt} мс ожидания`);
+        waiter.resolve(createLease(account));
+    }
+}
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Занимает аккаунт под запрос. model — для закреплённых аккаунтов; accountId — конкретный аккаунт
+ * (владелец чата), его и ждём. Возвращает { account, release() } — release обязателен по завершении;
+ * null, если подходящих аккаунтов нет (залимичены, отключены); { error, busy: true } — не дождались
+ * свободного аккаунта за ACCOUNT_QUEUE_TIMEOUT; { error, aborted: true } — клиент отменил запрос.
+ */
+export function acquireAccount({ model = null, accountId = null, signal = null } = {}) {
+    const request = { model, accountId };
+    // Сначала обслуживаем тех, кто уже ждёт: после этого свободные аккаунты ожидающим не подходят,
+    // и новый запрос не обгоняет очередь
+    if (waiters.length > 0) drainQueue();
+    const account = findFreeAccount(request);
+    if (account === undefined) return Promise.resolve(null);
+    if (account) return Promise.resolve(createLease(account));
+    if (signal?.aborted) return Promise.resolve({ error: 'Запрос отменён клиентом', aborted: true });
+
+    logInfo(`Все подходящие аккаунты заняты${accountId ? ` (ожидаем ${accountId})` : ''}, запрос в очереди: ${waiters.length + 1}`);
+    return new Promise(resolve => {
+        const waiter = { ...request, resolve, signal, enqueuedAt: Date.now() };
+        waiter.timer = setTimeout(() => {
+            removeWaiter(waiter);
+            logWarn(`Запрос не дождался свободного аккаунта за ${ACCOUNT_QUEUE_TIMEOUT} мс`);
+            resolve({ error: 'Все аккаунты заняты, попробуйте позже', busy: true });
+        }, ACCOUNT_QUEUE_TIMEOUT);
+        waiter.onAbort = () => {
+            removeWaiter(waiter);
+            resolve({ error: 'Запрос отменён клиентом', aborted: true });
+        };
+        signal?.addEventListener('abort', waiter.onAbort, { once: true });
+        waiters.push(waiter);
+        if (!pollTimer) {
+            pollTimer = setInterval(drainQueue, QUEUE_POLL_MS);
+            pollTimer.unref();
+        }
+    });
+}
+
+/**
+ * Аккаунт для коротких служебных запросов (создание чата, STS-токен загрузки) — без занятия слота,
+ * но с тем же выбором по нагрузке и весам. null, если подходящих аккаунтов нет.
+ */
+export function pickAccount(model = null) {
+    const now = Date.now();
+    const tiers = eligibleAccounts({ model }, now);
+    for (const tier of tiers) {
+        const free = tier.filter(account => hasCapacity(account, now));
+        if (free.length > 0) return pickByWeight(free);
+    }
+    const all = tiers.flat();
+    return all.length > 0 ? pickByWeight(all) : null;
+}
+
+/**
+ * Сколько запросов доступные аккаунты могут обслуживать одновременно (сумма maxConcurrency).
+ * Infinity — у какого-то аккаунта нет ограничения; 0 — доступных аккаунтов нет.
+ */
+export function getSchedulerCapacity(now = Date.now()) {
+    return getTokensSnapshot()
+        .filter(account => isTokenUsable(account, now))
+        .reduce((sum, account) => {
+            const limit = accountLimit(account, 'maxConcurrency', ACCOUNT_MAX_CONCURRENCY);
+            return sum + (limit === 0 ? Infinity : limit);
+        }, 0);
+}
+
+/**
+ * Текущая загрузка: по аккаунтам и размер очереди.
+ */
+export function getSchedulerStats() {
+    const now = Date.now();
+    const accounts = {};
+    for (const [id, entry] of usage) {
+        pruneStarts(entry, now);
+        accounts[id] = { inFlight: entry.inFlight, requestsLastMinute: entry.starts.length };
+    }
+    return {
+        inFlight: Object.values(accounts).reduce((sum, account) => sum + account.inFlight, 0),
+        queued: waiters.length,
+        accounts
+    };
+}
@@ -0,0 +1,221 @@
+// admin.js — Админ-API управления пулом аккаунтов (/api/admin/*) для headless-запуска.
+// Замена интерактивных меню index.js и accountSetup.js: список, добавление по токену или cookie,
+// метки, удаление, проверка, сброс лимитов и отключение; API-ключи прокси — в adminKeys.js;
+// расход токенов по ключам и аккаунтам — /api/admin/usage.
+// Доступ — по ADMIN_API_KEY или управляемому ключу с областью admin.
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { adminAuthMiddleware } from './authMiddleware.js';
+import { testToken } from './chat.js';
+import { listTokens, removeToken, markValid, markInvalid, markRateLimited, setDisabled, updateTokenMeta, isTokenUsable, getTokenStatus, getTokenExpiresAt } from './tokenManager.js';
+import { importAccount } from '../utils/accountImport.js';
+import { getSchedulerStats } from './accountScheduler.js';
+import adminKeysRouter from './adminKeys.js';
+import { getUsageStats, resetUsageStats } from './usageStats.js';
+import { getTokenCounterMode } from './tokenCounter.js';
+import { logInfo, logError } from '../logger/index.js';
+import { SESSION_DIR, ACCOUNTS_DIR } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNTS_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR);
+
+const router = express.Router();
+
+router.use(adminAuthMiddleware);
+// API-ключи прокси: /api/admin/keys
+router.use(adminKeysRouter);
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Описание аккаунта для ответа API: сам токен не отдаётся, только его края.
+ */
+function describeAccount(token, now = Date.now(), stats = getSchedulerStats()) {
+    const value = String(token.token || '');
+    const expiresAt = getTokenExpiresAt(token);
+    const load = stats.accounts[token.id];
+    return {
+        id: token.id,
+        label: token.label || null,
+        note: token.note || null,
+        status: getTokenStatus(token, now),
+        usable: isTokenUsable(token, now),
+        resetAt: token.resetAt || null,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        invalid: Boolean(token.invalid),
+        disabled: Boolean(token.disabled),
+        weight: token.weight ?? 1,
+        maxConcurrency: token.maxConcurrency ?? null,
+        maxRpm: token.maxRpm ?? null,
+        models: token.models || [],
+        inFlight: load?.inFlight || 0,
+        requestsLastMinute: load?.requestsLastMinute || 0,
+        tokenPreview: value.length > 12 ? `${value.slice(0, 6)}…${value.slice(-4)}` : '***'
+    };
+}
+
+function findAccount(id) {
+    return listTokens().find(t => t.id === id) || null;
+}
+
+function accountNotFound(res, id) {
+    return res.status(404).json({ error: `Аккаунт ${id} не найден` });
+}
+
+/**
+ * Проверяет поля PATCH-запроса. Возвращает { fields } для updateTokenMeta или { error }.
+ * null или пустая строка сбрасывает поле к значению по умолчанию.
+ */
+function parseAccountSettings(body) {
+    const fields = {};
+    const isReset = value => value === null || value === '';
+    for (const key of ['label', 'note']) {
+        if (body[key] !== undefined) fields[key] = isReset(body[key]) ? null : String(body[key]);
+    }
+    if (body.weight !== undefined) {
+        if (!isReset(body.weight) && !(Number(body.weight) > 0)) return { error: 'weight должен быть положительным числом' };
+        fields.weight = isReset(body.weight) ? null : Number(body.weight);
+    }
+    for (const key of ['maxConcurrency', 'maxRpm']) {
+        if (body[key] === undefined) continue;
+        if (!isReset(body[key]) && !(Number.isInteger(Number(body[key])) && Number(body[key]) >= 0)) {
+            return { error: `${key} должен быть целым числом ≥ 0 (0 — без ограничения)` };
+        }
+        fields[key] = isReset(body[key]) ? null : Number(body[key]);
+    }
+    if (body.models !== undefined) {
+        const models = typeof body.models === 'string' ? body.models.split(',') : body.models;
+        if (!isReset(models) && !Array.isArray(models)) return { error: 'models должен быть массивом названий моделей' };
+        const list = isReset(models) ? [] : models.map(model => String(model).trim()).filter(Boolean);
+        fields.models = list.length > 0 ? list : null;
+    }
+    return Object.keys(fields).length > 0 ? { fields } : { error: 'Укажите хотя бы одно поле: label, note, weight, maxConcurrency, maxRpm, models' };
+}
+
+/**
+ * Проверяет токен запросом к Qwen и обновляет пометки аккаунта так же, как GET /api/status.
+ */
+async function checkAccount(account) {
+    const result = await testToken(account.token);
+    if (result === 'OK') markValid(account.id);
+    else if (result === 'RATELIMIT') markRateLimited(account.id);
+    else if (result === 'UNAUTHORIZED') markInvalid(account.id);
+    return result;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.get('/accounts', (req, res) => {
+    const now = Date.now();
+    const stats = getSchedulerStats();
+    const accounts = listTokens().map(token => describeAccount(token, now, stats));
+    res.json({ total: accounts.length, available: accounts.filter(a => a.usable).length, queued: stats.queued, accounts });
+});
+
+// Добавление аккаунта по токену или выгрузке cookie: { token | cookies, id?, label?, note?, test? }
+router.post('/accounts', async (req, res) => {
+    try {
+        const { token, cookies, id, label, note, test } = req.body || {};
+        const input = cookies || token;
+        if (!input) return res.status(400).json({ error: 'Токен аккаунта (token) или cookie (cookies) не указаны' });
+
+        const result = await importAccount({ input, id, label, note, test: Boolean(test) });
+        if (result.error) return res.status(result.status).json({ error: result.error, ...(result.test ? { test: result.test } : {}) });
+
+        logInfo(`Админ-API: добавлен аккаунт ${result.account.id}`);
+        res.status(201).json({ ...describeAccount(result.account), ...(result.test ? { test: result.test } : {}) });
+    } catch (error) {
+        logError('Ошибка при добавлении аккаунта через админ-API', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Метка, заметка и настройки планировщика: { label?, note?, weight?, maxConcurrency?, maxRpm?, models? }
+router.patch('/accounts/:id', (req, res) => {
+    const { id } = req.params;
+    if (!findAccount(id)) return accountNotFound(res, id);
+
+    const settings = parseAccountSettings(req.body || {});
+    if (settings.error) return res.status(400).json({ error: settings.error });
+    const account = updateTokenMeta(id, settings.fields);
+    logInfo(`Админ-API: обновлены настройки аккаунта ${id}: ${Object.keys(settings.fields).join(', ')}`);
+    res.json(describeAccount(account));
+});
+
+router.delete('/accounts/:id', (req, res) => {
+    const { id } = req.params;
+    if (!findAccount(id)) return accountNotFound(res, id);
+
+    removeToken(id);
+    const accountDir = path.join(ACCOUNTS_PATH, id);
+    if (fs.existsSync(accountDir)) fs.rmSync(accountDir, { recursive: true, force: true });
+    logInfo(`Админ-API: аккаунт ${id} удалён`);
+    res.json({ id, deleted: true });
+});
+
+router.post('/accounts/:id/test', async (req, res) => {
+    try {
+        const account = findAccount(req.params.id);
+        if (!account) return accountNotFound(res, req.params.id);
+
+        const result = await checkAccount(account);
+        logInfo(`Админ-API: проверка аккаунта ${account.id}: ${result}`);
+        res.json({ result, account: describeAccount(findAccount(account.id)) });
+    } catch (error) {
+        logError('Ошибка при проверке аккаунта через админ-API', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Сброс пометок rate-limit / invalid / disabled — аккаунт возвращается в ротацию
+router.post('/accounts/:id/reset', (req, res) => {
+    const { id } = req.params;
+    if (!findAccount(id)) return accountNotFound(res, id);
+
+    markValid(id);
+    setDisabled(id, false);
+    logInfo(`Админ-API: аккаунт ${id} возвращён в ротацию`);
+    res.json(describeAccount(findAccount(id)));
+});
+
+router.post('/accounts/:id/disable', (req, res) => {
+    const { id } = req.params;
+    if (!findAccount(id)) return accountNotFound(res, id);
+
+    setDisabled(id, true);
+    logInfo(`Админ-API: аккаунт ${id} отключён`);
+    res.json(describeAccount(findAccount(id)));
+});
+
+// ─── Расход токенов ──────────────────────────────────────────────────────────
+
+function queryId(value) {
+    return typeof value === 'string' && value ? value : undefined;
+}
+
+// Итоги по API-ключам и аккаунтам; ?key=<id> или ?account=<id> — только один из них.
+// tokenCounter — чем считаются токены, если Qwen не прислал usage: bpe | heuristic
+router.get('/usage', (req, res) => {
+    try {
+        const filter = { key: queryId(req.query.key), account: queryId(req.query.account) };
+        res.json({ tokenCounter: getTokenCounterMode(), ...getUsageStats(filter) });
+    } catch (error) {
+        logError('Ошибка при получении статистики использования через админ-API', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Обнуление: { key?, account? }; без полей — все итоги
+router.post('/usage/reset', (req, res) => {
+    const { key, account } = req.body || {};
+    const filter = { key: queryId(key), account: queryId(account) };
+    resetUsageStats(filter);
+    logInfo(`Админ-API: статистика использования обнулена${filter.key ? ` для ключа ${filter.key}` : ''}${filter.account ? ` для аккаунта ${filter.account}` : ''}`);
+    res.json({ reset: true, ...filter });
+});
+
+export default router;
@@ -0,0 +1,75 @@
+// adminKeys.js — Управление API-ключами прокси через админ-API (/api/admin/keys).
+// Подключается в admin.js после adminAuthMiddleware. Значение ключа отдаётся только при создании.
+
+import express from 'express';
+import {
+    listApiKeys, getApiKeyById, createApiKey, updateApiKey, deleteApiKey, resetApiKeyUsage,
+    parseApiKeyFields, describeApiKey
+} from './apiKeys.js';
+import { logInfo, logError } from '../logger/index.js';
+
+const router = express.Router();
+
+function keyNotFound(res, id) {
+    return res.status(404).json({ error: `API-ключ ${id} не найден` });
+}
+
+router.get('/keys', (req, res) => {
+    const now = Date.now();
+    const keys = listApiKeys().map(record => describeApiKey(record, now));
+    res.json({ total: keys.length, keys });
+});
+
+// Создание: { name?, owner?, scopes?, models?, rpm?, dailyRequests?, dailyChars?, expiresAt? }
+router.post('/keys', (req, res) => {
+    try {
+        const parsed = parseApiKeyFields(req.body || {});
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const { key, record } = createApiKey(parsed.fields);
+        logInfo(`Админ-API: создан API-ключ ${record.id}${record.name ? ` (${record.name})` : ''}`);
+        res.status(201).json({ ...describeApiKey(record), key });
+    } catch (error) {
+        logError('Ошибка при создании API-ключа через админ-API', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+router.get('/keys/:id', (req, res) => {
+    const record = getApiKeyById(req.params.id);
+    if (!record) return keyNotFound(res, req.params.id);
+    res.json(describeApiKey(record));
+});
+
+// Те же поля, что при создании, плюс disabled; null снимает ограничение
+router.patch('/keys/:id', (req, res) => {
+    const { id } = req.params;
+    if (!getApiKeyById(id)) return keyNotFound(res, id);
+
+    const parsed = parseApiKeyFields(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (Object.keys(parsed.fields).length === 0) {
+        return res.status(400).json({ error: 'Укажите хотя бы одно поле: name, owner, scopes, models, rpm, dailyRequests, dailyChars, expiresAt, disabled' });
+    }
+    const record = updateApiKey(id, parsed.fields);
+    logInfo(`Админ-API: обновлён API-ключ ${id}: ${Object.keys(parsed.fields).join(', ')}`);
+    res.json(describeApiKey(record));
+});
+
+router.delete('/keys/:id', (req, res) => {
+    const { id } = req.params;
+    if (!deleteApiKey(id)) return keyNotFound(res, id);
+    logInfo(`Админ-API: API-ключ ${id} удалён`);
+    res.json({ id, deleted: true });
+});
+
+router.post('/keys/:id/reset-usage', (req, res) => {
+    const { id } = req.params;
+    if (!getApiKeyById(id)) return keyNotFound(res, id);
+
+    const record = resetApiKeyUsage(id);
+    logInfo(`Админ-API: счётчики API-ключа ${id} обнулены`);
+    res.json(describeApiKey(record));
+});
+
+export default router;
@@ -0,0 +1,299 @@
+// anthropic.js — Совместимость с Anthropic Messages API (POST /api/v1/messages).
+// Запрос Anthropic переводится в OpenAI-подобный transcript и отправляется через sendMessage,
+// tool calling эмулируется тем же JSON-prompt, что и в /chat/completions.
+
+import express from 'express';
+import crypto from 'crypto';
+import { sendMessage } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { prepareOpenAIMessageInput, applyToolPrompt, parseToolCallJson, toQwenContent } from './promptAdapter.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+import { DEFAULT_MODEL } from '../config.js';
+import { apiKeyQuota } from './authMiddleware.js';
+import { requestQueue } from './requestQueue.js';
+
+const router = express.Router();
+
+// ─── Helpers: Anthropic -> OpenAI ────────────────────────────────────────────
+
+function systemToText(system) {
+    if (!system) return null;
+    if (typeof system === 'string') return system;
+    if (Array.isArray(system)) {
+        const text = system.map(block => typeof block === 'string' ? block : (block?.text || '')).filter(Boolean).join('\n\n');
+        return text || null;
+    }
+    return null;
+}
+
+function imageBlockToUrl(block) {
+    const source = block?.source;
+    if (!source) return null;
+    if (source.type === 'base64' && source.data) return `data:${source.media_type || 'image/png'};base64,${source.data}`;
+    if (source.type === 'url' && source.url) return source.url;
+    return null;
+}
+
+function toolResultToText(content) {
+    if (content === null || content === undefined) return '';
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(block => {
+            if (!block) return '';
+            if (block.type === 'text') return block.text || '';
+            if (block.type === 'image') return `[image: ${imageBlockToUrl(block) || ''}]`;
+            return JSON.stringify(block);
+        }).filter(Boolean).join('\n');
+    }
+    return JSON.stringify(content);
+}
+
+function toContentBlocks(content) {
+    if (typeof content === 'string') return [{ type: 'text', text: content }];
+    return Array.isArray(content) ? content.filter(Boolean) : [];
+}
+
+/**
+ * Переводит Anthropic messages (content blocks) в OpenAI-формат:
+ * tool_use -> assistant.tool_calls, tool_result -> role=tool, image -> image_url.
+ */
+function anthropicToOpenAIMessages(messages) {
+    const result = [];
+    const toolNames = new Map();
+
+    for (const msg of messages || []) {
+        if (!msg) continue;
+        const blocks = toContentBlocks(msg.content);
+
+        if (msg.role === 'assistant') {
+            const text = blocks.filter(b => b.type === 'text').map(b => b.text || '').join('');
+            const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => {
+                toolNames.set(b.id, b.name);
+                return { id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } };
+            });
+            result.push({ role: 'assistant', content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+            continue;
+        }
+
+        for (const block of blocks.filter(b => b.type === 'tool_result')) {
+            result.push({
+                role: 'tool',
+                tool_call_id: block.tool_use_id,
+                name: toolNames.get(block.tool_use_id),
+                content: `${block.is_error ? '[error] ' : ''}${toolResultToText(block.content)}`
+            });
+        }
+
+        const parts = blocks.filter(b => b.type !== 'tool_result').map(block => {
+            if (block.type === 'text') return { type: 'text', text: block.text || '' };
+            if (block.type === 'image') {
+                const url = imageBlockToUrl(block);
+                return url ? { type: 'image_url', image_url: { url } } : null;
+            }
+            return null;
+        }).filter(Boolean);
+
+        if (parts.length === 0) continue;
+        const textOnly = parts.every(p => p.type === 'text');
+        result.push({ role: 'user', content: textOnly ? parts.map(p => p.text).join('\n') : parts });
+    }
+
+    return result;
+}
+
+function anthropicToolsToOpenAI(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return null;
+    const converted = tools
+        .filter(tool => tool?.name)
+        .map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.input_schema || { type: 'object', properties: {} }
+            }
+        }));
+    return converted.length > 0 ? converted : null;
+}
+
+function toolChoiceToPrompt(toolChoice) {
+    if (toolChoice?.type === 'any') return '\n\nYou MUST respond with a tool call from the list above.';
+    if (toolChoice?.type === 'tool' && toolChoice.name) return `\n\nYou MUST respond with a call of the tool "${toolChoice.name}".`;
+    return '';
+}
+
+// ─── Helpers: OpenAI result -> Anthropic ─────────────────────────────────────
+
+function buildUsage(usage) {
+    return {
+        input_tokens: usage?.input_tokens ?? usage?.prompt_tokens ?? 0,
+        output_tokens: usage?.output_tokens ?? usage?.completion_tokens ?? 0
+    };
+}
+
+function toolCallToBlock(call) {
+    let input = {};
+    try {
+        input = JSON.parse(call.function.arguments || '{}');
+    } catch {
+        input = { raw: call.function.arguments };
+    }
+    return { type: 'tool_use', id: call.id.replace(/^call_/, 'toolu_'), name: call.function.name, input };
+}
+
+function buildErrorBody(message, type = 'api_error') {
+    return { type: 'error', error: { type, message } };
+}
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.post('/messages', apiKeyQuota, requestQueue, async (req, res) => {
+    try {
+        const { model, messages, system, tools, tool_choice, stream } = req.body || {};
+        logInfo(`Получен Anthropic Messages запрос${stream ? ' (stream)' : ''}`);
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            logError('Запрос без сообщений');
+            return res.status(400).json(buildErrorBody('messages: field required', 'invalid_request_error'));
+        }
+
+        const openaiMessages = anthropicToOpenAIMessages(messages);
+        const combinedTools = tool_choice?.type === 'none' ? null : anthropicToolsToOpenAI(tools);
+        const preparedInput = prepareOpenAIMessageInput(openaiMessages, combinedTools, null);
+        if (preparedInput.missingUser) {
+            logError('В запросе нет сообщений от пользователя');
+            return res.status(400).json(buildErrorBody('messages: at least one user message is required', 'invalid_request_error'));
+        }
+        if (preparedInput.folded) {
+            logInfo('Anthropic transcript folded into user message for context/tool-result preservation');
+        }
+
+        const messageContent = toQwenContent(preparedInput.messageContent);
+        const mappedModel = getMappedModel(model);
+        logInfo(`Используется модель: ${mappedModel}${model && mappedModel !== model ? ` (запрошена "${model}")` : ''}`);
+
+        const toolAwareSystemMessage = combinedTools
+            ? applyToolPrompt(systemToText(system), combinedTools) + toolChoiceToPrompt(tool_choice)
+            : systemToText(system);
+        const captureToolCalls = Boolean(combinedTools);
+        const messageId = `msg_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`;
+
+        if (!stream) {
+            const result = await sendMessage(messageContent, mappedModel, null, null, null, null, null, toolAwareSystemMessage);
+            if (result.error) {
+                return res.status(500).json(buildErrorBody(result.error));
+            }
+
+            const text = result.choices?.[0]?.message?.content || '';
+            const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+            const content = toolCalls?.length > 0
+                ? toolCalls.map(toolCallToBlock)
+                : [{ type: 'text', text }];
+
+            return res.json({
+                id: messageId,
+                type: 'message',
+                role: 'assistant',
+                model: result.model || mappedModel || DEFAULT_MODEL,
+                content,
+                stop_reason: toolCalls?.length > 0 ? 'tool_use' : 'end_turn',
+                stop_sequence: null,
+                usage: buildUsage(result.usage)
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        writeEvent(res, 'message_start', {
+            type: 'message_start',
+            message: {
+                id: messageId, type: 'message', role: 'assistant', model: mappedModel || DEFAULT_MODEL,
+                content: [], stop_reason: null, stop_sequence: null, usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        });
+
+        let blockIndex = 0;
+        let textBlockOpen = false;
+        const writeText = (text) => {
+            if (!textBlockOpen) {
+                writeEvent(res, 'content_block_start', { type: 'content_block_start', index: blockIndex, content_block: { type: 'text', text: '' } });
+                textBlockOpen = true;
+            }
+            writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text } });
+        };
+        const closeTextBlock = () => {
+            if (!textBlockOpen) return;
+            writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+            textBlockOpen = false;
+            blockIndex++;
+        };
+
+        let hasStreamedChunks = false;
+        const streamingCallback = captureToolCalls ? null : (chunk) => {
+            hasStreamedChunks = true;
+            writeText(chunk);
+        };
+
+        try {
+            const result = await sendMessage(
+                messageContent, mappedModel, null, null, null, null, null, toolAwareSystemMessage,
+                't2t', null, true, 0, streamingCallback
+            );
+
+            if (result.error) {
+                closeTextBlock();
+                writeEvent(res, 'error', buildErrorBody(result.error));
+                res.end();
+                return;
+            }
+
+            const text = result.choices?.[0]?.message?.content || '';
+            const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+            let stopReason = 'end_turn';
+
+            if (toolCalls?.length > 0) {
+                for (const call of toolCalls) {
+                    const block = toolCallToBlock(call);
+                    writeEvent(res, 'content_block_start', { type: 'content_block_start', index: blockIndex, content_block: { ...block, input: {} } });
+                    writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: blockIndex, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+                    writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: blockIndex });
+                    blockIndex++;
+                }
+                stopReason = 'tool_use';
+            } else if (!hasStreamedChunks && text) {
+                logDebug(`JSON response content length: ${text.length}`);
+                writeText(text);
+            }
+
+            closeTextBlock();
+            writeEvent(res, 'message_delta', {
+                type: 'message_delta',
+                delta: { stop_reason: stopReason, stop_sequence: null },
+                usage: { output_tokens: buildUsage(result.usage).output_tokens }
+            });
+            writeEvent(res, 'message_stop', { type: 'message_stop' });
+            res.end();
+        } catch (error) {
+            logError('Ошибка при обработке потокового Anthropic запроса', error);
+            closeTextBlock();
+            writeEvent(res, 'error', buildErrorBody('Internal server error'));
+            res.end();
+        }
+    } catch (error) {
+        logError('Ошибка при обработке Anthropic запроса', error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(500).json(buildErrorBody('Внутренняя ошибка сервера'));
+    }
+});
+
+export default router;
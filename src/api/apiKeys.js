@@ -0,0 +1,413 @@
+// apiKeys.js — Управляемые API-ключи прокси (session/api-keys.json) вдобавок к src/Authorization.txt.
+// Хранится только sha256 ключа; у ключа есть имя и владелец, области доступа (scopes), список
+// разрешённых моделей, лимиты (запросов в минуту, запросов и символов в сутки), срок действия
+// и счётчики использования. Управление — админ-API (/api/admin/keys) и npm run keys.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { logError, addKnownSecrets } from '../logger/index.js';
+import { SESSION_DIR } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SESSION_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR);
+const KEYS_FILE = path.join(SESSION_PATH, 'api-keys.json');
+
+export const API_KEY_SCOPES = ['chat', 'images', 'videos', 'files', 'admin'];
+// Области ключа по умолчанию: всё, кроме админ-API
+export const DEFAULT_API_KEY_SCOPES = ['chat', 'images', 'videos', 'files'];
+
+const KEY_PREFIX = 'fq-';
+const RPM_WINDOW_MS = 60_000;
+// Счётчики использования копятся в памяти и сбрасываются на диск не чаще этого интервала
+const USAGE_FLUSH_MS = 5_000;
+// Поля тела запроса, чей текст учитывается в суточном лимите символов
+const TEXT_FIELDS = new Set(['content', 'text', 'prompt', 'input', 'system', 'instructions', 'suffix']);
+
+let snapshot = null; // { mtimeMs, size, keys, byHash }
+const pendingUsage = new Map(); // id ключа -> ещё не записанный прирост счётчиков
+const recentRequests = new Map(); // id ключа -> [мс] запросов за последнюю минуту
+let flushTimer = null;
+
+// ─── Хранилище ───────────────────────────────────────────────────────────────
+
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+export function loadApiKeys() {
+    if (!fs.existsSync(KEYS_FILE)) return [];
+    try {
+        return JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    } catch (e) {
+        logError('ApiKeys: ошибка чтения api-keys.json', e);
+        return [];
+    }
+}
+
+function saveApiKeys(keys) {
+    try {
+        if (!fs.existsSync(SESSION_PATH)) fs.mkdirSync(SESSION_PATH, { recursive: true });
+        fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2), 'utf8');
+        snapshot = null;
+    } catch (e) {
+        logError('ApiKeys: ошибка сохранения api-keys.json', e);
+    }
+}
+
+/**
+ * Ключи только для чтения: файл перечитывается, лишь когда изменился (его правит и CLI).
+ */
+function getSnapshot() {
+    let stat;
+    try {
+        stat = fs.statSync(KEYS_FILE);
+    } catch {
+        return { keys: [], byHash: new Map() };
+    }
+    if (!snapshot || snapshot.mtimeMs !== stat.mtimeMs || snapshot.size !== stat.size) {
+        const keys = loadApiKeys();
+        snapshot = { mtimeMs: stat.mtimeMs, size: stat.size, keys, byHash: new Map(keys.map(key => [key.hash, key])) };
+    }
+    return snapshot;
+}
+
+/**
+ * Изменение ключей: свежая копия с диска, накопленные счётчики и запись — в одном месте,
+ * чтобы не затереть правки из CLI, сделанные, пока сервер работал.
+ */
+function mutateApiKeys(mutate) {
+    const keys = loadApiKeys();
+    const result = mutate(keys);
+    for (const key of keys) {
+        const delta = pendingUsage.get(key.id);
+        if (delta) applyUsage(key, delta);
+    }
+    pendingUsage.clear();
+    saveApiKeys(keys);
+    return result;
+}
+
+export function hasManagedApiKeys() {
+    return getSnapshot().keys.length > 0;
+}
+
+/**
+ * Запись управляемого ключа по его значению; null — такого ключа нет.
+ */
+export function findApiKey(key) {
+    return key ? getSnapshot().byHash.get(hashApiKey(key)) || null : null;
+}
+
+export function listApiKeys() {
+    return getSnapshot().keys;
+}
+
+export function getApiKeyById(id) {
+    return getSnapshot().keys.find(key => key.id === id) || null;
+}
+
+/**
+ * Создаёт ключ. Значение возвращается один раз — в файле остаётся только хэш и префикс.
+ */
+export function createApiKey(fields = {}) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        name: fields.name || null,
+        owner: fields.owner || null,
+        hash: hashApiKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        scopes: fields.scopes || DEFAULT_API_KEY_SCOPES,
+        models: fields.models || null,
+        rpm: fields.rpm || null,
+        dailyRequests: fields.dailyRequests || null,
+        dailyChars: fields.dailyChars || null,
+        expiresAt: fields.expiresAt || null,
+        disabled: Boolean(fields.disabled),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        usage: emptyUsage()
+    };
+    mutateApiKeys(keys => keys.push(record));
+    addKnownSecrets([key]);
+    return { key, record };
+}
+
+/**
+ * Меняет поля ключа; null удаляет ограничение. Возвращает обновлённую запись или null.
+ */
+export function updateApiKey(id, fields) {
+    return mutateApiKeys(keys => {
+        const record = keys.find(key => key.id === id);
+        if (!record) return null;
+        for (const [field, value] of Object.entries(fields)) {
+            if (value !== undefined) record[field] = value;
+        }
+        return record;
+    });
+}
+
+export function deleteApiKey(id) {
+    return mutateApiKeys(keys => {
+        const index = keys.findIndex(key => key.id === id);
+        if (index === -1) return false;
+        keys.splice(index, 1);
+        recentRequests.delete(id);
+        return true;
+    });
+}
+
+export function resetApiKeyUsage(id) {
+    pendingUsage.delete(id);
+    recentRequests.delete(id);
+    return updateApiKey(id, { usage: emptyUsage() });
+}
+
+// ─── Использование ───────────────────────────────────────────────────────────
+
+function emptyUsage() {
+    return { requests: 0, chars: 0, day: null, dayRequests: 0, dayChars: 0 };
+}
+
+// Сутки квот считаются по UTC
+function dayKey(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function applyUsage(record, delta) {
+    const usage = { ...emptyUsage(), ...record.usage };
+    const sameDay = usage.day === delta.day;
+    record.usage = {
+        requests: usage.requests + delta.requests,
+        chars: usage.chars + delta.chars,
+        day: delta.day,
+        dayRequests: (sameDay ? usage.dayRequests : 0) + delta.dayRequests,
+        dayChars: (sameDay ? usage.dayChars : 0) + delta.dayChars
+    };
+    record.lastUsedAt = delta.lastUsedAt;
+}
+
+/**
+ * Счётчики ключа с учётом ещё не записанных на диск; суточные обнуляются со сменой дня.
+ */
+export function getApiKeyUsage(record, now = Date.now()) {
+    const current = { ...record, usage: { ...emptyUsage(), ...record.usage } };
+    const delta = pendingUsage.get(record.id);
+    if (delta) applyUsage(current, delta);
+    if (current.usage.day !== dayKey(now)) {
+        current.usage = { ...current.usage, day: dayKey(now), dayRequests: 0, dayChars: 0 };
+    }
+    return { ...current.usage, lastUsedAt: current.lastUsedAt || null };
+}
+
+function recentStarts(id, now) {
+    const starts = recentRequests.get(id) || [];
+    while (starts.length > 0 && now - starts[0] >= RPM_WINDOW_MS) starts.shift();
+    recentRequests.set(id, starts);
+    return starts;
+}
+
+/**
+ * Символы текста в теле запроса (сообщения, prompt, input и т.п.) — для суточного лимита.
+ * Служебные поля и вложения (data:-URL картинок) не считаются.
+ */
+export function countRequestChars(value, counted = false) {
+    if (typeof value === 'string') return counted ? value.length : 0;
+    if (Array.isArray(value)) return value.reduce((sum, item) => sum + countRequestChars(item, counted), 0);
+    if (value && typeof value === 'object') {
+        return Object.entries(value).reduce((sum, [field, item]) => sum + countRequestChars(item, TEXT_FIELDS.has(field)), 0);
+    }
+    return 0;
+}
+
+function modelAllowed(record, model) {
+    if (!Array.isArray(record.models) || record.models.length === 0) return true;
+    const name = String(model || '').toLowerCase();
+    return record.models.some(pattern => {
+        const value = String(pattern).toLowerCase();
+        return value.endsWith('*') ? name.startsWith(value.slice(0, -1)) : name === value;
+    });
+}
+
+function secondsUntilNextDay(now) {
+    const next = new Date(now);
+    next.setUTCHours(24, 0, 0, 0);
+    return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
+
+/**
+ * Ключ отключён или истёк — { status, error }; иначе null.
+ */
+export function checkApiKeyAccess(record, scope, now = Date.now()) {
+    if (record.disabled) return { status: 401, error: 'API-ключ отключён' };
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) return { status: 401, error: 'Срок действия API-ключа истёк' };
+    if (scope && !(record.scopes || DEFAULT_API_KEY_SCOPES).includes(scope)) {
+        return { status: 403, error: `API-ключ не даёт доступа к «${scope}»` };
+    }
+    return null;
+}
+
+/**
+ * Проверяет модель и лимиты ключа для генерирующего запроса и, если всё в порядке, засчитывает его.
+ * Возвращает null или { status, type, code, message, retryAfter? } для ответа в формате OpenAI.
+ */
+export function consumeApiKeyQuota(record, { model, chars = 0 }, now = Date.now()) {
+    if (!modelAllowed(record, model)) {
+        return { status: 403, type: 'invalid_request_error', code: 'model_not_allowed', message: `Модель ${model} недоступна для этого API-ключа` };
+    }
+
+    const starts = recentStarts(record.id, now);
+    if (record.rpm > 0 && starts.length >= record.rpm) {
+        return {
+            status: 429, type: 'requests', code: 'rate_limit_exceeded',
+            message: `Превышен лимит API-ключа: ${record.rpm} запросов в минуту`,
+            retryAfter: Math.max(1, Math.ceil((starts[0] + RPM_WINDOW_MS - now) / 1000))
+        };
+    }
+
+    const usage = getApiKeyUsage(record, now);
+    if (record.dailyRequests > 0 && usage.dayRequests >= record.dailyRequests) {
+        return {
+            status: 429, type: 'insufficient_quota', code: 'daily_request_quota_exceeded',
+            message: `Исчерпана суточная квота API-ключа: ${record.dailyRequests} запросов`,
+            retryAfter: secondsUntilNextDay(now)
+        };
+    }
+    if (record.dailyChars > 0 && usage.dayChars + chars > record.dailyChars) {
+        return {
+            status: 429, type: 'insufficient_quota', code: 'daily_character_quota_exceeded',
+            message: `Исчерпана суточная квота API-ключа: ${record.dailyChars} символов (осталось ${Math.max(0, record.dailyChars - usage.dayChars)}, в запросе ${chars})`,
+            retryAfter: secondsUntilNextDay(now)
+        };
+    }
+
+    starts.push(now);
+    addPendingUsage(record.id, { requests: 1, chars, dayRequests: 1, dayChars: chars }, now, new Date(now).toISOString());
+    return null;
+}
+
+/**
+ * Отменяет запрос, засчитанный consumeApiKeyQuota в момент chargedAt, если он не дошёл до Qwen
+ * (отказ очереди). Суточные счётчики уменьшаются, только если сутки ещё те же.
+ */
+export function refundApiKeyQuota(record, { chars = 0, chargedAt }, now = Date.now()) {
+    const starts = recentRequests.get(record.id);
+    const index = starts ? starts.lastIndexOf(chargedAt) : -1;
+    if (index !== -1) starts.splice(index, 1);
+
+    const sameDay = dayKey(chargedAt) === dayKey(now);
+    const lastUsedAt = pendingUsage.get(record.id)?.lastUsedAt || record.lastUsedAt || null;
+    addPendingUsage(record.id, {
+        requests: -1,
+        chars: -chars,
+        dayRequests: sameDay ? -1 : 0,
+        dayChars: sameDay ? -chars : 0
+    }, now, lastUsedAt);
+}
+
+function addPendingUsage(id, change, now, lastUsedAt) {
+    const day = dayKey(now);
+    const delta = pendingUsage.get(id);
+    const current = delta && delta.day === day ? delta : { ...delta, day, dayRequests: 0, dayChars: 0 };
+    pendingUsage.set(id, {
+        requests: (delta?.requests || 0) + change.requests,
+        chars: (delta?.chars || 0) + change.chars,
+        day,
+        dayRequests: current.dayRequests + change.dayRequests,
+        dayChars: current.dayChars + change.dayChars,
+        lastUsedAt
+    });
+    scheduleUsageFlush();
+}
+
+function scheduleUsageFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushApiKeyUsage();
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+}
+
+/**
+ * Записывает накопленные счётчики в api-keys.json (вызывается и при остановке сервера).
+ */
+export function flushApiKeyUsage() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (pendingUsage.size === 0) return;
+    mutateApiKeys(() => {});
+}
+
+// ─── Админ-API и CLI ─────────────────────────────────────────────────────────
+
+function toList(value) {
+    const items = typeof value === 'string' ? value.split(',') : value;
+    return Array.isArray(items) ? items.map(item => String(item).trim()).filter(Boolean) : null;
+}
+
+/**
+ * Проверяет поля ключа из админ-API или CLI. Возвращает { fields } или { error }.
+ * null или пустая строка снимает ограничение; 0 в лимитах — тоже без ограничения.
+ */
+export function parseApiKeyFields(input) {
+    const fields = {};
+    const isReset = value => value === null || value === '';
+    for (const key of ['name', 'owner']) {
+        if (input[key] !== undefined) fields[key] = isReset(input[key]) ? null : String(input[key]);
+    }
+    if (input.scopes !== undefined) {
+        const scopes = toList(input.scopes);
+        if (!scopes || scopes.length === 0) return { error: `scopes: укажите хотя бы одну область из ${API_KEY_SCOPES.join(', ')}` };
+        const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknown.length > 0) return { error: `Неизвестные области: ${unknown.join(', ')} (доступны ${API_KEY_SCOPES.join(', ')})` };
+        fields.scopes = [...new Set(scopes)];
+    }
+    if (input.models !== undefined) {
+        const models = isReset(input.models) ? [] : toList(input.models);
+        if (!models) return { error: 'models должен быть массивом названий моделей' };
+        fields.models = models.length > 0 ? models : null;
+    }
+    for (const key of ['rpm', 'dailyRequests', 'dailyChars']) {
+        if (input[key] === undefined) continue;
+        if (!isReset(input[key]) && !(Number.isInteger(Number(input[key])) && Number(input[key]) >= 0)) {
+            return { error: `${key} должен быть целым числом ≥ 0 (0 — без ограничения)` };
+        }
+        fields[key] = isReset(input[key]) || Number(input[key]) === 0 ? null : Number(input[key]);
+    }
+    if (input.expiresAt !== undefined) {
+        const expiresAt = isReset(input.expiresAt) ? null : new Date(input.expiresAt);
+        if (expiresAt && Number.isNaN(expiresAt.getTime())) return { error: 'expiresAt должен быть датой (ISO 8601)' };
+        fields.expiresAt = expiresAt ? expiresAt.toISOString() : null;
+    }
+    if (input.disabled !== undefined) fields.disabled = input.disabled === true || input.disabled === 'true';
+    return { fields };
+}
+
+/**
+ * Описание ключа для ответа API и CLI: без хэша, со счётчиками использования.
+ */
+export function describeApiKey(record, now = Date.now()) {
+    const expired = Boolean(record.expiresAt) && new Date(record.expiresAt).getTime() <= now;
+    return {
+        id: record.id,
+        name: record.name || null,
+        owner: record.owner || null,
+        prefix: record.prefix,
+        status: record.disabled ? 'DISABLED' : expired ? 'EXPIRED' : 'OK',
+        scopes: record.scopes || DEFAULT_API_KEY_SCOPES,
+        models: record.models || [],
+        rpm: record.rpm || null,
+        dailyRequests: record.dailyRequests || null,
+        dailyChars: record.dailyChars || null,
+        expiresAt: record.expiresAt || null,
+        disabled: Boolean(record.disabled),
+        createdAt: record.createdAt,
+        usage: getApiKeyUsage(record, now)
+    };
+}
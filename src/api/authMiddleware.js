@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import { getApiKeys } from './chat.js';
+import { findApiKey, hasManagedApiKeys, listApiKeys, checkApiKeyAccess, consumeApiKeyQuota, refundApiKeyQuota, countRequestChars } from './apiKeys.js';
+import { incCounter } from './metrics.js';
+import { getMappedModel, CHAT_MEDIA_MODEL } from './modelMapping.js';
+import { logError, logWarn, addKnownSecrets } from '../logger/index.js';
+import { setRequestContext } from '../logger/requestContext.js';
+import { ADMIN_API_KEY, DEFAULT_MODEL } from '../config.js';
+
+/**
+ * Область доступа (scope) управляемого ключа, нужная для запроса; null — доступно любому ключу.
+ */
+function scopeForRequest(req) {
+    if (/\/(images)(\/|$)/.test(req.path)) return 'images';
+    if (/\/(videos|tasks)(\/|$)/.test(req.path)) return 'videos';
+    // /api/chat генерирует картинки и видео по chatType
+    if (req.method === 'POST' && /^\/chat$/.test(req.path)) {
+        if (req.body?.chatType === 't2i') return 'images';
+        if (req.body?.chatType === 't2v') return 'videos';
+    }
+    if (/\/files(\/|$)/.test(req.path)) return 'files';
+    if (req.method === 'GET' && /\/(models|health)$/.test(req.path)) return null;
+    return 'chat';
+}
+
+/**
+ * Проверка API-ключа прокси: управляемые ключи (session/api-keys.json) и src/Authorization.txt.
+ * Если нет ни тех, ни других, авторизация отключена.
+ */
+export function authMiddleware(req, res, next) {
+    const apiKeys = getApiKeys();
+    if (apiKeys.length === 0 && !hasManagedApiKeys()) return next();
+
+    // Anthropic SDK передаёт ключ в x-api-key, Gemini SDK — в x-goog-api-key вместо Authorization: Bearer.
+    const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.headers['x-api-key'] || req.headers['x-goog-api-key'];
+    if ((!authHeader || !authHeader.startsWith('Bearer ')) && !apiKeyHeader) {
+        logError('Отсутствует или некорректный заголовок авторизации');
+        return res.status(401).json({ error: 'Требуется авторизация' });
+    }
+
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7).trim() : String(apiKeyHeader).trim();
+    const managedKey = findApiKey(token);
+    if (managedKey) {
+        const denied = checkApiKeyAccess(managedKey, scopeForRequest(req));
+        if (denied) {
+            logWarn(`API-ключ ${managedKey.id}: ${denied.error} (${req.method} ${req.originalUrl})`);
+            return res.status(denied.status).json({ error: denied.error });
+        }
+        req.apiKey = token;
+        req.apiKeyRecord = managedKey;
+        setRequestContext({ apiKeyId: managedKey.id });
+        addKnownSecrets([token]);
+        return next();
+    }
+    if (!apiKeys.includes(token)) {
+        logError('Предоставлен недействительный API ключ');
+        return res.status(401).json({ error: 'Недействительный токен' });
+    }
+    // Ключ нужен дальше: приоритет в очереди запросов; в учёте токенов такие ключи не различаются
+    req.apiKey = token;
+    setRequestContext({ apiKeyId: 'legacy' });
+    next();
+}
+
+/**
+ * Модель, на которой запрос будет выполнен, — как в обработчиках: через getMappedModel (алиасы
+ * и неизвестные имена -> модель по умолчанию). Тег Ollama :latest отбрасывается, у генерации
+ * картинок и видео своя модель по умолчанию.
+ */
+function resolveRequestModel(req) {
+    const requested = req.body?.model || req.params?.modelAction?.split(':')[0];
+    const name = typeof requested === 'string' ? requested.replace(/:latest$/, '') : null;
+    if (name) return getMappedModel(name);
+    return /\/(images|videos)\/generations$/.test(req.path) ? getMappedModel(CHAT_MEDIA_MODEL) : DEFAULT_MODEL;
+}
+
+/**
+ * Модель и лимиты управляемого ключа для генерирующих эндпоинтов (ставится перед requestQueue).
+ * Ключи из Authorization.txt не ограничиваются. Ошибки — в формате OpenAI, превышение лимита — 429.
+ */
+export function apiKeyQuota(req, res, next) {
+    const record = req.apiKeyRecord;
+    if (!record) return next();
+
+    const model = resolveRequestModel(req);
+    const charge = { chars: countRequestChars(req.body), chargedAt: Date.now() };
+    const exceeded = consumeApiKeyQuota(record, { model, chars: charge.chars }, charge.chargedAt);
+    if (!exceeded) {
+        req.apiKeyCharge = charge;
+        return next();
+    }
+
+    logWarn(`API-ключ ${record.id}: ${exceeded.message}`);
+    incCounter('api_key_rejections_total', { key: record.id, code: exceeded.code });
+    if (exceeded.retryAfter) res.set('Retry-After', String(exceeded.retryAfter));
+    res.status(exceeded.status).json({
+        error: {
+            message: exceeded.message,
+            type: exceeded.type,
+            param: exceeded.code === 'model_not_allowed' ? 'model' : null,
+            code: exceeded.code
+        }
+    });
+}
+
+/**
+ * Возвращает ключу запрос, засчитанный apiKeyQuota, если тот так и не дошёл до Qwen (отказ очереди).
+ */
+export function refundApiKeyCharge(req) {
+    if (!req.apiKeyRecord || !req.apiKeyCharge) return;
+    refundApiKeyQuota(req.apiKeyRecord, req.apiKeyCharge);
+    req.apiKeyCharge = null;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Проверка ключа админ-API: ADMIN_API_KEY или управляемый ключ с областью admin.
+ * Ключи Authorization.txt и управляемые ключи без admin доступа к управлению не дают.
+ */
+export function adminAuthMiddleware(req, res, next) {
+    const adminKeys = listApiKeys().filter(key => !checkApiKeyAccess(key, 'admin'));
+    if (!ADMIN_API_KEY && adminKeys.length === 0) {
+        return res.status(403).json({ error: 'Админ-API отключено: задайте ADMIN_API_KEY' });
+    }
+
+    const authHeader = req.headers.authorization;
+    const token = req.headers['x-admin-key'] || (authHeader?.startsWith('Bearer ') ? authHeader.substring(7).trim() : null);
+    if (token && ADMIN_API_KEY && safeEqual(token, ADMIN_API_KEY)) return next();
+
+    const managedKey = token ? findApiKey(token) : null;
+    if (managedKey && adminKeys.includes(managedKey)) {
+        req.apiKeyRecord = managedKey;
+        addKnownSecrets([token]);
+        return next();
+    }
+    logWarn(`Отказ в доступе к админ-API: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Требуется ключ администратора' });
+}
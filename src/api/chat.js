@@ -2,14 +2,22 @@ import { getBrowserContext, getAuthenticationStatus, setAuthenticationStatus } f
 import { checkAuthentication, checkVerification } from '../browser/auth.js';
 import { shutdownBrowser, initBrowser } from '../browser/browser.js';
 import { saveAuthToken } from '../browser/session.js';
-import { getAvailableToken, markRateLimited, removeInvalidToken } from './tokenManager.js';
+import { getUsableTokenById, markRateLimited, removeInvalidToken } from './tokenManager.js';
+import { acquireAccount, pickAccount } from './accountScheduler.js';
+import { getChatOwner, setChatOwner } from './chatAffinity.js';
+import { chatExists, loadHistory, getActiveBranch } from './chatHistory.js';
+import { buildStatelessTranscript } from './promptAdapter.js';
+import { incCounter, observeHistogram, recordUpstreamRequest, classifyUpstreamError } from './metrics.js';
+import { resolveUsage } from './tokenCounter.js';
+import { recordUsage } from './usageStats.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { logInfo, logError, logWarn, logDebug, logRaw } from '../logger/index.js';
+import { logInfo, logError, logWarn, logDebug, logRaw, previewText, addKnownSecrets } from '../logger/index.js';
+import { getRequestContext, setRequestContext } from '../logger/requestContext.js';
 import crypto from 'crypto';
 import {
-    CHAT_API_URL, CREATE_CHAT_URL, CHAT_PAGE_URL, TASK_STATUS_URL,
+    CHAT_API_URL, CREATE_CHAT_URL, CHAT_STOP_URL, CHAT_PAGE_URL, TASK_STATUS_URL,
     PAGE_TIMEOUT, RETRY_DELAY, PAGE_POOL_SIZE,
     DEFAULT_MODEL, MAX_RETRY_COUNT,
     TASK_POLL_MAX_ATTEMPTS, TASK_POLL_INTERVAL,
@@ -24,7 +32,7 @@ const AUTH_KEYS_FILE = path.join(__dirname, '..', 'Authorization.txt');
 
 let authToken = null;
 let availableModels = null;
-let authKeys = null;
+let authKeys = null; // { mtimeMs, keys } — перечитывается при изменении Authorization.txt
 let browserTokenRateLimited = false;
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -64,8 +72,11 @@ async function getPage(context) {
 export const pagePool = {
     pages: [],
     maxSize: PAGE_POOL_SIZE,
+    // Выданные и ещё не возвращённые страницы — для метрик пула
+    busy: new Set(),
 
     async getPage(context) {
+        const startedAt = Date.now();
         const baseContext = getBrowserContext();
         while (this.pages.length > 0) {
             const page = this.pages.pop();
@@ -79,6 +90,8 @@ export const pagePool = {
                     continue;
                 }
                 await page.evaluate(() => document.readyState);
+                this.busy.add(page);
+                observeHistogram('page_pool_acquire_seconds', { source: 'pool' }, (Date.now() - startedAt) / 1000);
                 return page;
             } catch (e) {
                 logWarn(`Страница из пула протухла (${e.message?.substring(0, 60)}), создаём новую`);
@@ -103,10 +116,13 @@ export const pagePool = {
             }
         }
 
+        this.busy.add(newPage);
+        observeHistogram('page_pool_acquire_seconds', { source: 'new' }, (Date.now() - startedAt) / 1000);
         return newPage;
     },
 
     releasePage(page) {
+        this.busy.delete(page);
         try {
             if (page.isClosed()) return;
         } catch { return; }
@@ -196,8 +212,12 @@ export async function pollTaskStatus(taskId, page, token, maxAttempts = TASK_POL
 
 // ─── Token extraction ────────────────────────────────────────────────────────
 
-export async function extractAuthToken(context, forceRefresh = false) {
-    if (authToken && !forceRefresh) return authToken;
+/**
+ * Читает токен из localStorage страницы Qwen Chat. remember: false — токен другого аккаунта
+ * (фоновое обновление по cookies): он не становится токеном браузера и не пишется в auth_token.txt.
+ */
+export async function extractAuthToken(context, forceRefresh = false, { remember = true } = {}) {
+    if (authToken && !forceRefresh && remember) return authToken;
 
     try {
         const page = await getPage(context);
@@ -210,8 +230,9 @@ export async function extractAuthToken(context, forceRefresh = false) {
             if (shouldClosePage) await page.close();
 
             if (newToken) {
-                authToken = newToken;
                 logInfo('Токен авторизации успешно извлечен');
+                if (!remember) return newToken;
+                authToken = newToken;
                 saveAuthToken(authToken);
                 return authToken;
             }
@@ -289,8 +310,17 @@ export function getAllModels() {
 }
 
 export function getApiKeys() {
-    if (!authKeys) authKeys = getAuthKeysFromFile();
-    return authKeys;
+    let mtimeMs = 0;
+    try {
+        mtimeMs = fs.statSync(AUTH_KEYS_FILE).mtimeMs;
+    } catch {
+        // Файла нет — getAuthKeysFromFile создаст шаблон
+    }
+    if (!authKeys || authKeys.mtimeMs !== mtimeMs) {
+        authKeys = { mtimeMs, keys: getAuthKeysFromFile() };
+        addKnownSecrets(authKeys.keys);
+    }
+    return authKeys.keys;
 }
 
 // ─── sendMessage — helper functions ──────────────────────────────────────────
@@ -312,12 +342,28 @@ function validateAndPrepareMessage(message) {
     return { error: 'Неподдерживаемый формат сообщения' };
 }
 
-async function resolveAuthToken(browserContext) {
-    const tokenObj = await getAvailableToken();
-    if (tokenObj && tokenObj.token) {
-        authToken = tokenObj.token;
-        logInfo(`Используется аккаунт: ${tokenObj.id}`);
-        return tokenObj;
+/**
+ * Может ли аккаунт сейчас обслуживать запросы: не залимичен и не помечен невалидным.
+ */
+function isAccountAvailable(accountId) {
+    if (accountId === 'browser') return !browserTokenRateLimited;
+    return Boolean(getUsableTokenById(accountId));
+}
+
+/**
+ * Аккаунт для запроса через планировщик: { tokenObj, lease } — lease.release() вызывается по завершении
+ * запроса; { error } — все аккаунты заняты или клиент отменил запрос; null — токен не получен.
+ */
+async function resolveAuthToken(browserContext, chatId = null, { model = null, signal = null } = {}) {
+    // Существующий чат продолжаем аккаунтом-владельцем, иначе Qwen ответит «chat is not exist».
+    const ownerId = getChatOwner(chatId);
+    const isOwnerUsable = ownerId && ownerId !== 'browser' && Boolean(getUsableTokenById(ownerId));
+    const lease = ownerId === 'browser' ? null : await acquireAccount({ model, accountId: isOwnerUsable ? ownerId : null, signal });
+    if (lease?.error) return lease;
+    if (lease?.account.token) {
+        authToken = lease.account.token;
+        logInfo(`Используется ${isOwnerUsable ? 'аккаунт-владелец чата' : 'аккаунт'}: ${lease.account.id}`);
+        return { tokenObj: lease.account, lease };
     }
 
     if (browserTokenRateLimited) {
@@ -336,19 +382,21 @@ async function resolveAuthToken(browserContext) {
         authToken = await extractAuthToken(browserContext);
     }
 
-    return authToken ? { id: 'browser', token: authToken } : null;
+    return authToken ? { tokenObj: { id: 'browser', token: authToken }, lease: null } : null;
 }
 
-function buildPayloadV2(messageContent, model, chatId, parentId, files, systemMessage, tools, toolChoice, chatType = 't2t', size = null) {
+function buildPayloadV2(messageContent, model, chatId, parentId, files, systemMessage, tools, toolChoice, chatType = 't2t', size = null, options = {}) {
     const userMessageId = crypto.randomUUID();
     const assistantChildId = crypto.randomUUID();
 
     const isVideo = chatType === 't2v';
 
     const featureConfig = {
-        thinking_enabled: isVideo,
+        thinking_enabled: isVideo || Boolean(options.thinking),
         output_schema: 'phase'
     };
+    if (options.thinking && options.thinkingBudget) featureConfig.thinking_budget = options.thinkingBudget;
+    if (options.search) featureConfig.auto_search = true;
     if (isVideo) {
         featureConfig.research_mode = 'normal';
         featureConfig.auto_thinking = true;
@@ -386,7 +434,7 @@ function buildPayloadV2(messageContent, model, chatId, parentId, files, systemMe
 
     if (systemMessage) {
         payload.system_message = systemMessage;
-        logDebug(`System message: ${systemMessage.substring(0, 100)}${systemMessage.length > 100 ? '...' : ''}`);
+        logDebug(`System message: ${previewText(systemMessage)}`);
     }
     if (tools && Array.isArray(tools) && tools.length > 0) {
         payload.tools = tools;
@@ -427,7 +475,150 @@ function parseNonSseCompletionBody(body) {
     return { success: false, error: 'Unexpected non-SSE 200 response', errorBody: body };
 }
 
-async function executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChunk) {
+const REASONING_PHASES = ['think', 'thinking_summary'];
+const SEARCH_PHASES = ['web_search'];
+// Служебные фазы (status: 'finished' у них не завершает поток) — списком для fetch в браузере, где хелперов нет
+const AUXILIARY_PHASES = [...REASONING_PHASES, ...SEARCH_PHASES];
+
+/**
+ * Фаза мышления в SSE Qwen (output_schema: 'phase'): такие дельты — рассуждения, а не ответ.
+ * status: 'finished' у этой фазы означает конец рассуждений, а не всего ответа.
+ */
+function isReasoningPhase(phase) {
+    return REASONING_PHASES.includes(phase);
+}
+
+/**
+ * Фаза веб-поиска (feature_config.auto_search): источники приходят в delta.extra.web_search_info.
+ * Как и у рассуждений, status: 'finished' этой фазы — конец фазы, а не всего ответа.
+ */
+function isSearchPhase(phase) {
+    return SEARCH_PHASES.includes(phase);
+}
+
+/**
+ * Приводит web_search_info Qwen к списку { url, title, snippet, hostname, date }.
+ */
+function extractSearchResults(delta) {
+    const info = delta?.extra?.web_search_info;
+    if (!Array.isArray(info)) return [];
+    return info
+        .filter(item => item && typeof item.url === 'string' && item.url)
+        .map(item => ({
+            url: item.url,
+            title: item.title || item.hostname || item.url,
+            snippet: item.snippet || '',
+            hostname: item.hostname || '',
+            date: item.date || null
+        }));
+}
+
+/**
+ * Добавляет новые источники в searchResults (без дублей по url) и возвращает только добавленные.
+ */
+function mergeSearchResults(searchResults, incoming) {
+    const added = [];
+    for (const item of incoming) {
+        if (searchResults.some(existing => existing.url === item.url)) continue;
+        searchResults.push(item);
+        added.push(item);
+    }
+    return added;
+}
+
+/**
+ * Разбор SSE completion Qwen по строкам data: — общий для Node-стриминга и fetch в браузере
+ * (оттуда строки приходят сырыми после ответа). Копит ответ, рассуждения и источники поиска,
+ * по мере поступления вызывая onChunk / onReasoning / onSearch.
+ */
+function createCompletionStreamParser({ onChunk = null, onReasoning = null, onSearch = null } = {}) {
+    let fullContent = '';
+    let reasoningContent = '';
+    const searchResults = [];
+    let responseId = null;
+    let usage = null;
+    let streamError = null;
+    let hasStreamedChunks = false;
+    let hasStreamedReasoning = false;
+    let hasStreamedSearch = false;
+
+    return {
+        /**
+         * Обрабатывает содержимое одной строки data:. Возвращает true, когда читать поток дальше не нужно.
+         */
+        push(jsonStr) {
+            if (jsonStr === '[DONE]') return true;
+            let chunk;
+            try {
+                chunk = JSON.parse(jsonStr);
+            } catch {
+                // Битый чанк пропускаем, поток читаем дальше.
+                return false;
+            }
+
+            if (chunk.code === 'RateLimited' || (chunk.code && chunk.detail)) {
+                streamError = { status: 429, errorBody: JSON.stringify(chunk) };
+                return true;
+            }
+            if (chunk.error && !chunk.choices) {
+                streamError = { status: 500, errorBody: JSON.stringify(chunk) };
+                return true;
+            }
+
+            if (chunk['response.created']) responseId = chunk['response.created'].response_id;
+            if (chunk.response_id) responseId = chunk.response_id;
+            if (chunk.usage) usage = chunk.usage;
+            if (!chunk.choices?.[0]) return false;
+
+            const delta = chunk.choices[0].delta;
+            const newSearchResults = mergeSearchResults(searchResults, extractSearchResults(delta));
+            if (newSearchResults.length > 0 && typeof onSearch === 'function') {
+                onSearch(newSearchResults);
+                hasStreamedSearch = true;
+            }
+            if (delta && delta.content && isReasoningPhase(delta.phase)) {
+                reasoningContent += delta.content;
+                if (typeof onReasoning === 'function') {
+                    onReasoning(delta.content);
+                    hasStreamedReasoning = true;
+                }
+            } else if (delta && delta.content && !isSearchPhase(delta.phase)) {
+                fullContent += delta.content;
+                if (typeof onChunk === 'function') {
+                    onChunk(delta.content);
+                    hasStreamedChunks = true;
+                }
+            }
+            return Boolean(delta && delta.status === 'finished' && !isReasoningPhase(delta.phase) && !isSearchPhase(delta.phase)) ||
+                Boolean(chunk.choices[0].finish_reason);
+        },
+        /**
+         * Итог разбора в форме результата executeApiRequest.
+         */
+        finish(model, aborted) {
+            if (streamError) return { success: false, ...streamError, hasStreamedChunks };
+            return {
+                success: true,
+                isTask: false,
+                hasStreamedChunks,
+                hasStreamedReasoning,
+                hasStreamedSearch,
+                aborted,
+                data: {
+                    id: responseId || 'chatcmpl-' + Date.now(),
+                    object: 'chat.completion',
+                    created: Math.floor(Date.now() / 1000),
+                    model,
+                    choices: [{ index: 0, message: buildAssistantMessage(fullContent, reasoningContent, searchResults), finish_reason: 'stop' }],
+                    usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                    response_id: responseId
+                }
+            };
+        }
+    };
+}
+
+async function executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChunk, onReasoning = null, onSearch = null, signal = null) {
     try {
         if (!token) return { success: false, error: 'Токен авторизации не найден' };
         if (typeof fetch !== 'function') return { success: false, error: 'Fetch API is unavailable' };
@@ -439,7 +630,8 @@ async function executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChun
                 'Authorization': `Bearer ${token}`,
                 'Accept': '*/*'
             },
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            signal
         });
 
         if (!response.ok) {
@@ -468,99 +660,56 @@ async function executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChun
         }
 
         const decoder = new TextDecoder();
+        const parser = createCompletionStreamParser({ onChunk, onReasoning, onSearch });
         let buffer = '';
-        let fullContent = '';
-        let responseId = null;
-        let usage = null;
         let finished = false;
-        let streamError = null;
-        let hasStreamedChunks = false;
-
-        while (!finished) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-
-            for (const rawLine of lines) {
-                const line = rawLine.trim();
-                if (!line || !line.startsWith('data:')) continue;
-
-                const jsonStr = line.substring(5).trim();
-                if (!jsonStr) continue;
-                if (jsonStr === '[DONE]') {
-                    finished = true;
-                    break;
-                }
-
-                try {
-                    const chunk = JSON.parse(jsonStr);
 
-                    if (chunk.code === 'RateLimited' || (chunk.code && chunk.detail)) {
-                        streamError = { status: 429, errorBody: JSON.stringify(chunk) };
-                        finished = true;
-                        break;
-                    }
-                    if (chunk.error && !chunk.choices) {
-                        streamError = { status: 500, errorBody: JSON.stringify(chunk) };
+        try {
+            while (!finished) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop() || '';
+
+                for (const rawLine of lines) {
+                    const line = rawLine.trim();
+                    if (!line || !line.startsWith('data:')) continue;
+                    const jsonStr = line.substring(5).trim();
+                    if (jsonStr && parser.push(jsonStr)) {
                         finished = true;
                         break;
                     }
-
-                    if (chunk['response.created']) responseId = chunk['response.created'].response_id;
-                    if (chunk.response_id) responseId = chunk.response_id;
-
-                    if (chunk.choices && chunk.choices[0]) {
-                        const delta = chunk.choices[0].delta;
-                        if (delta && delta.content) {
-                            fullContent += delta.content;
-                            if (typeof onChunk === 'function') {
-                                onChunk(delta.content);
-                                hasStreamedChunks = true;
-                            }
-                        }
-                        if (delta && delta.status === 'finished') finished = true;
-                        if (chunk.choices[0].finish_reason) finished = true;
-                    }
-
-                    if (chunk.usage) usage = chunk.usage;
-                } catch {
-                    // Ignore broken chunks, keep reading stream.
                 }
             }
+        } catch (error) {
+            // Клиент отключился: fetch прерван через AbortSignal, отдаём накопленную часть ответа.
+            if (!signal?.aborted) throw error;
         }
 
-        if (streamError) {
-            return { success: false, ...streamError, hasStreamedChunks };
-        }
-
-        return {
-            success: true,
-            isTask: false,
-            hasStreamedChunks,
-            data: {
-                id: responseId || 'chatcmpl-' + Date.now(),
-                object: 'chat.completion',
-                created: Math.floor(Date.now() / 1000),
-                model: payload.model,
-                choices: [{ index: 0, message: { role: 'assistant', content: fullContent }, finish_reason: 'stop' }],
-                usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-                response_id: responseId
-            }
-        };
+        return parser.finish(payload.model, Boolean(signal?.aborted));
     } catch (error) {
-        return { success: false, error: error.toString() };
+        return { success: false, error: error.toString(), aborted: Boolean(signal?.aborted) };
     }
 }
 
-async function executeApiRequest(page, apiUrl, payload, token, onChunk = null) {
+function buildAssistantMessage(content, reasoning, searchResults = []) {
+    return {
+        role: 'assistant',
+        content,
+        ...(reasoning ? { reasoning } : {}),
+        ...(searchResults.length > 0 ? { search_results: searchResults } : {})
+    };
+}
+
+async function executeApiRequest(page, apiUrl, payload, token, onChunk = null, onReasoning = null, onSearch = null, signal = null) {
     if (payload?.stream !== false && typeof onChunk === 'function') {
-        const streamedResponse = await executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChunk);
+        const streamedResponse = await executeApiRequestWithNodeStreaming(apiUrl, payload, token, onChunk, onReasoning, onSearch, signal);
 
         const canReturnDirectly =
             streamedResponse.success ||
+            streamedResponse.aborted ||
             Boolean(streamedResponse.status) ||
             Boolean(streamedResponse.errorBody) ||
             streamedResponse.hasStreamedChunks === true;
@@ -572,12 +721,24 @@ async function executeApiRequest(page, apiUrl, payload, token, onChunk = null) {
         logWarn(`Node-streaming недоступен (${streamedResponse.error || 'unknown error'}), fallback к browser fetch.`);
     }
 
-    const requestBody = { apiUrl, payload, token };
+    if (signal?.aborted) return { success: false, error: 'Запрос отменён клиентом', aborted: true };
+
+    // AbortSignal из Node в страницу не передать: fetch внутри page.evaluate прерывается
+    // своим AbortController, который ищем по requestId в window.
+    const requestBody = { apiUrl, payload, token, requestId: crypto.randomUUID(), auxiliaryPhases: AUXILIARY_PHASES };
+    const abortInPage = () => {
+        page.evaluate((requestId) => window.__qwenProxyAbortControllers?.[requestId]?.abort(), requestBody.requestId)
+            .catch(error => logDebug(`Не удалось прервать запрос в браузере: ${error.message}`));
+    };
+    signal?.addEventListener('abort', abortInPage, { once: true });
 
     logDebug(`Используем токен: ${token ? 'Токен существует' : 'Токен отсутствует'}`);
     logDebug(`API URL: ${apiUrl}`);
 
-    return page.evaluate(async (data) => {
+    const response = await page.evaluate(async (data) => {
+        const controller = new AbortController();
+        window.__qwenProxyAbortControllers = window.__qwenProxyAbortControllers || {};
+        window.__qwenProxyAbortControllers[data.requestId] = controller;
         try {
             const t = data.token;
             if (!t) return { success: false, error: 'Токен авторизации не найден' };
@@ -589,7 +750,8 @@ async function executeApiRequest(page, apiUrl, payload, token, onChunk = null) {
                     'Authorization': `Bearer ${t}`,
                     'Accept': '*/*'
                 },
-                body: JSON.stringify(data.payload)
+                body: JSON.stringify(data.payload),
+                signal: controller.signal
             });
 
             if (response.ok) {
@@ -601,114 +763,127 @@ async function executeApiRequest(page, apiUrl, payload, token, onChunk = null) {
                     return { success: true, isTask: true, data: jsonResponse };
                 }
 
+                // Ответ разбирается на стороне Node (parseNonSseCompletionBody, createCompletionStreamParser),
+                // здесь только читаем поток: data:-строки возвращаем как есть.
                 const contentType = response.headers.get('content-type') || '';
+                if (!contentType.includes('text/event-stream')) return { success: true, nonSseBody: await response.text() };
 
-                if (!contentType.includes('text/event-stream')) {
-                    const body = await response.text();
+                // Конец потока: [DONE], ошибка, finish_reason или status: 'finished' не служебной фазы.
+                const isLastLine = (jsonStr) => {
+                    if (jsonStr === '[DONE]') return true;
                     try {
-                        const parsed = JSON.parse(body);
-                        const topLevelCode = parsed?.code;
-                        const nestedCode = parsed?.data?.code;
-                        const hasStructuredError =
-                            parsed?.success === false ||
-                            Boolean(parsed?.error) ||
-                            Boolean(parsed?.data?.error) ||
-                            Boolean(topLevelCode) ||
-                            Boolean(nestedCode);
-
-                        // API иногда возвращает JSON с success=false и code при HTTP 200.
-                        if (hasStructuredError) {
-                            const isRateLimited = topLevelCode === 'RateLimited' || nestedCode === 'RateLimited';
-                            return {
-                                success: false,
-                                status: isRateLimited ? 429 : 500,
-                                errorBody: body
-                            };
-                        }
-                        // Валидный JSON-ответ completion (иногда Qwen возвращает так)
-                        if (parsed.choices || parsed.id || (parsed.success === true && parsed.data)) {
-                            return { success: true, isTask: false, data: parsed };
-                        }
-                    } catch { /* not JSON, treat as unexpected */ }
-                    return { success: false, error: 'Unexpected non-SSE 200 response', errorBody: body };
-                }
+                        const chunk = JSON.parse(jsonStr);
+                        const choice = chunk.choices?.[0];
+                        return Boolean(chunk.code || (chunk.error && !chunk.choices) || choice?.finish_reason ||
+                            (choice?.delta?.status === 'finished' && !data.auxiliaryPhases.includes(choice.delta.phase)));
+                    } catch {
+                        return false;
+                    }
+                };
 
                 const reader = response.body.getReader();
                 const decoder = new TextDecoder();
+                const sseLines = [];
                 let buffer = '';
-                let fullContent = '';
-                let responseId = null;
-                let usage = null;
                 let finished = false;
-                let streamError = null;
-
-                while (!finished) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    buffer += decoder.decode(value, { stream: true });
-                    const lines = buffer.split('\n');
-                    buffer = lines.pop() || '';
-
-                    for (const line of lines) {
-                        if (!line.trim() || !line.startsWith('data: ')) continue;
-                        const jsonStr = line.substring(6).trim();
-                        if (!jsonStr) continue;
-                        try {
-                            const chunk = JSON.parse(jsonStr);
-
-                            if (chunk.code === 'RateLimited' || (chunk.code && chunk.detail)) {
-                                streamError = { status: 429, errorBody: JSON.stringify(chunk) };
-                                finished = true;
-                                break;
-                            }
-                            if (chunk.error && !chunk.choices) {
-                                streamError = { status: 500, errorBody: JSON.stringify(chunk) };
+
+                try {
+                    while (!finished) {
+                        const { done, value } = await reader.read();
+                        if (done) break;
+                        buffer += decoder.decode(value, { stream: true });
+                        const lines = buffer.split('\n');
+                        buffer = lines.pop() || '';
+
+                        for (const rawLine of lines) {
+                            const line = rawLine.trim();
+                            if (!line.startsWith('data:')) continue;
+                            const jsonStr = line.substring(5).trim();
+                            if (!jsonStr) continue;
+                            sseLines.push(jsonStr);
+                            if (isLastLine(jsonStr)) {
                                 finished = true;
                                 break;
                             }
-
-                            if (chunk['response.created']) responseId = chunk['response.created'].response_id;
-                            if (chunk.choices && chunk.choices[0]) {
-                                const delta = chunk.choices[0].delta;
-                                if (delta && delta.content) fullContent += delta.content;
-                                if (delta && delta.status === 'finished') finished = true;
-                            }
-                            if (chunk.usage) usage = chunk.usage;
-                        } catch { /* ignore parse errors for individual chunks */ }
+                        }
                     }
+                } catch (error) {
+                    // Отмена из Node (abortInPage) — возвращаем накопленную часть ответа.
+                    if (!controller.signal.aborted) throw error;
                 }
 
-                if (streamError) {
-                    return { success: false, ...streamError };
-                }
-
-                return {
-                    success: true,
-                    isTask: false,
-                    data: {
-                        id: responseId || 'chatcmpl-' + Date.now(),
-                        object: 'chat.completion',
-                        created: Math.floor(Date.now() / 1000),
-                        model: data.payload.model,
-                        choices: [{ index: 0, message: { role: 'assistant', content: fullContent }, finish_reason: 'stop' }],
-                        usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-                        response_id: responseId
-                    }
-                };
+                return { success: true, sseLines, aborted: controller.signal.aborted };
             }
 
             const errorBody = await response.text();
             return { success: false, status: response.status, statusText: response.statusText, errorBody };
         } catch (error) {
-            return { success: false, error: error.toString() };
+            return { success: false, error: error.toString(), aborted: controller.signal.aborted };
+        } finally {
+            delete window.__qwenProxyAbortControllers[data.requestId];
         }
     }, requestBody);
+
+    signal?.removeEventListener('abort', abortInPage);
+    if (typeof response.nonSseBody === 'string') return parseNonSseCompletionBody(response.nonSseBody);
+    if (Array.isArray(response.sseLines)) {
+        const parser = createCompletionStreamParser();
+        for (const line of response.sseLines) {
+            if (parser.push(line)) break;
+        }
+        return parser.finish(payload.model, response.aborted);
+    }
+    return response;
 }
 
-async function handleApiError(response, tokenObj, message, model, chatId, parentId, files, retryCount, chatType, size, waitForCompletion, onChunk = null) {
+/**
+ * Просит Qwen остановить генерацию ответа (как кнопка «Стоп» в веб-интерфейсе).
+ * Best-effort: после обрыва соединения часть бэкендов продолжает генерацию и тратит квоту аккаунта.
+ */
+async function stopGeneration(chatId, responseId, token) {
+    if (!chatId || !token || typeof fetch !== 'function') return;
+    try {
+        const response = await fetch(`${CHAT_STOP_URL}?chat_id=${chatId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                'Accept': '*/*'
+            },
+            body: JSON.stringify({ chat_id: chatId, response_id: responseId })
+        });
+        if (response.ok) {
+            logInfo(`Генерация в чате ${chatId} остановлена`);
+        } else {
+            logDebug(`Stop-эндпоинт вернул ${response.status} для чата ${chatId}`);
+        }
+    } catch (error) {
+        logDebug(`Не удалось вызвать stop-эндпоинт: ${error.message}`);
+    }
+}
+
+/**
+ * Перенос диалога на другой аккаунт: старый Qwen-чат под новым токеном недоступен,
+ * поэтому локальная история (chatHistory) уходит в первое сообщение нового чата.
+ */
+function withMigratedHistory(message, chatId) {
+    if (!chatId || !chatExists(chatId)) return message;
+    const history = getActiveBranch(loadHistory(chatId));
+    const transcript = buildStatelessTranscript(history);
+    if (!transcript) return message;
+
+    logInfo(`Перенос контекста чата ${chatId} в новый чат (${history.length} сообщений)`);
+    const preface = `Continue the conversation below. Previous messages:\n\n${transcript}\n\nUser:`;
+    if (Array.isArray(message)) return [{ type: 'text', text: preface }, ...message];
+    if (typeof message === 'string') return `${preface} ${message}`;
+    return message;
+}
+
+async function handleApiError(response, tokenObj, message, model, chatId, parentId, files, retryCount, chatType, size, waitForCompletion, onChunk = null, options = {}) {
     logRaw(JSON.stringify(response));
     logError(`Ошибка при получении ответа: ${response.error || response.statusText}`);
     if (response.errorBody) logDebug(`Тело ответа с ошибкой: ${response.errorBody}`);
+    incCounter('upstream_errors_total', { class: classifyUpstreamError(response), model });
 
     if (response.html && response.html.includes('Verification')) {
         setAuthenticationStatus(false);
@@ -730,9 +905,10 @@ async function handleApiError(response, tokenObj, message, model, chatId, parent
         }
         const { hasValidTokens } = await import('./tokenManager.js');
         if (hasValidTokens() && retryCount < MAX_RETRY_COUNT) {
+            incCounter('upstream_retries_total', { reason: 'unauthorized' });
             // chatId/parentId сбрасываем: при смене аккаунта старый чат
-            // принадлежит прежнему токену и под новым «не существует».
-            return sendMessage(message, model, null, null, files, null, null, null, chatType, size, waitForCompletion, retryCount + 1, onChunk);
+            // принадлежит прежнему токену и под новым «не существует»; контекст переносим историей.
+            return sendMessage(withMigratedHistory(message, chatId), model, null, null, files, null, null, null, chatType, size, waitForCompletion, retryCount + 1, onChunk, options);
         }
         logError('Не осталось валидных токенов или исчерпаны попытки.');
         return { error: 'Все токены недействительны (401). Требуется повторная авторизация.', chatId };
@@ -756,9 +932,10 @@ async function handleApiError(response, tokenObj, message, model, chatId, parent
         authToken = null;
         const { hasValidTokens } = await import('./tokenManager.js');
         if (hasValidTokens() && retryCount < MAX_RETRY_COUNT) {
+            incCounter('upstream_retries_total', { reason: 'rate_limited' });
             // chatId/parentId сбрасываем: при смене аккаунта старый чат
-            // принадлежит прежнему токену и под новым «не существует».
-            return sendMessage(message, model, null, null, files, null, null, null, chatType, size, waitForCompletion, retryCount + 1, onChunk);
+            // принадлежит прежнему токену и под новым «не существует»; контекст переносим историей.
+            return sendMessage(withMigratedHistory(message, chatId), model, null, null, files, null, null, null, chatType, size, waitForCompletion, retryCount + 1, onChunk, options);
         }
         return { error: `Все токены заблокированы по лимиту (${hours}ч)`, chatId };
     }
@@ -768,46 +945,68 @@ async function handleApiError(response, tokenObj, message, model, chatId, parent
 
 // ─── Main public API ─────────────────────────────────────────────────────────
 
-export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null, parentId = null, files = null, tools = null, toolChoice = null, systemMessage = null, chatType = 't2t', size = null, waitForCompletion = true, retryCount = 0, onChunk = null) {
+/**
+ * options — дополнительные режимы Qwen Chat:
+ * thinking (bool) и thinkingBudget включают фазу рассуждений, onReasoning(chunk) получает её поток;
+ * search (bool) включает веб-поиск, onSearch(results) получает новые источники по мере поиска;
+ * signal (AbortSignal) прерывает генерацию — результат содержит накопленную часть ответа и aborted: true.
+ */
+export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null, parentId = null, files = null, tools = null, toolChoice = null, systemMessage = null, chatType = 't2t', size = null, waitForCompletion = true, retryCount = 0, onChunk = null, options = {}) {
     if (!availableModels) availableModels = getAvailableModelsFromFile();
 
     const browserContext = getBrowserContext();
     if (!browserContext) return { error: 'Браузер не инициализирован', chatId };
+    if (options.signal?.aborted) return { error: 'Запрос отменён клиентом', aborted: true, chatId, parentId };
+
+    // Владелец чата залимичен или недействителен — продолжаем диалог в новом чате другого аккаунта.
+    const ownerId = getChatOwner(chatId);
+    if (ownerId && !isAccountAvailable(ownerId)) {
+        logWarn(`Аккаунт ${ownerId}, владеющий чатом ${chatId}, недоступен — переносим диалог`);
+        message = withMigratedHistory(message, chatId);
+        chatId = null;
+        parentId = null;
+    }
 
     // Резолвим аккаунт ОДИН раз: одним и тем же токеном создаём чат и
     // отправляем сообщение — иначе round-robin разнесёт их по разным
     // аккаунтам и Qwen вернёт «chat is not exist».
-    const tokenObj = await resolveAuthToken(browserContext);
-    if (!tokenObj) return { error: 'Ошибка авторизации: не удалось получить токен', chatId };
+    // Слот аккаунта в планировщике занят до конца запроса (см. finally).
+    const auth = await resolveAuthToken(browserContext, chatId, { model, signal: options.signal });
+    if (auth?.error) return { ...auth, chatId, parentId };
+    if (!auth) return { error: 'Ошибка авторизации: не удалось получить токен', chatId };
+    const { tokenObj, lease } = auth;
+    // При повторе через handleApiError аккаунт в контексте логов сменится на новый
+    setRequestContext({ accountId: tokenObj.id, chatId });
 
-    if (!chatId) {
-        const newChatResult = await createChatV2(model, 'Новый чат', 0, chatType, tokenObj);
-        if (newChatResult.error) return { error: 'Не удалось создать чат: ' + newChatResult.error };
-        chatId = newChatResult.chatId;
-        logInfo(`Создан новый чат v2 с ID: ${chatId}`);
-    }
+    let page = null;
+    try {
+        if (!chatId) {
+            const newChatResult = await createChatV2(model, 'Новый чат', 0, chatType, tokenObj);
+            if (newChatResult.error) return { error: 'Не удалось создать чат: ' + newChatResult.error };
+            chatId = newChatResult.chatId;
+            logInfo(`Создан новый чат v2 с ID: ${chatId}`);
+        }
 
-    const validated = validateAndPrepareMessage(message);
-    if (validated.error) {
-        logError(validated.error);
-        return { error: validated.error, chatId };
-    }
-    const messageContent = validated.content;
+        const validated = validateAndPrepareMessage(message);
+        if (validated.error) {
+            logError(validated.error);
+            return { error: validated.error, chatId };
+        }
+        const messageContent = validated.content;
 
-    if (!model || model.trim() === '') {
-        model = DEFAULT_MODEL;
-    } else if (!isValidModel(model)) {
-        logWarn(`Модель "${model}" не найдена в списке доступных. Используется модель по умолчанию.`);
-        model = DEFAULT_MODEL;
-    }
-    logInfo(`Используемая модель: "${model}"`);
-    if (chatType !== 't2t') {
-        const typeLabels = { t2i: 'изображение', t2v: 'видео' };
-        logInfo(`Тип генерации: ${chatType} (${typeLabels[chatType] || chatType})${size ? `, размер: ${size}` : ''}`);
-    }
+        if (!model || model.trim() === '') {
+            model = DEFAULT_MODEL;
+        } else if (!isValidModel(model)) {
+            logWarn(`Модель "${model}" не найдена в списке доступных. Используется модель по умолчанию.`);
+            model = DEFAULT_MODEL;
+        }
+        setRequestContext({ model, chatId });
+        logInfo(`Используемая модель: "${model}"`);
+        if (chatType !== 't2t') {
+            const typeLabels = { t2i: 'изображение', t2v: 'видео' };
+            logInfo(`Тип генерации: ${chatType} (${typeLabels[chatType] || chatType})${size ? `, размер: ${size}` : ''}`);
+        }
 
-    let page = null;
-    try {
         page = await pagePool.getPage(browserContext);
 
         const verificationNeeded = await checkVerification(page);
@@ -824,12 +1023,34 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
 
         logInfo('Отправка запроса к API v2...');
 
-        const payload = buildPayloadV2(messageContent, model, chatId, parentId, files, systemMessage, tools, toolChoice, chatType, size);
+        const payload = buildPayloadV2(messageContent, model, chatId, parentId, files, systemMessage, tools, toolChoice, chatType, size, options);
         logDebug('=== PAYLOAD V2 ===\n' + JSON.stringify(payload, null, 2));
         logDebug(`Отправка сообщения в чат ${chatId} с parent_id: ${parentId || 'null'}`);
 
         const apiUrl = `${CHAT_API_URL}?chat_id=${chatId}`;
-        const response = await executeApiRequest(page, apiUrl, payload, authToken, onChunk);
+        // Время до первого токена (ответа или рассуждений) — для метрик
+        const startedAt = Date.now();
+        let firstTokenAt = null;
+        const timed = callback => (typeof callback === 'function'
+            ? (...args) => {
+                firstTokenAt = firstTokenAt || Date.now();
+                return callback(...args);
+            }
+            : callback);
+        const response = await executeApiRequest(page, apiUrl, payload, authToken, timed(onChunk), timed(options.onReasoning), options.onSearch, options.signal);
+        recordUpstreamRequest({
+            model,
+            account: tokenObj.id,
+            outcome: response.aborted ? 'aborted' : response.success ? 'success' : 'error',
+            startedAt,
+            firstTokenAt
+        });
+
+        if (response.aborted) {
+            logInfo(`Запрос отменён — генерация в чате ${chatId} прервана`);
+            await stopGeneration(chatId, response.data?.response_id, authToken);
+            if (!response.success) return { error: 'Запрос отменён клиентом', aborted: true, chatId, parentId };
+        }
 
         if (response.success && response.isTask) {
             logInfo('Обнаружен ответ с задачей (видеогенерация)');
@@ -871,6 +1092,7 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
             if (taskResult.success && taskResult.status === 'completed') {
                 logInfo('Видео успешно сгенерировано');
                 const videoUrl = extractVideoUrl(taskResult.data);
+                const usage = accountUsage(taskResult.data.usage, { message: messageContent, systemMessage }, {}, tokenObj.id);
                 return {
                     id: taskId,
                     object: 'chat.completion',
@@ -881,7 +1103,7 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
                         message: { role: 'assistant', content: videoUrl || JSON.stringify(taskResult.data) },
                         finish_reason: 'stop'
                     }],
-                    usage: taskResult.data.usage || { prompt_tokens: 0, output_tokens: 0, total_tokens: 0 },
+                    usage,
                     response_id: taskId,
                     chatId,
                     parentId: taskId,
@@ -900,11 +1122,31 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
         if (response.success) {
             logRaw(JSON.stringify(response.data));
             logInfo('Ответ получен успешно');
+            setChatOwner(chatId, tokenObj.id);
             response.data.chatId = chatId;
-            response.data.parentId = response.data.response_id;
+            // fid — id запроса в дереве Qwen-чата: от него можно ответвиться при правке сообщения.
+            response.data.userMessageId = payload.messages[0].fid;
+            // Прерванный ответ Qwen тоже сохраняет в чате — он становится родителем следующего сообщения.
+            response.data.parentId = response.data.response_id || (response.aborted ? parentId : null);
+            if (response.aborted) response.data.aborted = true;
             response.data.id = response.data.id || 'chatcmpl-' + Date.now();
+            const assistantMessage = response.data.choices?.[0]?.message;
+            response.data.usage = accountUsage(
+                response.data.usage,
+                { message: messageContent, systemMessage, tools },
+                { content: assistantMessage?.content, reasoning: assistantMessage?.reasoning },
+                tokenObj.id
+            );
             
             // Fallback: если поток чанков не был отдан, отправляем контент единым куском.
+            const reasoning = response.data.choices?.[0]?.message?.reasoning;
+            if (typeof options.onReasoning === 'function' && reasoning && !response.hasStreamedReasoning) {
+                options.onReasoning(reasoning);
+            }
+            const searchResults = response.data.choices?.[0]?.message?.search_results;
+            if (typeof options.onSearch === 'function' && searchResults?.length > 0 && !response.hasStreamedSearch) {
+                options.onSearch(searchResults);
+            }
             if (typeof onChunk === 'function' && response.data.choices?.[0]?.message?.content && !response.hasStreamedChunks) {
                 onChunk(response.data.choices[0].message.content);
             }
@@ -912,7 +1154,9 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
             return response.data;
         }
 
-        return handleApiError(response, tokenObj, message, model, chatId, parentId, files, retryCount, chatType, size, waitForCompletion, onChunk);
+        // Слот отпускаем до повторной попытки: она займёт другой аккаунт
+        lease?.release();
+        return handleApiError(response, tokenObj, message, model, chatId, parentId, files, retryCount, chatType, size, waitForCompletion, onChunk, options);
     } catch (error) {
         logError('Ошибка при отправке сообщения', error);
         return { error: error.toString(), chatId };
@@ -920,9 +1164,21 @@ export async function sendMessage(message, model = DEFAULT_MODEL, chatId = null,
         if (page) {
             pagePool.releasePage(page);
         }
+        lease?.release();
     }
 }
 
+/**
+ * usage ответа в формате OpenAI (от Qwen или локальная оценка, если Qwen его не прислал)
+ * с учётом в итогах ключа и аккаунта (usageStats.js).
+ */
+function accountUsage(upstream, prompt, completion, accountId) {
+    const { estimated, ...usage } = resolveUsage(upstream, prompt, completion);
+    if (estimated) logDebug(`usage от Qwen не получен, оценка: ${usage.prompt_tokens} + ${usage.completion_tokens} токенов`);
+    recordUsage({ keyId: getRequestContext()?.apiKeyId, accountId, usage, estimated });
+    return usage;
+}
+
 // ─── Task response helpers ───────────────────────────────────────────────────
 
 function extractTaskId(data) {
@@ -1011,6 +1267,13 @@ export function getAuthToken() {
     return authToken;
 }
 
+/**
+ * Можно ли обслужить запрос токеном браузера, когда аккаунты недоступны (см. resolveAuthToken).
+ */
+export function isBrowserFallbackAvailable() {
+    return !browserTokenRateLimited && Boolean(getBrowserContext());
+}
+
 // ─── createChatV2 ────────────────────────────────────────────────────────────
 
 export async function createChatV2(model = DEFAULT_MODEL, title = 'Новый чат', retryCount = 0, chatType = 't2t', tokenObj = null) {
@@ -1020,7 +1283,7 @@ export async function createChatV2(model = DEFAULT_MODEL, title = 'Новый ч
     // tokenObj может прийти от sendMessage — тогда создание чата и отправка
     // идут под ОДНИМ аккаунтом (иначе round-robin создаст чат на одном
     // аккаунте, а сообщение уйдёт под другим → «chat is not exist»).
-    if (!tokenObj) tokenObj = await getAvailableToken();
+    if (!tokenObj) tokenObj = pickAccount(model);
     if (tokenObj?.token) {
         authToken = tokenObj.token;
         logInfo(`Используется аккаунт для создания чата: ${tokenObj.id}`);
@@ -1058,12 +1321,14 @@ export async function createChatV2(model = DEFAULT_MODEL, title = 'Новый ч
 
         if (result.success && result.data.success) {
             logInfo(`Чат создан: ${result.data.data.id}`);
+            setChatOwner(result.data.data.id, tokenObj?.token ? tokenObj.id : 'browser');
             return { success: true, chatId: result.data.data.id, requestId: result.data.request_id };
         }
 
         const isTransient = result.status >= 500 && result.status < 600;
         if (isTransient && retryCount < MAX_RETRY_COUNT) {
             logWarn(`Создание чата: ${result.status}, ретрай ${retryCount + 1}/${MAX_RETRY_COUNT} через ${RETRY_DELAY}мс...`);
+            incCounter('upstream_retries_total', { reason: 'create_chat' });
             await delay(RETRY_DELAY);
             return createChatV2(model, title, retryCount + 1, chatType, tokenObj);
         }
@@ -1085,9 +1350,34 @@ export async function createChatV2(model = DEFAULT_MODEL, title = 'Новый ч
 
 // ─── testToken ───────────────────────────────────────────────────────────────
 
+function testTokenStatus(status) {
+    if (status === 400) return 'OK';
+    if (status === 401 || status === 403) return 'UNAUTHORIZED';
+    if (status === 429) return 'RATELIMIT';
+    return 'ERROR';
+}
+
+/**
+ * Проверка токена без браузера — для импорта аккаунтов на headless-сервере до initBrowser.
+ */
+async function testTokenWithNodeFetch(token) {
+    try {
+        const response = await fetch(CHAT_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ chat_type: 't2t', messages: [{ role: 'user', content: 'ping', chat_type: 't2t' }], model: DEFAULT_MODEL, stream: false }),
+            signal: AbortSignal.timeout(PAGE_TIMEOUT)
+        });
+        return response.ok ? 'OK' : testTokenStatus(response.status);
+    } catch (e) {
+        logError('testToken error', e);
+        return 'ERROR';
+    }
+}
+
 export async function testToken(token) {
     const browserContext = getBrowserContext();
-    if (!browserContext) return 'ERROR';
+    if (!browserContext) return testTokenWithNodeFetch(token);
 
     let page;
     let shouldClosePage = false;
@@ -1115,10 +1405,8 @@ export async function testToken(token) {
             }
         }, requestBody);
 
-        if (result.ok || result.status === 400) return 'OK';
-        if (result.status === 401 || result.status === 403) return 'UNAUTHORIZED';
-        if (result.status === 429) return 'RATELIMIT';
-        return 'ERROR';
+        if (result.ok) return 'OK';
+        return testTokenStatus(result.status);
     } catch (e) {
         logError('testToken error', e);
         return 'ERROR';
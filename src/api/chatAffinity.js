@@ -0,0 +1,63 @@
+// chatAffinity.js — Привязка Qwen-чатов к аккаунтам (chatId -> accountId).
+// Qwen-чат существует только у аккаунта, который его создал: сообщение в тот же чат
+// под другим токеном падает с «chat is not exist». Карта живёт в хранилище сессий
+// (sessionStore.js), чтобы переживать перезапуск прокси.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPersistentMap } from './sessionStore.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+import { SESSION_DIR, CHAT_AFFINITY_TTL_DAYS } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Файл прежних версий: переносится в хранилище при первом обращении и удаляется
+const LEGACY_OWNERS_FILE = path.resolve(__dirname, '..', '..', SESSION_DIR, 'chat-owners.json');
+const TTL_MS = CHAT_AFFINITY_TTL_DAYS * 24 * 3600 * 1000;
+
+const owners = createPersistentMap('chatOwners', { ttlMs: TTL_MS });
+let legacyChecked = false;
+
+function migrateLegacyOwners() {
+    if (legacyChecked) return;
+    legacyChecked = true;
+    if (!fs.existsSync(LEGACY_OWNERS_FILE)) return;
+    try {
+        const legacy = JSON.parse(fs.readFileSync(LEGACY_OWNERS_FILE, 'utf8')) || {};
+        let migrated = 0;
+        for (const [chatId, entry] of Object.entries(legacy)) {
+            if (!entry?.accountId || owners.has(chatId) || Date.now() - (entry.usedAt || 0) > TTL_MS) continue;
+            owners.set(chatId, entry.accountId);
+            migrated++;
+        }
+        fs.unlinkSync(LEGACY_OWNERS_FILE);
+        logInfo(`ChatAffinity: перенесено ${migrated} привязок из chat-owners.json в хранилище сессий`);
+    } catch (error) {
+        logError('ChatAffinity: ошибка переноса chat-owners.json', error);
+    }
+}
+
+export function getChatOwner(chatId) {
+    if (!chatId) return null;
+    migrateLegacyOwners();
+    return owners.get(chatId) || null;
+}
+
+/**
+ * Запоминает владельца чата. Пишет в хранилище, только если владелец сменился:
+ * срок привязки продлевает само чтение (см. createPersistentMap).
+ */
+export function setChatOwner(chatId, accountId) {
+    if (!chatId || !accountId) return;
+    migrateLegacyOwners();
+    if (owners.get(chatId) === accountId) return;
+    owners.set(chatId, accountId);
+    logDebug(`ChatAffinity: чат ${chatId} принадлежит аккаунту ${accountId}`);
+}
+
+export function forgetChat(chatId) {
+    if (!chatId) return;
+    migrateLegacyOwners();
+    owners.delete(chatId);
+}
@@ -7,7 +7,7 @@ import { SESSION_DIR, MAX_HISTORY_LENGTH } from '../config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const HISTORY_DIR = path.resolve(__dirname, '..', '..', SESSION_DIR, 'history');
+export const HISTORY_DIR = path.resolve(__dirname, '..', '..', SESSION_DIR, 'history');
 
 export function initHistoryDirectory() {
     if (!fs.existsSync(HISTORY_DIR)) {
@@ -26,7 +26,8 @@ export function createChat(chatName) {
         id: chatId,
         name: chatName || `Новый чат ${new Date().toLocaleString()}`,
         created: Date.now(),
-        messages: []
+        messages: [],
+        currentId: null
     };
     saveHistory(chatId, chatInfo);
     logInfo(`Создан новый чат [${chatId}] с именем "${chatInfo.name}"`);
@@ -48,6 +49,10 @@ function sanitizeChatId(chatId) {
     return chatId;
 }
 
+export function isValidChatId(chatId) {
+    return sanitizeChatId(chatId) !== null;
+}
+
 function getHistoryFilePath(chatId) {
     const safeChatId = sanitizeChatId(chatId);
     if (!safeChatId) {
@@ -99,13 +104,13 @@ export function loadHistory(chatId) {
             // Поддержка обратной совместимости со старым форматом
             if (Array.isArray(data)) {
                 logDebug(`Чат ${chatId} использует устаревший формат, выполняется конвертация`);
-                return {
+                return ensureTree({
                     id: chatId,
                     name: `Чат от ${new Date().toLocaleString()}`,
                     created: Date.now(),
                     messages: data,
                     wasConverted: true
-                };
+                });
             }
 
             // Проверяем наличие обязательных полей
@@ -126,7 +131,7 @@ export function loadHistory(chatId) {
                 data.id = chatId;
             }
 
-            return data;
+            return ensureTree(data);
         } else {
             logInfo(`Файл истории для чата ${chatId} не найден`);
         }
@@ -140,7 +145,8 @@ export function loadHistory(chatId) {
         id: chatId,
         name: `Новый чат ${new Date().toLocaleString()}`,
         created: Date.now(),
-        messages: []
+        messages: [],
+        currentId: null
     };
 }
 
@@ -228,25 +234,259 @@ export function addAssistantMessage(chatId, content, info = {}) {
 }
 
 function addMessageToHistory(chatId, message) {
-    try {
-        let chatData = loadHistory(chatId);
+    const ids = appendMessages(chatId, [message]);
+    if (ids) logDebug(`Сообщение ${message.id} успешно добавлено в чат ${chatId}`);
+    return ids ? ids[0] : null;
+}
 
-        if (chatData.messages.length >= MAX_HISTORY_LENGTH) {
-            logInfo(`Чат ${chatId} достиг максимальной длины (${MAX_HISTORY_LENGTH}), удаляем старые сообщения`);
-            chatData.messages = [chatData.messages[0], ...chatData.messages.slice(chatData.messages.length - MAX_HISTORY_LENGTH + 2)];
+/**
+ * Добавляет в чат цепочку сообщений ({ role, content, ... }) одной записью файла.
+ * По умолчанию цепочка продолжает активную ветку; parentId (null — корень) начинает новую ветку.
+ * Чат создаётся, если его ещё нет. Возвращает id добавленных сообщений или null при ошибке.
+ */
+export function appendMessages(chatId, messages, { parentId } = {}) {
+    try {
+        const chatData = loadHistory(chatId);
+        const parent = parentId === undefined ? chatData.currentId : parentId;
+        if (parent && !findMessage(chatData, parent)) {
+            logError(`Сообщение ${parent} не найдено в чате ${chatId}`);
+            return null;
         }
 
-        chatData.messages.push(message);
-        saveHistory(chatId, chatData);
-        logDebug(`Сообщение ${message.id} успешно добавлено в чат ${chatId}`);
+        const added = attachMessages(chatData, parent, messages);
+        trimHistory(chatData);
 
-        return message.id;
+        if (!saveHistory(chatId, chatData)) return null;
+        logInfo(`В чат ${chatId} добавлено сообщений: ${added.length}`);
+        return added.map(message => message.id);
     } catch (error) {
-        logError(`Ошибка при добавлении сообщения в историю чата ${chatId}`, error);
+        logError(`Ошибка при добавлении сообщений в историю чата ${chatId}`, error);
         return null;
     }
 }
 
+// Ход ассистента с tool_calls клиенты присылают с content: null, а в истории он может лежать с ''
+function comparableContent(content) {
+    return content === undefined || content === '' ? null : content;
+}
+
+// Вызовы инструментов сравниваются по имени и аргументам; аргументы — строка JSON или объект
+function comparableToolCalls(toolCalls) {
+    if (!Array.isArray(toolCalls) || toolCalls.length === 0) return null;
+    return toolCalls.map(call => {
+        let args = call.function?.arguments ?? null;
+        if (typeof args === 'string') {
+            try {
+                args = JSON.parse(args);
+            } catch {
+                // Невалидный JSON сравниваем как есть
+            }
+        }
+        return { name: call.function?.name ?? null, arguments: args };
+    });
+}
+
+/**
+ * Сообщение клиента совпадает с узлом дерева: роль, текст, вызовы инструментов и id вызова у ответа tool.
+ */
+function sameMessage(node, message) {
+    return node.role === message.role &&
+        JSON.stringify(comparableContent(node.content)) === JSON.stringify(comparableContent(message.content)) &&
+        JSON.stringify(comparableToolCalls(node.tool_calls)) === JSON.stringify(comparableToolCalls(message.tool_calls)) &&
+        (node.tool_call_id ?? null) === (message.tool_call_id ?? null);
+}
+
+/**
+ * Сохраняет полную историю от OpenAI-клиента и ответ на неё. Совпадающее с деревом начало
+ * переиспользуется, поэтому изменённое клиентом сообщение (edit в Open WebUI) становится новой веткой.
+ * reply — { content, model, qwenId, userQwenId, qwenChatId }: id ответа и запроса в дереве Qwen-чата.
+ */
+export function recordTranscript(chatId, messages, reply) {
+    try {
+        const chatData = loadHistory(chatId);
+
+        let parent = null;
+        let matched = 0;
+        for (const message of messages) {
+            const candidates = parent
+                ? parent.childrenIds.map(id => findMessage(chatData, id))
+                : chatData.messages.filter(node => !node.parentId);
+            const node = candidates.find(candidate => candidate && sameMessage(candidate, message));
+            if (!node) break;
+            parent = node;
+            matched++;
+        }
+
+        chatData.currentId = parent ? parent.id : null;
+        const added = attachMessages(chatData, chatData.currentId, messages.slice(matched).map(({ id, ...message }) => message));
+        const lastUser = [...added].reverse().find(message => message.role === 'user');
+        if (lastUser && reply.userQwenId) Object.assign(lastUser, { qwenId: reply.userQwenId, qwenChatId: reply.qwenChatId });
+        attachMessages(chatData, chatData.currentId, [{
+            role: 'assistant',
+            content: reply.content,
+            ...(reply.model ? { info: { model: reply.model } } : {}),
+            ...(reply.qwenId ? { qwenId: reply.qwenId, qwenChatId: reply.qwenChatId } : {})
+        }]);
+        trimHistory(chatData);
+        return saveHistory(chatId, chatData);
+    } catch (error) {
+        logError(`Ошибка при сохранении истории чата ${chatId}`, error);
+        return false;
+    }
+}
+
+/**
+ * Делает активной ветку, проходящую через messageId (до её последнего листа).
+ * Возвращает id нового текущего сообщения или null, если сообщение не найдено.
+ */
+export function setActiveBranch(chatId, messageId) {
+    const chatData = loadHistory(chatId);
+    let node = findMessage(chatData, messageId);
+    if (!node) return null;
+    while (node.childrenIds.length > 0) node = findMessage(chatData, node.childrenIds[node.childrenIds.length - 1]);
+
+    chatData.currentId = node.id;
+    if (!saveHistory(chatId, chatData)) return null;
+    logInfo(`Чат ${chatId}: активная ветка переключена на ${node.id}`);
+    return node.id;
+}
+
+// ─── Дерево сообщений ────────────────────────────────────────────────────────
+// messages хранит все ветки чата: у каждого сообщения есть parentId и childrenIds,
+// currentId — последнее сообщение активной ветки. Как и в Qwen Chat, правка сообщения
+// или повторная генерация ответа добавляет соседний узел, а не перезаписывает историю.
+
+export function findMessage(chatData, messageId) {
+    return chatData.messages.find(message => message.id === messageId) || null;
+}
+
+/**
+ * Сообщения ветки от корня до leafId (по умолчанию — активная ветка).
+ */
+export function getActiveBranch(chatData, leafId = chatData.currentId) {
+    const branch = [];
+    const seen = new Set();
+    let node = leafId ? findMessage(chatData, leafId) : null;
+    while (node && !seen.has(node.id)) {
+        seen.add(node.id);
+        branch.unshift(node);
+        node = node.parentId ? findMessage(chatData, node.parentId) : null;
+    }
+    return branch;
+}
+
+/**
+ * Все ветки чата (по одной на лист): длина, точка ответвления и последнее сообщение.
+ */
+export function listBranches(chatData) {
+    const rootCount = chatData.messages.filter(message => !message.parentId).length;
+    return chatData.messages
+        .filter(message => message.childrenIds.length === 0)
+        .map(leaf => {
+            const branch = getActiveBranch(chatData, leaf.id);
+            // Ветка начинается у ближайшего узла, у которого есть соседи
+            const forkIndex = branch.findLastIndex((node, index) => index > 0
+                ? branch[index - 1].childrenIds.length > 1
+                : rootCount > 1);
+            const preview = typeof leaf.content === 'string' ? leaf.content : JSON.stringify(leaf.content ?? '');
+            return {
+                leafId: leaf.id,
+                active: leaf.id === chatData.currentId,
+                length: branch.length,
+                branchStartId: forkIndex === -1 ? null : branch[forkIndex].id,
+                lastMessage: { role: leaf.role, preview: preview.slice(0, 200), timestamp: leaf.timestamp }
+            };
+        });
+}
+
+/**
+ * Плоский массив сообщений из старых версий выстраивается в одну ветку.
+ */
+function ensureTree(chatData) {
+    const messages = chatData.messages;
+    if (messages.every(message => message && Array.isArray(message.childrenIds))) {
+        if (chatData.currentId === undefined) chatData.currentId = messages.length > 0 ? messages[messages.length - 1].id : null;
+        return chatData;
+    }
+
+    let previous = null;
+    chatData.messages = messages.filter(Boolean);
+    for (const message of chatData.messages) {
+        message.id = message.id || crypto.randomUUID();
+        message.parentId = previous ? previous.id : null;
+        message.childrenIds = [];
+        if (previous) previous.childrenIds.push(message.id);
+        previous = message;
+    }
+    chatData.currentId = previous ? previous.id : null;
+    return chatData;
+}
+
+function attachMessages(chatData, parentId, messages) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let parent = parentId ? findMessage(chatData, parentId) : null;
+    const added = [];
+
+    for (const message of messages) {
+        const node = {
+            ...message,
+            id: message.id || crypto.randomUUID(),
+            parentId: parent ? parent.id : null,
+            childrenIds: [],
+            timestamp: message.timestamp || timestamp,
+            chat_type: message.chat_type || "t2t"
+        };
+        if (parent) parent.childrenIds.push(node.id);
+        chatData.messages.push(node);
+        added.push(node);
+        parent = node;
+    }
+    if (parent) chatData.currentId = parent.id;
+    return added;
+}
+
+function removeMessage(chatData, node) {
+    const parent = node.parentId ? findMessage(chatData, node.parentId) : null;
+    if (parent) {
+        // Дети удаляемого узла занимают его место у родителя
+        parent.childrenIds.splice(parent.childrenIds.indexOf(node.id), 1, ...node.childrenIds);
+    }
+    for (const childId of node.childrenIds) {
+        const child = findMessage(chatData, childId);
+        if (child) child.parentId = parent ? parent.id : null;
+    }
+    chatData.messages = chatData.messages.filter(message => message !== node);
+}
+
+/**
+ * Сохраняет импортированный чат с тем же ограничением MAX_HISTORY_LENGTH, что и обычная история.
+ */
+export function saveImportedChat(chatId, chatData) {
+    trimHistory(chatData);
+    return saveHistory(chatId, chatData);
+}
+
+/**
+ * Ограничение MAX_HISTORY_LENGTH: сначала удаляются самые старые неактивные ветки,
+ * затем начало активной ветки (первое сообщение, обычно system, сохраняется).
+ */
+function trimHistory(chatData) {
+    if (chatData.messages.length <= MAX_HISTORY_LENGTH) return;
+    logInfo(`Чат ${chatData.id} превысил максимальную длину (${MAX_HISTORY_LENGTH}), удаляем старые сообщения`);
+
+    const active = new Set(getActiveBranch(chatData).map(message => message.id));
+    while (chatData.messages.length > MAX_HISTORY_LENGTH) {
+        const leaf = chatData.messages.find(message => !active.has(message.id) && message.childrenIds.length === 0);
+        if (!leaf) break;
+        removeMessage(chatData, leaf);
+    }
+    while (chatData.messages.length > MAX_HISTORY_LENGTH) {
+        const branch = getActiveBranch(chatData);
+        if (branch.length < 3) break;
+        removeMessage(chatData, branch[1]);
+    }
+}
+
 export function getAllChats() {
     try {
         initHistoryDirectory();
@@ -310,7 +550,9 @@ export function deleteChatsAutomatically(criteria = {}) {
         const chats = getAllChats();
         logInfo(`Найдено ${chats.length} чатов для проверки`);
 
-        let chatsToDelete = [...chats];
+        // Только maxChats — удаляем лишь самые старые сверх лимита, а не все чаты подряд.
+        const hasFilters = Boolean(olderThan) || userMessageCountLessThan !== undefined || messageCountLessThan !== undefined;
+        let chatsToDelete = hasFilters || !maxChats ? [...chats] : [];
 
         // Фильтрация по возрасту (в миллисекундах)
         if (olderThan) {
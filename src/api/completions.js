@@ -0,0 +1,249 @@
+// completions.js — Legacy OpenAI text completion API (POST /api/v1/completions).
+// Qwen Chat — чат-модель, поэтому prompt оборачивается в однократный sendMessage
+// с инструкцией «продолжи текст», а stop-последовательности применяются на стороне прокси.
+
+import express from 'express';
+import crypto from 'crypto';
+import { sendMessage } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { createClientAbortSignal } from './promptAdapter.js';
+import { logInfo, logError } from '../logger/index.js';
+import { DEFAULT_MODEL, MAX_COMPLETION_CHOICES } from '../config.js';
+import { apiKeyQuota } from './authMiddleware.js';
+import { requestQueue } from './requestQueue.js';
+
+const router = express.Router();
+
+const COMPLETION_INSTRUCTION = 'You are a raw text completion engine. Continue the text from the user message exactly from where it stops. ' +
+    'Output only the continuation: do not repeat the given text, do not add explanations, quotes or markdown fences.';
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function normalizePrompts(prompt) {
+    if (typeof prompt === 'string') return [prompt];
+    if (Array.isArray(prompt) && prompt.length > 0 && prompt.every(p => typeof p === 'string')) return prompt;
+    return null;
+}
+
+function normalizeStops(stop) {
+    if (typeof stop === 'string') return stop ? [stop] : [];
+    return Array.isArray(stop) ? stop.filter(s => typeof s === 'string' && s.length > 0).slice(0, 4) : [];
+}
+
+function buildSystemMessage(suffix) {
+    if (typeof suffix !== 'string' || !suffix) return COMPLETION_INSTRUCTION;
+    return `${COMPLETION_INSTRUCTION}\n\nThe continuation will be followed by this text, so it must connect to it seamlessly ` +
+        `(do not output this text itself):\n<suffix>\n${suffix}\n</suffix>`;
+}
+
+function findStop(text, stops) {
+    let cut = -1;
+    for (const stop of stops) {
+        const index = text.indexOf(stop);
+        if (index !== -1 && (cut === -1 || index < cut)) cut = index;
+    }
+    return cut;
+}
+
+/**
+ * Потоковое применение stop: хвост длиной (самый длинный stop - 1) придерживается,
+ * пока не станет ясно, что stop-последовательность не начинается на границе чанков.
+ */
+function createStopFilter(stops) {
+    const holdBack = stops.reduce((max, stop) => Math.max(max, stop.length - 1), 0);
+    let buffer = '';
+    let stopped = false;
+
+    return {
+        get stopped() { return stopped; },
+        push(chunk) {
+            if (stopped) return '';
+            buffer += chunk;
+            const cut = findStop(buffer, stops);
+            if (cut !== -1) {
+                stopped = true;
+                const text = buffer.slice(0, cut);
+                buffer = '';
+                return text;
+            }
+            const emitLength = Math.max(0, buffer.length - holdBack);
+            const text = buffer.slice(0, emitLength);
+            buffer = buffer.slice(emitLength);
+            return text;
+        },
+        flush() {
+            const text = stopped ? '' : buffer;
+            buffer = '';
+            return text;
+        }
+    };
+}
+
+/**
+ * AbortController варианта: срабатывает при отключении клиента, а вызывающий прерывает его сам,
+ * когда встретилась stop-последовательность, — дальше генерировать незачем.
+ */
+function createJobController(clientSignal) {
+    const controller = new AbortController();
+    if (clientSignal.aborted) controller.abort();
+    else clientSignal.addEventListener('abort', () => controller.abort(), { once: true });
+    return controller;
+}
+
+function buildUsage(results) {
+    const promptTokens = results.reduce((sum, r) => sum + (r.usage?.input_tokens ?? r.usage?.prompt_tokens ?? 0), 0);
+    const completionTokens = results.reduce((sum, r) => sum + (r.usage?.output_tokens ?? r.usage?.completion_tokens ?? 0), 0);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+function buildChoice(text, index, finishReason) {
+    return { text, index, logprobs: null, finish_reason: finishReason };
+}
+
+function buildErrorBody(message, type = 'server_error', code = null) {
+    return { error: { message, type, param: null, code } };
+}
+
+/**
+ * Каждый вариант — отдельная генерация, поэтому в очереди запросов запрос занимает место на каждый.
+ */
+function countQueueWeight(req, res, next) {
+    const prompts = normalizePrompts(req.body?.prompt);
+    const n = Number(req.body?.n ?? 1);
+    if (prompts && Number.isInteger(n) && n > 0) req.queueWeight = Math.min(prompts.length * n, MAX_COMPLETION_CHOICES);
+    next();
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.post('/completions', apiKeyQuota, countQueueWeight, requestQueue, async (req, res) => {
+    try {
+        const { model, prompt, suffix, stop, echo, n = 1, stream, stream_options: streamOptions } = req.body || {};
+        logInfo(`Получен legacy completions запрос${stream ? ' (stream)' : ''}`);
+
+        const prompts = normalizePrompts(prompt);
+        if (!prompts) {
+            logError('Запрос без prompt');
+            return res.status(400).json(buildErrorBody('prompt must be a string or an array of strings', 'invalid_request_error', 'invalid_prompt'));
+        }
+        const choicesPerPrompt = Number(n);
+        if (!Number.isInteger(choicesPerPrompt) || choicesPerPrompt < 1 || prompts.length * choicesPerPrompt > MAX_COMPLETION_CHOICES) {
+            return res.status(400).json(buildErrorBody(`n must be an integer between 1 and ${MAX_COMPLETION_CHOICES} in total for all prompts`, 'invalid_request_error', 'invalid_n'));
+        }
+
+        const stops = normalizeStops(stop);
+        const systemMessage = buildSystemMessage(suffix);
+        const mappedModel = getMappedModel(model);
+        logInfo(`Используется модель: ${mappedModel}${model && mappedModel !== model ? ` (запрошена "${model}")` : ''}`);
+
+        // Каждый choice — отдельный новый чат: аккаунт под него занимает планировщик (accountScheduler),
+        // поэтому параллельные варианты расходятся по свободным аккаунтам.
+        const jobs = prompts.flatMap(text => Array.from({ length: choicesPerPrompt }, () => text))
+            .map((text, index) => ({ text, index }));
+        const completionId = `cmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+        const created = Math.floor(Date.now() / 1000);
+        const responseModel = mappedModel || DEFAULT_MODEL;
+        if (jobs.length > 1) logInfo(`Параллельная генерация ${jobs.length} вариантов`);
+        const clientSignal = createClientAbortSignal(res);
+
+        if (!stream) {
+            const results = await Promise.all(jobs.map(job => {
+                const controller = createJobController(clientSignal);
+                const filter = createStopFilter(stops);
+                const onChunk = stops.length > 0
+                    ? (chunk) => {
+                        filter.push(chunk);
+                        if (filter.stopped) controller.abort();
+                    }
+                    : null;
+                return sendMessage(job.text, mappedModel, null, null, null, null, null, systemMessage, 't2t', null, true, 0, onChunk, { signal: controller.signal });
+            }));
+            if (clientSignal.aborted) return;
+            const failed = results.find(r => r.error);
+            if (failed) {
+                return res.status(500).json(buildErrorBody(failed.error));
+            }
+
+            const choices = results.map((result, index) => {
+                const fullText = result.choices?.[0]?.message?.content || '';
+                const cut = findStop(fullText, stops);
+                const text = cut === -1 ? fullText : fullText.slice(0, cut);
+                return buildChoice(echo ? jobs[index].text + text : text, index, 'stop');
+            });
+
+            return res.json({
+                id: completionId,
+                object: 'text_completion',
+                created,
+                model: responseModel,
+                choices,
+                usage: buildUsage(results)
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        const writeChunk = (choice) => res.write('data: ' + JSON.stringify({
+            id: completionId,
+            object: 'text_completion',
+            created,
+            model: responseModel,
+            choices: [choice]
+        }) + '\n\n');
+
+        const runJob = async (job) => {
+            const controller = createJobController(clientSignal);
+            const filter = createStopFilter(stops);
+            let hasStreamedChunks = false;
+            if (echo) writeChunk(buildChoice(job.text, job.index, null));
+
+            const result = await sendMessage(
+                job.text, mappedModel, null, null, null, null, null, systemMessage,
+                't2t', null, true, 0, (chunk) => {
+                    hasStreamedChunks = true;
+                    const text = filter.push(chunk);
+                    if (text) writeChunk(buildChoice(text, job.index, null));
+                    if (filter.stopped) controller.abort();
+                },
+                { signal: controller.signal }
+            );
+            if (result.error) return result;
+
+            const rest = hasStreamedChunks ? filter.flush() : filter.push(result.choices?.[0]?.message?.content || '') + filter.flush();
+            if (rest) writeChunk(buildChoice(rest, job.index, null));
+            writeChunk(buildChoice('', job.index, 'stop'));
+            return result;
+        };
+
+        try {
+            const results = await Promise.all(jobs.map(runJob));
+            if (clientSignal.aborted) return;
+            const failed = results.find(r => r.error);
+            if (failed) {
+                res.write('data: ' + JSON.stringify(buildErrorBody(failed.error)) + '\n\n');
+            } else if (streamOptions?.include_usage) {
+                // Итоговый usage по всем вариантам — отдельным чанком с пустым choices, как у OpenAI
+                res.write('data: ' + JSON.stringify({
+                    id: completionId, object: 'text_completion', created, model: responseModel, choices: [], usage: buildUsage(results)
+                }) + '\n\n');
+            }
+        } catch (error) {
+            logError('Ошибка при обработке потокового completions запроса', error);
+            res.write('data: ' + JSON.stringify(buildErrorBody('Internal server error')) + '\n\n');
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    } catch (error) {
+        logError('Ошибка при обработке completions запроса', error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(500).json(buildErrorBody('Внутренняя ошибка сервера'));
+    }
+});
+
+export default router;
@@ -1,7 +1,7 @@
 import { getBrowserContext } from '../browser/browser.js';
 import { logInfo, logError } from '../logger/index.js';
 import { getAuthToken, extractAuthToken, pagePool } from './chat.js';
-import { getAvailableToken } from './tokenManager.js';
+import { pickAccount } from './accountScheduler.js';
 import fs from 'fs';
 import path from 'path';
 import { STS_TOKEN_API_URL, OSS_SDK_URL, UPLOADS_DIR } from '../config.js';
@@ -19,7 +19,7 @@ function validateBrowserContext() {
 }
 
 async function validateAuthToken(browserContext) {
-    const tokenObj = await getAvailableToken();
+    const tokenObj = pickAccount();
     if (tokenObj?.token) {
         logInfo(`Используется токен из tokenManager: ${tokenObj.id}`);
         return tokenObj.token;
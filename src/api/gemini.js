@@ -0,0 +1,370 @@
+// gemini.js — Совместимость с Google Gemini REST API (v1beta):
+// POST /v1beta/models/{model}:generateContent и :streamGenerateContent.
+// contents[].parts[] переводятся в OpenAI-подобный transcript, inline-изображения
+// загружаются в Qwen через fileUpload.js, functionDeclarations — через JSON-prompt.
+
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { sendMessage, getAllModels } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { uploadFileToQwen } from './fileUpload.js';
+import { authMiddleware, apiKeyQuota } from './authMiddleware.js';
+import { prepareOpenAIMessageInput, applyToolPrompt, parseToolCallJson, toQwenContent } from './promptAdapter.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+import { DEFAULT_MODEL, UPLOADS_DIR } from '../config.js';
+import { requestQueue } from './requestQueue.js';
+
+const router = express.Router();
+
+// Gemini-клиенты могут передавать ключ в query (?key=...) — приводим к заголовку.
+router.use((req, res, next) => {
+    if (!req.headers['x-goog-api-key'] && typeof req.query.key === 'string') req.headers['x-goog-api-key'] = req.query.key;
+    next();
+});
+router.use(authMiddleware);
+
+const MIME_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/bmp': '.bmp',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt'
+};
+
+// ─── Helpers: Gemini -> OpenAI ───────────────────────────────────────────────
+
+/**
+ * REST API Gemini принимает поля и в camelCase, и в snake_case.
+ */
+function field(obj, camelName, snakeName) {
+    return obj?.[camelName] ?? obj?.[snakeName];
+}
+
+function partsToText(parts) {
+    return (parts || []).map(p => p?.text || '').filter(Boolean).join('\n');
+}
+
+function systemInstructionToText(systemInstruction) {
+    if (!systemInstruction) return null;
+    if (typeof systemInstruction === 'string') return systemInstruction;
+    return partsToText(systemInstruction.parts) || null;
+}
+
+/**
+ * Сохраняет inlineData во временный файл и загружает его в Qwen тем же путём,
+ * что и /api/files/upload. Возвращает URL загруженного файла.
+ */
+async function uploadInlineData(inlineData) {
+    const mimeType = field(inlineData, 'mimeType', 'mime_type') || 'application/octet-stream';
+    const extension = MIME_EXTENSIONS[mimeType] || `.${mimeType.split('/').pop().replace(/[^a-z0-9]/gi, '') || 'bin'}`;
+    const uploadDir = path.join(process.cwd(), UPLOADS_DIR);
+    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+
+    const filePath = path.join(uploadDir, `gemini-${crypto.randomUUID()}${extension}`);
+    fs.writeFileSync(filePath, Buffer.from(inlineData.data || '', 'base64'));
+    try {
+        const result = await uploadFileToQwen(filePath);
+        if (!result.success) throw new Error(result.error || 'Ошибка при загрузке файла');
+        logInfo(`Inline-данные (${mimeType}) загружены в OSS: ${result.fileName}`);
+        return { mimeType, url: result.url };
+    } finally {
+        try { fs.unlinkSync(filePath); } catch { /* file already removed or inaccessible */ }
+    }
+}
+
+function fileToContentItem(mimeType, url) {
+    return mimeType?.startsWith('image/')
+        ? { type: 'image_url', image_url: { url } }
+        : { type: 'file', file: url };
+}
+
+/**
+ * Переводит Gemini contents в OpenAI-формат: functionCall -> assistant.tool_calls,
+ * functionResponse -> role=tool. Inline-данные загружаются только для последнего
+ * сообщения — более ранние попадают в transcript текстовой пометкой.
+ */
+async function geminiToOpenAIMessages(contents) {
+    const result = [];
+    let callIndex = 0;
+
+    for (const [contentIndex, content] of contents.entries()) {
+        if (!content) continue;
+        const parts = (content.parts || []).filter(part => part && !part.thought);
+
+        if (content.role === 'model') {
+            const text = partsToText(parts);
+            const toolCalls = parts.map(part => field(part, 'functionCall', 'function_call')).filter(Boolean).map(call => ({
+                id: call.id || `call_${callIndex++}`,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+            }));
+            result.push({ role: 'assistant', content: text || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) });
+            continue;
+        }
+
+        for (const part of parts) {
+            const functionResponse = field(part, 'functionResponse', 'function_response');
+            if (!functionResponse) continue;
+            result.push({
+                role: 'tool',
+                ...(functionResponse.id ? { tool_call_id: functionResponse.id } : {}),
+                name: functionResponse.name,
+                content: JSON.stringify(functionResponse.response ?? {})
+            });
+        }
+
+        const isLast = contentIndex === contents.length - 1;
+        const items = [];
+        for (const part of parts) {
+            const inlineData = field(part, 'inlineData', 'inline_data');
+            const fileData = field(part, 'fileData', 'file_data');
+            if (typeof part.text === 'string') {
+                items.push({ type: 'text', text: part.text });
+            } else if (inlineData) {
+                if (isLast) {
+                    const uploaded = await uploadInlineData(inlineData);
+                    items.push(fileToContentItem(uploaded.mimeType, uploaded.url));
+                } else {
+                    items.push({ type: 'text', text: `[inline data: ${field(inlineData, 'mimeType', 'mime_type') || 'unknown'}]` });
+                }
+            } else if (fileData) {
+                items.push(fileToContentItem(field(fileData, 'mimeType', 'mime_type'), field(fileData, 'fileUri', 'file_uri')));
+            }
+        }
+
+        if (items.length === 0) continue;
+        const textOnly = items.every(item => item.type === 'text');
+        result.push({ role: 'user', content: textOnly ? items.map(item => item.text).join('\n') : items });
+    }
+
+    return result;
+}
+
+function geminiToolsToOpenAI(tools) {
+    if (!Array.isArray(tools)) return null;
+    const converted = tools
+        .flatMap(tool => field(tool, 'functionDeclarations', 'function_declarations') || [])
+        .filter(decl => decl?.name)
+        .map(decl => ({
+            type: 'function',
+            function: {
+                name: decl.name,
+                description: decl.description || '',
+                parameters: decl.parameters || decl.parametersJsonSchema || { type: 'object', properties: {} }
+            }
+        }));
+    return converted.length > 0 ? converted : null;
+}
+
+function toolConfigToPrompt(functionCallingConfig) {
+    if (functionCallingConfig?.mode !== 'ANY') return '';
+    const allowed = field(functionCallingConfig, 'allowedFunctionNames', 'allowed_function_names');
+    return Array.isArray(allowed) && allowed.length > 0
+        ? `\n\nYou MUST respond with a call of one of the tools: ${allowed.map(name => `"${name}"`).join(', ')}.`
+        : '\n\nYou MUST respond with a tool call from the list above.';
+}
+
+// ─── Helpers: OpenAI result -> Gemini ────────────────────────────────────────
+
+function toFunctionCallPart(call) {
+    let args = {};
+    try {
+        args = JSON.parse(call.function.arguments || '{}');
+    } catch {
+        args = { raw: call.function.arguments };
+    }
+    return { functionCall: { name: call.function.name, args } };
+}
+
+function buildUsageMetadata(usage) {
+    const promptTokenCount = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+    const candidatesTokenCount = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+    return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+}
+
+function buildCandidateResponse(parts, { finishReason = null, usage = null, model, responseId }) {
+    return {
+        candidates: [{
+            content: { role: 'model', parts },
+            ...(finishReason ? { finishReason } : {}),
+            index: 0
+        }],
+        ...(usage ? { usageMetadata: buildUsageMetadata(usage) } : {}),
+        modelVersion: model,
+        responseId
+    };
+}
+
+const ERROR_STATUSES = { 400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 404: 'NOT_FOUND', 500: 'INTERNAL' };
+
+function buildErrorBody(code, message) {
+    return { error: { code, message, status: ERROR_STATUSES[code] || 'UNKNOWN' } };
+}
+
+/**
+ * Gemini стримит либо SSE (?alt=sse), либо один JSON-массив, который дописывается по мере генерации.
+ */
+function startStream(res, useSse) {
+    res.setHeader('Content-Type', useSse ? 'text/event-stream' : 'application/json');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (useSse) {
+        res.setHeader('Connection', 'keep-alive');
+        return {
+            write: (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`),
+            end: () => res.end()
+        };
+    }
+
+    let first = true;
+    return {
+        write: (payload) => {
+            res.write(`${first ? '[' : ',\r\n'}${JSON.stringify(payload)}`);
+            first = false;
+        },
+        end: () => res.end(first ? '[]' : ']')
+    };
+}
+
+function toGeminiModel(model) {
+    return {
+        name: `models/${model.id}`,
+        version: '001',
+        displayName: model.name,
+        description: model.description,
+        supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+    };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.get('/models', (req, res) => {
+    try {
+        const models = getAllModels().models.map(toGeminiModel);
+        logInfo(`Возвращено ${models.length} моделей (Gemini формат)`);
+        res.json({ models });
+    } catch (error) {
+        logError('Ошибка при получении списка моделей', error);
+        res.status(500).json(buildErrorBody(500, 'Внутренняя ошибка сервера'));
+    }
+});
+
+router.get('/models/:model', (req, res) => {
+    const model = getAllModels().models.find(m => m.id === req.params.model);
+    if (!model) return res.status(404).json(buildErrorBody(404, `models/${req.params.model} is not found`));
+    res.json(toGeminiModel(model));
+});
+
+// Express не умеет разбирать `:model:action` как два параметра — делим вручную по последнему `:`.
+router.post('/models/:modelAction', apiKeyQuota, requestQueue, async (req, res) => {
+    const separatorIndex = req.params.modelAction.lastIndexOf(':');
+    const model = separatorIndex > 0 ? req.params.modelAction.slice(0, separatorIndex) : req.params.modelAction;
+    const action = separatorIndex > 0 ? req.params.modelAction.slice(separatorIndex + 1) : '';
+
+    if (action !== 'generateContent' && action !== 'streamGenerateContent') {
+        return res.status(404).json(buildErrorBody(404, `Method ${action || '(none)'} is not supported`));
+    }
+    const stream = action === 'streamGenerateContent';
+
+    try {
+        const { contents, systemInstruction, system_instruction, tools, toolConfig, tool_config } = req.body || {};
+        logInfo(`Получен Gemini ${action} запрос`);
+
+        if (!Array.isArray(contents) || contents.length === 0) {
+            logError('Запрос без contents');
+            return res.status(400).json(buildErrorBody(400, '* GenerateContentRequest.contents: contents is not specified'));
+        }
+
+        let openaiMessages;
+        try {
+            openaiMessages = await geminiToOpenAIMessages(contents);
+        } catch (error) {
+            logError('Ошибка при загрузке inline-данных Gemini', error);
+            return res.status(500).json(buildErrorBody(500, `Не удалось загрузить inline-данные: ${error.message}`));
+        }
+
+        const functionCallingConfig = field(toolConfig ?? tool_config, 'functionCallingConfig', 'function_calling_config');
+        const combinedTools = functionCallingConfig?.mode === 'NONE' ? null : geminiToolsToOpenAI(tools);
+        const preparedInput = prepareOpenAIMessageInput(openaiMessages, combinedTools, null);
+        if (preparedInput.missingUser) {
+            logError('В запросе нет сообщений от пользователя');
+            return res.status(400).json(buildErrorBody(400, '* GenerateContentRequest.contents: at least one user content is required'));
+        }
+        if (preparedInput.folded) {
+            logInfo('Gemini transcript folded into user message for context/tool-result preservation');
+        }
+
+        const messageContent = toQwenContent(preparedInput.messageContent);
+        const mappedModel = getMappedModel(model);
+        logInfo(`Используется модель: ${mappedModel}${mappedModel !== model ? ` (запрошена "${model}")` : ''}`);
+
+        const systemMessage = systemInstructionToText(systemInstruction ?? system_instruction);
+        const toolAwareSystemMessage = combinedTools
+            ? applyToolPrompt(systemMessage, combinedTools) + toolConfigToPrompt(functionCallingConfig)
+            : systemMessage;
+        const captureToolCalls = Boolean(combinedTools);
+        const responseMeta = { model: mappedModel || DEFAULT_MODEL, responseId: crypto.randomUUID().replace(/-/g, '').slice(0, 22) };
+
+        if (!stream) {
+            const result = await sendMessage(messageContent, mappedModel, null, null, null, null, null, toolAwareSystemMessage);
+            if (result.error) {
+                return res.status(500).json(buildErrorBody(500, result.error));
+            }
+
+            const text = result.choices?.[0]?.message?.content || '';
+            const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+            const parts = toolCalls?.length > 0 ? toolCalls.map(toFunctionCallPart) : [{ text }];
+            return res.json(buildCandidateResponse(parts, { ...responseMeta, finishReason: 'STOP', usage: result.usage }));
+        }
+
+        const writer = startStream(res, req.query.alt === 'sse');
+        let hasStreamedChunks = false;
+        const streamingCallback = captureToolCalls ? null : (chunk) => {
+            hasStreamedChunks = true;
+            writer.write(buildCandidateResponse([{ text: chunk }], responseMeta));
+        };
+
+        try {
+            const result = await sendMessage(
+                messageContent, mappedModel, null, null, null, null, null, toolAwareSystemMessage,
+                't2t', null, true, 0, streamingCallback
+            );
+
+            if (result.error) {
+                writer.write(buildErrorBody(500, result.error));
+                writer.end();
+                return;
+            }
+
+            const text = result.choices?.[0]?.message?.content || '';
+            const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+            let parts = [{ text: '' }];
+            if (toolCalls?.length > 0) {
+                parts = toolCalls.map(toFunctionCallPart);
+            } else if (!hasStreamedChunks && text) {
+                logDebug(`JSON response content length: ${text.length}`);
+                parts = [{ text }];
+            }
+
+            writer.write(buildCandidateResponse(parts, { ...responseMeta, finishReason: 'STOP', usage: result.usage }));
+            writer.end();
+        } catch (error) {
+            logError('Ошибка при обработке потокового Gemini запроса', error);
+            writer.write(buildErrorBody(500, 'Internal server error'));
+            writer.end();
+        }
+    } catch (error) {
+        logError('Ошибка при обработке Gemini запроса', error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(500).json(buildErrorBody(500, 'Внутренняя ошибка сервера'));
+    }
+});
+
+export default router;
@@ -0,0 +1,402 @@
+// history.js — REST-ресурс локальной истории чатов (session/history/, см. chatHistory.js).
+// Список с пагинацией и фильтрами, просмотр, дозапись сообщений, переименование, удаление,
+// массовая очистка по критериям deleteChatsAutomatically, ветки (правка, повторная генерация),
+// полнотекстовый поиск и экспорт/импорт (historySearch.js, historyFormats.js).
+// Авторизация — общий authMiddleware.
+
+import express from 'express';
+import {
+    getAllChats, loadHistory, chatExists, isValidChatId, generateChatId, appendMessages, saveHistory, saveImportedChat, renameChat, deleteChat,
+    deleteChatsAutomatically, findMessage, getActiveBranch, listBranches, setActiveBranch
+} from './chatHistory.js';
+import { searchHistory } from './historySearch.js';
+import { EXPORT_FORMATS, IMPORT_FORMATS, exportChats, parseImport } from './historyFormats.js';
+import { sendMessage } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { buildStatelessTranscript, stringifyOpenAIContent, toQwenContent } from './promptAdapter.js';
+import { logInfo, logError } from '../logger/index.js';
+import { apiKeyQuota } from './authMiddleware.js';
+import { requestQueue } from './requestQueue.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+const PURGE_CRITERIA = ['olderThan', 'userMessageCountLessThan', 'messageCountLessThan', 'maxChats'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function parseInteger(value, fallback = null) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+/**
+ * Время фильтра: миллисекунды с эпохи или ISO-строка. null — фильтр не задан.
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : NaN;
+}
+
+function normalizeMessages(body) {
+    const messages = Array.isArray(body?.messages) ? body.messages : (body?.role ? [body] : null);
+    if (!messages || messages.length === 0) return { error: 'Нужен массив messages или одно сообщение { role, content }' };
+
+    for (const [index, message] of messages.entries()) {
+        if (!message || !MESSAGE_ROLES.includes(message.role)) {
+            return { error: `messages[${index}].role должен быть одним из: ${MESSAGE_ROLES.join(', ')}` };
+        }
+        if (message.content === undefined || message.content === null) {
+            return { error: `messages[${index}].content не указан` };
+        }
+    }
+    return { messages: messages.map(({ role, content, info }) => ({ role, content, info })) };
+}
+
+function chatNotFound(res, chatId) {
+    return res.status(404).json({ error: `Чат ${chatId} не найден` });
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+// GET /api/chats?limit=&offset=&name= (имя или id)&createdAfter=&createdBefore=&minMessages=
+router.get('/chats', (req, res) => {
+    try {
+        const limit = parseInteger(req.query.limit, DEFAULT_PAGE_SIZE);
+        const offset = parseInteger(req.query.offset, 0);
+        const minMessages = parseInteger(req.query.minMessages, 0);
+        const createdAfter = parseTime(req.query.createdAfter);
+        const createdBefore = parseTime(req.query.createdBefore);
+        if ([limit, offset, minMessages, createdAfter, createdBefore].some(Number.isNaN) || limit < 1) {
+            return res.status(400).json({ error: 'Некорректные параметры пагинации или фильтров' });
+        }
+
+        const name = typeof req.query.name === 'string' ? req.query.name.trim().toLowerCase() : '';
+        const chats = getAllChats().filter(chat =>
+            (!name || chat.name.toLowerCase().includes(name) || chat.id.toLowerCase().includes(name)) &&
+            (createdAfter === null || chat.created >= createdAfter) &&
+            (createdBefore === null || chat.created < createdBefore) &&
+            chat.messageCount >= minMessages
+        );
+
+        const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+        res.json({
+            success: true,
+            total: chats.length,
+            limit: pageSize,
+            offset,
+            hasMore: offset + pageSize < chats.length,
+            chats: chats.slice(offset, offset + pageSize)
+        });
+    } catch (error) {
+        logError('Ошибка при получении списка чатов', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Массовая очистка: { olderThan (мс), userMessageCountLessThan, messageCountLessThan, maxChats }
+router.post('/chats/purge', (req, res) => {
+    try {
+        const criteria = {};
+        for (const key of PURGE_CRITERIA) {
+            const value = parseInteger(req.body?.[key]);
+            if (Number.isNaN(value)) return res.status(400).json({ error: `${key} должен быть неотрицательным целым числом` });
+            if (value !== null) criteria[key] = value;
+        }
+        // Без критериев deleteChatsAutomatically удалит все чаты — такого запроса случайно быть не должно.
+        if (Object.keys(criteria).length === 0) {
+            return res.status(400).json({ error: `Укажите хотя бы один критерий: ${PURGE_CRITERIA.join(', ')}` });
+        }
+
+        const result = deleteChatsAutomatically(criteria);
+        if (!result.success) return res.status(500).json({ error: result.error });
+        res.json(result);
+    } catch (error) {
+        logError('Ошибка при массовом удалении чатов', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Полнотекстовый поиск: ?q=&model=&from=&to=&limit=&offset= (from/to — мс или ISO, по последней активности)
+router.get('/chats/search', (req, res) => {
+    try {
+        const limit = parseInteger(req.query.limit, DEFAULT_PAGE_SIZE);
+        const offset = parseInteger(req.query.offset, 0);
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        if ([limit, offset, from, to].some(Number.isNaN) || limit < 1) {
+            return res.status(400).json({ error: 'Некорректные параметры пагинации или фильтров' });
+        }
+
+        const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+        const query = typeof req.query.q === 'string' ? req.query.q : '';
+        const model = typeof req.query.model === 'string' && req.query.model ? req.query.model : null;
+        const { total, results } = searchHistory({ query, model, from, to, limit: pageSize, offset });
+        res.json({ success: true, query, total, limit: pageSize, offset, hasMore: offset + pageSize < total, results });
+    } catch (error) {
+        logError('Ошибка при поиске по истории чатов', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+function sendExport(res, chats, format, fileName) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format должен быть одним из: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const { body, contentType, extension } = exportChats(chats, format);
+    logInfo(`Экспорт ${chats.length} чатов в формате ${format}`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+    res.send(body);
+}
+
+// Экспорт всех чатов или ?ids=a,b: ?format=jsonl|markdown|openwebui|chatgpt
+router.get('/chats/export', (req, res) => {
+    try {
+        const ids = typeof req.query.ids === 'string' && req.query.ids
+            ? req.query.ids.split(',').map(id => id.trim()).filter(chatExists)
+            : getAllChats().map(chat => chat.id);
+        sendExport(res, ids.map(id => loadHistory(id)), req.query.format || 'jsonl', 'chats');
+    } catch (error) {
+        logError('Ошибка при экспорте чатов', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+// Импорт: тело — JSON-выгрузка (массив или { format, data }) либо JSONL-текст. ?format= для явного формата,
+// ?overwrite=true заменяет чаты с совпадающим id (иначе им выдаётся новый id).
+router.post('/chats/import', express.text({ type: ['application/x-ndjson', 'application/jsonl', 'text/*'], limit: '150mb' }), (req, res) => {
+    try {
+        const wrapped = req.body && !Array.isArray(req.body) && typeof req.body === 'object' && 'data' in req.body;
+        const format = req.query.format || (wrapped ? req.body.format : null) || null;
+        if (format && !IMPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format должен быть одним из: ${IMPORT_FORMATS.join(', ')}` });
+        }
+
+        let chats;
+        try {
+            chats = parseImport(wrapped ? req.body.data : req.body, format);
+        } catch (error) {
+            return res.status(400).json({ error: `Не удалось разобрать выгрузку: ${error.message}` });
+        }
+        if (chats.length === 0) return res.status(400).json({ error: 'В выгрузке нет чатов' });
+
+        const overwrite = req.query.overwrite === 'true';
+        const imported = [];
+        for (const chat of chats) {
+            const keepId = isValidChatId(chat.id) && (overwrite || !chatExists(chat.id));
+            const chatId = keepId ? chat.id : generateChatId();
+            const chatData = { ...chat, id: chatId };
+            if (saveImportedChat(chatId, chatData)) {
+                imported.push({ id: chatId, name: chat.name, messageCount: chatData.messages.length });
+            }
+        }
+
+        logInfo(`Импортировано ${imported.length} из ${chats.length} чатов`);
+        res.json({ success: true, importedCount: imported.length, imported });
+    } catch (error) {
+        logError('Ошибка при импорте чатов', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+router.get('/chats/:chatId', (req, res) => {
+    const { chatId } = req.params;
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    res.json({ success: true, chat: loadHistory(chatId) });
+});
+
+router.patch('/chats/:chatId', (req, res) => {
+    const { chatId } = req.params;
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name) return res.status(400).json({ error: 'Новое имя чата (name) не указано' });
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    if (!renameChat(chatId, name)) return res.status(500).json({ error: 'Не удалось переименовать чат' });
+    res.json({ success: true, chatId, name });
+});
+
+router.get('/chats/:chatId/export', (req, res) => {
+    const { chatId } = req.params;
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    sendExport(res, [loadHistory(chatId)], req.query.format || 'jsonl', `chat-${chatId}`);
+});
+
+router.delete('/chats/:chatId', (req, res) => {
+    const { chatId } = req.params;
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    if (!deleteChat(chatId)) return res.status(500).json({ error: 'Не удалось удалить чат' });
+    res.json({ success: true, chatId, deleted: true });
+});
+
+// История сообщений активной ветки или ветки до ?leafId= (используется Open WebUI)
+router.get('/chats/:chatId/history', (req, res) => {
+    const { chatId } = req.params;
+    logInfo(`Запрос истории для чата: ${chatId}`);
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    const chatData = loadHistory(chatId);
+    const leafId = typeof req.query.leafId === 'string' ? req.query.leafId : chatData.currentId;
+    if (leafId && !findMessage(chatData, leafId)) return res.status(404).json({ error: `Сообщение ${leafId} не найдено` });
+    res.json({ success: true, chatId, currentId: chatData.currentId, messages: getActiveBranch(chatData, leafId) });
+});
+
+// Дозапись сообщений в активную ветку или после parentId (null — новый корень);
+// replace: true заменяет историю целиком. Несуществующий чат создаётся.
+router.post('/chats/:chatId/history', (req, res) => {
+    const { chatId } = req.params;
+    logInfo(`Запрос сохранения истории для чата: ${chatId}`);
+    if (!isValidChatId(chatId)) return res.status(400).json({ error: 'Некорректный chatId' });
+
+    const { messages, error } = normalizeMessages(req.body);
+    if (error) {
+        logError(`История сообщений некорректна: ${error}`);
+        return res.status(400).json({ error });
+    }
+
+    const created = !chatExists(chatId);
+    if (req.body.replace === true) {
+        if (!saveHistory(chatId, { ...loadHistory(chatId), messages: [], currentId: null })) {
+            return res.status(500).json({ error: 'Не удалось сохранить историю' });
+        }
+    }
+    const parentId = req.body.replace === true ? undefined : req.body.parentId;
+    if (parentId && !findMessage(loadHistory(chatId), parentId)) {
+        return res.status(404).json({ error: `Сообщение ${parentId} не найдено` });
+    }
+    const messageIds = appendMessages(chatId, messages, { parentId });
+    if (!messageIds) return res.status(500).json({ error: 'Не удалось сохранить историю' });
+
+    res.status(created ? 201 : 200).json({
+        success: true,
+        chatId,
+        messageIds,
+        messagesCount: loadHistory(chatId).messages.length
+    });
+});
+
+// ─── Ветки: продолжение, правка и повторная генерация ────────────────────────
+
+/**
+ * Куда отправить запрос, продолжающий ветку после parentNode. Если у родителя есть id
+ * в дереве Qwen-чата, ответвляемся прямо в нём; иначе начинаем новый Qwen-чат
+ * и передаём ветку текстом, как при переносе диалога на другой аккаунт.
+ */
+function resolveQwenTarget(chatData, parentNode, content) {
+    const branch = parentNode ? getActiveBranch(chatData, parentNode.id) : [];
+    const system = branch.find(message => message.role === 'system');
+    const systemMessage = system ? stringifyOpenAIContent(system.content) : null;
+    if (parentNode?.qwenId && parentNode.qwenChatId) {
+        return { chatId: parentNode.qwenChatId, parentId: parentNode.qwenId, message: content, systemMessage };
+    }
+
+    const transcript = buildStatelessTranscript(branch);
+    if (!transcript) return { chatId: null, parentId: null, message: content, systemMessage };
+    const preface = `Continue the conversation below. Previous messages:\n\n${transcript}\n\nUser:`;
+    const message = Array.isArray(content) ? [{ type: 'text', text: preface }, ...content] : `${preface} ${content}`;
+    return { chatId: null, parentId: null, message, systemMessage };
+}
+
+/**
+ * Генерирует ответ на content после parentNode и записывает его в дерево.
+ * userNode — уже существующий запрос (повторная генерация): новый ответ становится его ребёнком.
+ */
+async function replyOnBranch(chatId, chatData, { parentNode, content, model, userNode = null }) {
+    const target = resolveQwenTarget(chatData, parentNode, toQwenContent(content));
+    logInfo(`Чат ${chatId}: генерация в ветке после ${parentNode ? parentNode.id : 'корня'}${target.chatId ? '' : ' (новый Qwen-чат)'}`);
+    const result = await sendMessage(target.message, model, target.chatId, target.parentId, null, null, null, target.systemMessage);
+    if (result.error) return { error: result.error };
+
+    const reply = {
+        role: 'assistant',
+        content: result.choices?.[0]?.message?.content || '',
+        qwenId: result.response_id,
+        qwenChatId: result.chatId,
+        info: { model }
+    };
+    const messageIds = userNode
+        ? appendMessages(chatId, [reply], { parentId: userNode.id })
+        : appendMessages(chatId, [
+            { role: 'user', content, qwenId: result.userMessageId, qwenChatId: result.chatId },
+            reply
+        ], { parentId: parentNode ? parentNode.id : null });
+    if (!messageIds) return { error: 'Не удалось сохранить историю' };
+
+    const saved = loadHistory(chatId);
+    return { currentId: saved.currentId, messages: messageIds.map(id => findMessage(saved, id)) };
+}
+
+async function handleBranchRequest(req, res, resolve) {
+    try {
+        const { chatId } = req.params;
+        if (!chatExists(chatId)) return chatNotFound(res, chatId);
+        const chatData = loadHistory(chatId);
+
+        const request = resolve(chatData);
+        if (request.error) return res.status(request.status || 400).json({ error: request.error });
+
+        const model = getMappedModel(req.body?.model);
+        const result = await replyOnBranch(chatId, chatData, { ...request, model });
+        if (result.error) {
+            logError(`Ошибка генерации в ветке чата ${chatId}: ${result.error}`);
+            return res.status(500).json({ error: result.error });
+        }
+        res.json({ success: true, chatId, ...result });
+    } catch (error) {
+        logError('Ошибка при генерации в ветке чата', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+}
+
+function messageNotFound(messageId) {
+    return { status: 404, error: `Сообщение ${messageId} не найдено` };
+}
+
+router.get('/chats/:chatId/branches', (req, res) => {
+    const { chatId } = req.params;
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    const chatData = loadHistory(chatId);
+    res.json({ success: true, chatId, currentId: chatData.currentId, branches: listBranches(chatData) });
+});
+
+// Переключение активной ветки: messageId — любое сообщение ветки
+router.post('/chats/:chatId/branches/:messageId/checkout', (req, res) => {
+    const { chatId, messageId } = req.params;
+    if (!chatExists(chatId)) return chatNotFound(res, chatId);
+    const currentId = setActiveBranch(chatId, messageId);
+    if (!currentId) return res.status(404).json({ error: `Сообщение ${messageId} не найдено` });
+    res.json({ success: true, chatId, currentId });
+});
+
+// Новое сообщение в активную ветку или после parentId: { content, parentId?, model? }
+router.post('/chats/:chatId/messages', apiKeyQuota, requestQueue, (req, res) => handleBranchRequest(req, res, chatData => {
+    const { content, parentId } = req.body || {};
+    if (!content) return { error: 'Текст сообщения (content) не указан' };
+    const parentNode = findMessage(chatData, parentId === undefined ? chatData.currentId : parentId);
+    if (parentId && !parentNode) return messageNotFound(parentId);
+    return { parentNode, content };
+}));
+
+// Правка запроса: новая ветка рядом с исходным сообщением пользователя. { content, model? }
+router.post('/chats/:chatId/messages/:messageId/edit', apiKeyQuota, requestQueue, (req, res) => handleBranchRequest(req, res, chatData => {
+    const { messageId } = req.params;
+    const node = findMessage(chatData, messageId);
+    if (!node) return messageNotFound(messageId);
+    if (node.role !== 'user') return { error: 'Редактировать можно только сообщения пользователя' };
+    if (!req.body?.content) return { error: 'Новый текст сообщения (content) не указан' };
+    return { parentNode: findMessage(chatData, node.parentId), content: req.body.content };
+}));
+
+// Повторная генерация: messageId — ответ ассистента или запрос пользователя, на который нужен новый ответ
+router.post('/chats/:chatId/messages/:messageId/regenerate', apiKeyQuota, requestQueue, (req, res) => handleBranchRequest(req, res, chatData => {
+    const { messageId } = req.params;
+    const node = findMessage(chatData, messageId);
+    if (!node) return messageNotFound(messageId);
+    const userNode = node.role === 'user' ? node : findMessage(chatData, node.parentId);
+    if (!userNode || userNode.role !== 'user') return { error: 'Перед сообщением нет запроса пользователя' };
+    return { parentNode: findMessage(chatData, userNode.parentId), content: userNode.content, userNode };
+}));
+
+export default router;
@@ -0,0 +1,261 @@
+// historyFormats.js — Экспорт и импорт локальной истории чатов: JSONL (родной формат),
+// Markdown (только экспорт, активная ветка), Open WebUI и ChatGPT (conversations.json).
+// Дерево веток сохраняется во всех форматах, где оно предусмотрено.
+
+import crypto from 'crypto';
+import { getActiveBranch } from './chatHistory.js';
+import { stringifyOpenAIContent } from './promptAdapter.js';
+
+export const EXPORT_FORMATS = ['jsonl', 'markdown', 'openwebui', 'chatgpt'];
+export const IMPORT_FORMATS = ['jsonl', 'openwebui', 'chatgpt'];
+
+const ROLE_TITLES = { system: 'System', user: 'User', assistant: 'Assistant', tool: 'Tool' };
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function toSeconds(ms) {
+    return Math.floor((ms || Date.now()) / 1000);
+}
+
+function chatModels(chat) {
+    return [...new Set(chat.messages.map(message => message.info?.model || message.model).filter(Boolean))];
+}
+
+/**
+ * Цепочки parentId должны доходить до корня: цикл из повреждённой выгрузки зациклил бы обход веток.
+ */
+function assertAcyclic(messages, byId) {
+    const rooted = new Set();
+    for (const message of messages) {
+        const path = new Set();
+        let node = message;
+        while (node && !rooted.has(node.id)) {
+            if (path.has(node.id)) throw new Error(`цикл в дереве сообщений (${node.id})`);
+            path.add(node.id);
+            node = node.parentId ? byId.get(node.parentId) : null;
+        }
+        for (const nodeId of path) rooted.add(nodeId);
+    }
+}
+
+/**
+ * Собирает чат из узлов { id, parentId, role, content, ... }: дети восстанавливаются по parentId,
+ * узлы с неизвестным родителем становятся корнями.
+ */
+function buildChat({ id, name, created, currentId, nodes }) {
+    const known = new Set(nodes.map(node => node.id));
+    const messages = nodes.map(node => ({
+        ...node,
+        parentId: node.parentId && known.has(node.parentId) ? node.parentId : null,
+        childrenIds: [],
+        chat_type: node.chat_type || 't2t'
+    }));
+    const byId = new Map(messages.map(message => [message.id, message]));
+    assertAcyclic(messages, byId);
+    for (const message of messages) {
+        if (message.parentId) byId.get(message.parentId).childrenIds.push(message.id);
+    }
+    return {
+        id,
+        name,
+        created,
+        messages,
+        currentId: currentId && byId.has(currentId) ? currentId : (messages.length > 0 ? messages[messages.length - 1].id : null)
+    };
+}
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+function toMarkdown(chat) {
+    const lines = [`# ${chat.name}`, '', `_Chat ${chat.id}, ${new Date(chat.created).toISOString()}_`, ''];
+    for (const message of getActiveBranch(chat)) {
+        const model = message.info?.model ? ` (${message.info.model})` : '';
+        lines.push(`## ${ROLE_TITLES[message.role] || message.role}${model}`, '', stringifyOpenAIContent(message.content), '');
+    }
+    return lines.join('\n');
+}
+
+function toOpenWebUI(chat) {
+    const messages = {};
+    for (const message of chat.messages) {
+        messages[message.id] = {
+            id: message.id,
+            parentId: message.parentId,
+            childrenIds: message.childrenIds,
+            role: message.role,
+            content: stringifyOpenAIContent(message.content),
+            timestamp: message.timestamp,
+            ...(message.info?.model ? { model: message.info.model } : {})
+        };
+    }
+    const updatedAt = Math.max(toSeconds(chat.created), ...chat.messages.map(message => message.timestamp || 0));
+    return {
+        id: chat.id,
+        title: chat.name,
+        chat: {
+            id: chat.id,
+            title: chat.name,
+            models: chatModels(chat),
+            history: { messages, currentId: chat.currentId },
+            messages: getActiveBranch(chat).map(message => messages[message.id]),
+            timestamp: chat.created
+        },
+        created_at: toSeconds(chat.created),
+        updated_at: updatedAt
+    };
+}
+
+function toChatGPT(chat) {
+    // В формате ChatGPT у дерева один корень без сообщения
+    const rootId = crypto.randomUUID();
+    const mapping = {
+        [rootId]: { id: rootId, message: null, parent: null, children: chat.messages.filter(m => !m.parentId).map(m => m.id) }
+    };
+    for (const message of chat.messages) {
+        mapping[message.id] = {
+            id: message.id,
+            message: {
+                id: message.id,
+                author: { role: message.role },
+                create_time: message.timestamp || null,
+                content: { content_type: 'text', parts: [stringifyOpenAIContent(message.content)] },
+                metadata: message.info?.model ? { model_slug: message.info.model } : {}
+            },
+            parent: message.parentId || rootId,
+            children: message.childrenIds
+        };
+    }
+    return {
+        id: chat.id,
+        conversation_id: chat.id,
+        title: chat.name,
+        create_time: chat.created / 1000,
+        update_time: Math.max(chat.created / 1000, ...chat.messages.map(message => message.timestamp || 0)),
+        mapping,
+        current_node: chat.currentId || rootId
+    };
+}
+
+/**
+ * Экспорт чатов. Возвращает { body, contentType, extension }.
+ */
+export function exportChats(chats, format) {
+    switch (format) {
+        case 'jsonl':
+            return { body: chats.map(chat => JSON.stringify(chat)).join('\n') + '\n', contentType: 'application/x-ndjson', extension: 'jsonl' };
+        case 'markdown':
+            return { body: chats.map(toMarkdown).join('\n---\n\n'), contentType: 'text/markdown; charset=utf-8', extension: 'md' };
+        case 'openwebui':
+            return { body: JSON.stringify(chats.map(toOpenWebUI), null, 2), contentType: 'application/json', extension: 'json' };
+        case 'chatgpt':
+            return { body: JSON.stringify(chats.map(toChatGPT), null, 2), contentType: 'application/json', extension: 'json' };
+        default:
+            throw new Error(`Неизвестный формат экспорта: ${format}`);
+    }
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+function fromNative(item) {
+    const messages = Array.isArray(item.messages) ? item.messages.filter(Boolean) : [];
+    // Плоский массив без дерева выстраивается в одну ветку
+    const isTree = messages.every(message => message.id && 'parentId' in message);
+    const nodes = messages.map(message => ({
+        ...message,
+        id: isTree ? message.id : crypto.randomUUID(),
+        parentId: isTree ? message.parentId : null
+    }));
+    if (!isTree) nodes.forEach((node, index) => { if (index > 0) node.parentId = nodes[index - 1].id; });
+    return buildChat({ id: item.id, name: item.name, created: item.created, currentId: isTree ? item.currentId : null, nodes });
+}
+
+function fromOpenWebUI(item) {
+    const chat = item.chat || {};
+    const history = chat.history?.messages;
+    let nodes;
+    if (history && typeof history === 'object') {
+        nodes = Object.values(history).map(message => ({
+            id: message.id,
+            parentId: message.parentId || null,
+            role: message.role,
+            content: message.content ?? '',
+            timestamp: message.timestamp,
+            ...(message.model ? { info: { model: message.model } } : {})
+        }));
+    } else {
+        nodes = (chat.messages || []).map(message => ({ ...message, id: message.id || crypto.randomUUID() }));
+        nodes.forEach((node, index) => { node.parentId = index > 0 ? nodes[index - 1].id : null; });
+    }
+    const created = item.created_at ? item.created_at * 1000 : (chat.timestamp || Date.now());
+    return buildChat({ id: item.id || chat.id, name: item.title || chat.title, created, currentId: chat.history?.currentId, nodes });
+}
+
+function fromChatGPT(item) {
+    const mapping = item.mapping || {};
+    // Служебные узлы (корень без сообщения, пустые system) пропускаются, их дети переходят к ближайшему предку
+    const isKept = node => node?.message && ['system', 'user', 'assistant', 'tool'].includes(node.message.author?.role) &&
+        (node.message.content?.parts || []).some(part => typeof part === 'string' && part.trim());
+    // Ближайший сохраняемый предок; посещённые id — защита от циклов в повреждённой выгрузке
+    const keptAncestor = (id) => {
+        const visited = new Set();
+        while (mapping[id] && !isKept(mapping[id])) {
+            if (visited.has(id)) throw new Error(`цикл в mapping (${id})`);
+            visited.add(id);
+            id = mapping[id].parent;
+        }
+        return mapping[id] ? mapping[id].id : null;
+    };
+
+    const nodes = Object.values(mapping).filter(isKept).map(node => ({
+        id: node.id,
+        parentId: keptAncestor(node.parent),
+        role: node.message.author.role,
+        content: node.message.content.parts.filter(part => typeof part === 'string').join('\n'),
+        timestamp: node.message.create_time ? Math.floor(node.message.create_time) : undefined,
+        ...(node.message.metadata?.model_slug ? { info: { model: node.message.metadata.model_slug } } : {})
+    }));
+    const currentId = item.current_node ? keptAncestor(item.current_node) : null;
+    const created = item.create_time ? Math.floor(item.create_time * 1000) : Date.now();
+    return buildChat({ id: item.conversation_id || item.id, name: item.title, created, currentId, nodes });
+}
+
+function detectFormat(item) {
+    if (item?.mapping) return 'chatgpt';
+    if (item?.chat && typeof item.chat === 'object') return 'openwebui';
+    return 'jsonl';
+}
+
+/**
+ * Разбирает выгрузку в список чатов формата chatHistory (без сохранения).
+ * data — строка JSONL/JSON или уже распарсенный массив/объект; format — null для автоопределения.
+ */
+export function parseImport(data, format = null) {
+    let items;
+    if (typeof data === 'string') {
+        const text = data.trim();
+        try {
+            items = JSON.parse(text);
+        } catch {
+            items = text.split('\n').filter(line => line.trim()).map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch {
+                    throw new Error(`Строка ${index + 1}: некорректный JSON`);
+                }
+            });
+        }
+    } else {
+        items = data;
+    }
+    if (!Array.isArray(items)) items = [items];
+
+    return items.filter(item => item && typeof item === 'object').map(item => {
+        const itemFormat = format || detectFormat(item);
+        const chat = itemFormat === 'chatgpt' ? fromChatGPT(item) : itemFormat === 'openwebui' ? fromOpenWebUI(item) : fromNative(item);
+        return {
+            ...chat,
+            name: chat.name || `Импортированный чат ${new Date().toLocaleString()}`,
+            created: Number(chat.created) || Date.now()
+        };
+    });
+}
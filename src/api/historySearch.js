@@ -0,0 +1,201 @@
+// historySearch.js — Полнотекстовый поиск по session/history.
+// Инвертированный индекс (терм -> { chatId: частота }) хранится в session/history-index.json
+// и обновляется лениво перед каждым поиском: переиндексируются только файлы с изменившимся mtime.
+
+import fs from 'fs';
+import path from 'path';
+import { HISTORY_DIR, loadHistory, getActiveBranch } from './chatHistory.js';
+import { stringifyOpenAIContent } from './promptAdapter.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+
+const INDEX_FILE = path.join(path.dirname(HISTORY_DIR), 'history-index.json');
+const INDEX_VERSION = 1;
+const MIN_TERM_LENGTH = 2;
+const SNIPPET_RADIUS = 80;
+
+let index = null; // { version, chats: { chatId: { mtimeMs, name, created, updated, models, terms: { term: count } } } }
+let postings = null; // term -> Map(chatId -> count), строится из index при загрузке
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+export function tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu)?.filter(term => term.length >= MIN_TERM_LENGTH) || [];
+}
+
+function messageText(message) {
+    return stringifyOpenAIContent(message.content);
+}
+
+function addPostings(chatId, terms) {
+    for (const [term, count] of Object.entries(terms)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        postings.get(term).set(chatId, count);
+    }
+}
+
+function removePostings(chatId, terms) {
+    for (const term of Object.keys(terms)) {
+        const chats = postings.get(term);
+        if (!chats) continue;
+        chats.delete(chatId);
+        if (chats.size === 0) postings.delete(term);
+    }
+}
+
+function loadIndex() {
+    index = { version: INDEX_VERSION, chats: {} };
+    try {
+        if (fs.existsSync(INDEX_FILE)) {
+            const data = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+            if (data.version === INDEX_VERSION && data.chats) index = data;
+        }
+    } catch (error) {
+        logError('Не удалось прочитать индекс истории, он будет построен заново', error);
+    }
+    postings = new Map();
+    for (const [chatId, entry] of Object.entries(index.chats)) addPostings(chatId, entry.terms);
+}
+
+function saveIndex() {
+    try {
+        const tmpFile = `${INDEX_FILE}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(index), 'utf8');
+        fs.renameSync(tmpFile, INDEX_FILE);
+    } catch (error) {
+        logError('Ошибка при сохранении индекса истории', error);
+    }
+}
+
+function indexChat(chatId, mtimeMs) {
+    const chat = loadHistory(chatId);
+    const terms = {};
+    const texts = [chat.name, ...chat.messages.map(messageText)];
+    for (const term of texts.flatMap(tokenize)) terms[term] = (terms[term] || 0) + 1;
+
+    const timestamps = chat.messages.map(message => (message.timestamp || 0) * 1000);
+    return {
+        mtimeMs,
+        name: chat.name,
+        created: chat.created,
+        updated: Math.max(chat.created || 0, ...timestamps),
+        models: [...new Set(chat.messages.map(message => message.info?.model).filter(Boolean))],
+        terms
+    };
+}
+
+/**
+ * Приводит индекс в соответствие с файлами истории: новые и изменённые чаты
+ * переиндексируются, удалённые — выбрасываются. Индекс на диске переписывается, только если что-то изменилось.
+ */
+export function refreshHistoryIndex() {
+    if (!index) loadIndex();
+    if (!fs.existsSync(HISTORY_DIR)) return index;
+
+    const seen = new Set();
+    let changed = 0;
+    for (const file of fs.readdirSync(HISTORY_DIR)) {
+        if (!file.endsWith('.json')) continue;
+        const chatId = file.slice(0, -'.json'.length);
+        seen.add(chatId);
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(path.join(HISTORY_DIR, file)).mtimeMs;
+        } catch {
+            continue; // файл удалили между readdir и stat
+        }
+        const current = index.chats[chatId];
+        if (current && current.mtimeMs === mtimeMs) continue;
+
+        if (current) removePostings(chatId, current.terms);
+        index.chats[chatId] = indexChat(chatId, mtimeMs);
+        addPostings(chatId, index.chats[chatId].terms);
+        changed++;
+    }
+    for (const chatId of Object.keys(index.chats)) {
+        if (seen.has(chatId)) continue;
+        removePostings(chatId, index.chats[chatId].terms);
+        delete index.chats[chatId];
+        changed++;
+    }
+
+    if (changed > 0) {
+        saveIndex();
+        logDebug(`Индекс истории обновлён: ${changed} чатов, ${postings.size} термов`);
+    }
+    return index;
+}
+
+/**
+ * Первое сообщение активной ветки (или любой ветки), где встречаются термы запроса, с фрагментом вокруг совпадения.
+ */
+function findSnippet(chatId, queryTerms) {
+    const chat = loadHistory(chatId);
+    const active = getActiveBranch(chat);
+    const rest = chat.messages.filter(message => !active.includes(message));
+    for (const message of [...active, ...rest]) {
+        const text = messageText(message);
+        const lower = text.toLowerCase();
+        const position = queryTerms.map(term => lower.indexOf(term)).filter(i => i !== -1).sort((a, b) => a - b)[0];
+        if (position === undefined) continue;
+        const start = Math.max(0, position - SNIPPET_RADIUS);
+        const end = Math.min(text.length, position + SNIPPET_RADIUS);
+        return {
+            messageId: message.id,
+            role: message.role,
+            text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+        };
+    }
+    return null;
+}
+
+// ─── Search ──────────────────────────────────────────────────────────────────
+
+/**
+ * Поиск чатов. Все слова запроса должны встретиться в чате (как префиксы термов, что
+ * заодно покрывает окончания русских слов). Фильтры: model, from/to — по последней активности (мс).
+ * Результаты упорядочены по числу совпадений, затем по свежести.
+ */
+export function searchHistory({ query = '', model = null, from = null, to = null, limit = 20, offset = 0 } = {}) {
+    refreshHistoryIndex();
+    const queryTerms = [...new Set(tokenize(query))];
+
+    let scores;
+    if (queryTerms.length > 0) {
+        const allTerms = [...postings.keys()];
+        for (const queryTerm of queryTerms) {
+            const termScores = new Map();
+            for (const term of allTerms) {
+                if (!term.startsWith(queryTerm)) continue;
+                for (const [chatId, count] of postings.get(term)) termScores.set(chatId, (termScores.get(chatId) || 0) + count);
+            }
+            scores = scores
+                ? new Map([...scores].filter(([chatId]) => termScores.has(chatId)).map(([chatId, score]) => [chatId, score + termScores.get(chatId)]))
+                : termScores;
+        }
+    } else {
+        scores = new Map(Object.keys(index.chats).map(chatId => [chatId, 0]));
+    }
+
+    const modelFilter = model ? String(model).toLowerCase() : null;
+    const matches = [...scores]
+        .map(([chatId, score]) => ({ chatId, score, entry: index.chats[chatId] }))
+        .filter(({ entry }) => entry &&
+            (!modelFilter || entry.models.some(name => name.toLowerCase().includes(modelFilter))) &&
+            (from === null || entry.updated >= from) &&
+            (to === null || entry.updated < to))
+        .sort((a, b) => b.score - a.score || b.entry.updated - a.entry.updated);
+
+    logInfo(`Поиск по истории "${query}": найдено ${matches.length} чатов`);
+    return {
+        total: matches.length,
+        results: matches.slice(offset, offset + limit).map(({ chatId, score, entry }) => ({
+            id: chatId,
+            name: entry.name,
+            created: entry.created,
+            updated: entry.updated,
+            models: entry.models,
+            score,
+            match: queryTerms.length > 0 ? findSnippet(chatId, queryTerms) : null
+        }))
+    };
+}
@@ -1,6 +1,6 @@
 // imageGeneration.js - Модуль для генерации изображений через Qwen Image API
 import axios from 'axios';
-import { logInfo, logError, logDebug } from '../logger/index.js';
+import { logInfo, logError, logDebug, previewText } from '../logger/index.js';
 
 const DASHSCOPE_API_BASE = 'https://dashscope-intl.aliyuncs.com/api/v1';
 
@@ -33,7 +33,7 @@ export async function generateImage(prompt, model = 'qwen-image-plus', options =
 
     try {
         logInfo(`Генерация изображения через ${model}...`);
-        logDebug(`Запрос: ${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}`);
+        logDebug(`Запрос: ${previewText(prompt)}`);
 
         const payload = {
             model: model,
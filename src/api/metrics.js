@@ -0,0 +1,129 @@
+// metrics.js — Счётчики и гистограммы для Prometheus (/metrics, см. metricsRoutes.js).
+// Модули прокси пишут сюда события (запросы к Qwen, ошибки, ретраи, пул страниц, rate-limit
+// аккаунтов); мгновенные значения (очередь, загрузка аккаунтов) собираются в момент опроса.
+
+const PREFIX = 'qwen_proxy_';
+// Границы гистограмм длительностей, секунды: от быстрых ответов до генерации видео
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const metrics = new Map(); // имя -> { type, help, buckets?, series: Map(ключ меток -> значение) }
+
+function define(name, type, help, buckets = null) {
+    metrics.set(PREFIX + name, { type, help, buckets, series: new Map() });
+}
+
+define('http_requests_total', 'counter', 'HTTP-запросы к прокси по маршруту, статусу и API-ключу');
+define('http_request_duration_seconds', 'histogram', 'Длительность HTTP-запросов к прокси', DURATION_BUCKETS);
+define('upstream_requests_total', 'counter', 'Запросы к Qwen по модели, аккаунту и исходу (success | error | aborted)');
+define('upstream_duration_seconds', 'histogram', 'Полная длительность запроса к Qwen', DURATION_BUCKETS);
+define('upstream_ttft_seconds', 'histogram', 'Время до первого токена потокового ответа Qwen', DURATION_BUCKETS);
+define('stream_duration_seconds', 'histogram', 'Длительность потока ответа Qwen от первого до последнего токена', DURATION_BUCKETS);
+define('upstream_errors_total', 'counter', 'Ошибки Qwen по классу: unauthorized | rate_limited | verification | server_error | other');
+define('upstream_retries_total', 'counter', 'Повторные попытки запроса к Qwen по причине');
+define('page_pool_acquire_seconds', 'histogram', 'Время получения страницы браузера из пула (source: pool | new)', DURATION_BUCKETS);
+define('account_rate_limited_total', 'counter', 'Переходы аккаунта в состояние rate-limit');
+define('api_key_rejections_total', 'counter', 'Отказы по модели и лимитам управляемых API-ключей');
+
+// ─── Запись ──────────────────────────────────────────────────────────────────
+
+function seriesKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function getSeries(name, labels, create) {
+    const metric = metrics.get(PREFIX + name);
+    const key = seriesKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, value: create() });
+    return metric.series.get(key);
+}
+
+export function incCounter(name, labels = {}, value = 1) {
+    getSeries(name, labels, () => 0).value += value;
+}
+
+export function observeHistogram(name, labels, seconds) {
+    const { buckets } = metrics.get(PREFIX + name);
+    const entry = getSeries(name, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 })).value;
+    buckets.forEach((bound, index) => {
+        if (seconds <= bound) entry.counts[index]++;
+    });
+    entry.sum += seconds;
+    entry.count++;
+}
+
+/**
+ * Итог одного запроса к Qwen. firstTokenAt — время первого чанка (только для потоковых ответов).
+ */
+export function recordUpstreamRequest({ model, account, outcome, startedAt, firstTokenAt = null, finishedAt = Date.now() }) {
+    incCounter('upstream_requests_total', { model, account: account || 'browser', outcome });
+    observeHistogram('upstream_duration_seconds', { model }, (finishedAt - startedAt) / 1000);
+    if (firstTokenAt) {
+        observeHistogram('upstream_ttft_seconds', { model }, (firstTokenAt - startedAt) / 1000);
+        observeHistogram('stream_duration_seconds', { model }, (finishedAt - firstTokenAt) / 1000);
+    }
+}
+
+/**
+ * Класс ошибки Qwen для upstream_errors_total — в том же порядке проверок, что в handleApiError.
+ */
+export function classifyUpstreamError(response) {
+    if (response.html && response.html.includes('Verification')) return 'verification';
+    if (response.status === 401 || response.errorBody?.includes('Unauthorized') || response.errorBody?.includes('Token has expired')) return 'unauthorized';
+    if (response.status === 429 || response.errorBody?.includes('RateLimited')) return 'rate_limited';
+    if (response.status >= 500) return 'server_error';
+    return 'other';
+}
+
+/**
+ * Express-middleware: счётчик и длительность HTTP-запросов. Маршрут берётся из шаблона express
+ * (/api/chats/:chatId), а не из URL, чтобы число серий не росло; ключ — id управляемого ключа.
+ */
+export function httpMetrics(req, res, next) {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const key = req.apiKeyRecord?.id || (req.apiKey ? 'legacy' : 'none');
+        incCounter('http_requests_total', { method: req.method, route, status: String(res.statusCode), key });
+        observeHistogram('http_request_duration_seconds', { method: req.method, route }, (Date.now() - startedAt) / 1000);
+    });
+    next();
+}
+
+// ─── Экспорт ─────────────────────────────────────────────────────────────────
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function renderMetric(name, { type, help, buckets, series }) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    for (const { labels, value } of series.values()) {
+        if (type !== 'histogram') {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+            continue;
+        }
+        buckets.forEach((bound, index) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Текстовый формат Prometheus. gauges — мгновенные значения на момент опроса:
+ * [{ name, help, type?, series: [{ labels, value }] }].
+ */
+export function renderMetrics(gauges = []) {
+    const blocks = [...metrics].map(([name, metric]) => renderMetric(name, metric));
+    for (const gauge of gauges) {
+        const series = new Map(gauge.series.map(entry => [seriesKey(entry.labels), entry]));
+        blocks.push(renderMetric(PREFIX + gauge.name, { type: gauge.type || 'gauge', help: gauge.help, series }));
+    }
+    return blocks.join('\n') + '\n';
+}
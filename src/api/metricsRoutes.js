@@ -0,0 +1,90 @@
+// metricsRoutes.js — GET /metrics в текстовом формате Prometheus.
+// К накопленным счётчикам metrics.js добавляются мгновенные значения: пул страниц, очередь
+// запросов, загрузка и статусы аккаунтов, использование управляемых API-ключей.
+
+import express from 'express';
+import { renderMetrics } from './metrics.js';
+import { pagePool, getApiKeys } from './chat.js';
+import { getRequestQueueStats, PRIORITY_CLASSES } from './requestQueue.js';
+import { getSchedulerStats } from './accountScheduler.js';
+import { getTokensSnapshot, getTokenStatus } from './tokenManager.js';
+import { listApiKeys, getApiKeyUsage, hasManagedApiKeys } from './apiKeys.js';
+import { authMiddleware } from './authMiddleware.js';
+import { logError, logWarn } from '../logger/index.js';
+import { METRICS_API_KEY, METRICS_PUBLIC, ADMIN_API_KEY } from '../config.js';
+
+const router = express.Router();
+
+const ACCOUNT_STATUSES = ['OK', 'WAIT', 'INVALID', 'DISABLED'];
+
+function gauge(name, help, series, type = 'gauge') {
+    return { name, help, type, series: Array.isArray(series) ? series : [{ labels: {}, value: series }] };
+}
+
+function collectGauges() {
+    const now = Date.now();
+    const queue = getRequestQueueStats();
+    const scheduler = getSchedulerStats();
+    const accounts = getTokensSnapshot();
+    const keys = listApiKeys().map(record => ({ id: record.id, usage: getApiKeyUsage(record, now) }));
+    const perAccount = field => Object.entries(scheduler.accounts).map(([account, load]) => ({ labels: { account }, value: load[field] }));
+
+    return [
+        gauge('page_pool_pages', 'Страницы браузера в пуле: idle — свободны, busy — выданы запросам', [
+            { labels: { state: 'idle' }, value: pagePool.pages.length },
+            { labels: { state: 'busy' }, value: pagePool.busy.size }
+        ]),
+        gauge('page_pool_max_size', 'Максимум свободных страниц в пуле (PAGE_POOL_SIZE)', pagePool.maxSize),
+        gauge('request_queue_active', 'Генерирующие запросы в работе', queue.active),
+        gauge('request_queue_limit', 'Лимит одновременных запросов (-1 — без ограничения)', queue.limit ?? -1),
+        gauge('request_queue_depth', 'Запросы, ожидающие в очереди, по приоритету',
+            PRIORITY_CLASSES.map(priority => ({ labels: { priority }, value: queue.queuedByPriority[priority] }))),
+        gauge('request_queue_admitted_total', 'Запросы, допущенные очередью', queue.admitted, 'counter'),
+        gauge('request_queue_rejected_total', 'Отказы очереди: full — переполнена, timeout — не дождались, rate_limited — все аккаунты в лимите',
+            Object.entries({ full: queue.rejected.full, timeout: queue.rejected.timeout, rate_limited: queue.rejected.rateLimited })
+                .map(([reason, value]) => ({ labels: { reason }, value })), 'counter'),
+        gauge('request_queue_average_wait_seconds', 'Среднее время ожидания в очереди', queue.averageWaitMs / 1000),
+        gauge('scheduler_queue_depth', 'Запросы, ожидающие свободный аккаунт', scheduler.queued),
+        gauge('account_in_flight', 'Запросы в работе по аккаунтам', perAccount('inFlight')),
+        gauge('account_requests_last_minute', 'Запросы к аккаунту за последнюю минуту', perAccount('requestsLastMinute')),
+        gauge('accounts', 'Аккаунты по статусу', ACCOUNT_STATUSES.map(status => ({
+            labels: { status },
+            value: accounts.filter(account => getTokenStatus(account, now) === status).length
+        }))),
+        gauge('api_key_requests_today', 'Запросы управляемого API-ключа за текущие сутки (UTC)',
+            keys.map(({ id, usage }) => ({ labels: { key: id }, value: usage.dayRequests }))),
+        gauge('api_key_chars_today', 'Символы запросов управляемого API-ключа за текущие сутки (UTC)',
+            keys.map(({ id, usage }) => ({ labels: { key: id }, value: usage.dayChars })))
+    ];
+}
+
+/**
+ * Доступ к метрикам (в них id аккаунтов и ключей): METRICS_API_KEY, если задан; иначе ключ админ-API
+ * или ключи прокси (authMiddleware). Без авторизации — только при явном METRICS_PUBLIC.
+ */
+function metricsAuth(req, res, next) {
+    const authHeader = req.headers.authorization;
+    if (METRICS_API_KEY) {
+        if (authHeader === `Bearer ${METRICS_API_KEY}`) return next();
+        return res.status(401).json({ error: 'Требуется ключ метрик' });
+    }
+    if (METRICS_PUBLIC) return next();
+    if (ADMIN_API_KEY && (authHeader === `Bearer ${ADMIN_API_KEY}` || req.headers['x-admin-key'] === ADMIN_API_KEY)) return next();
+    // Без ключей прокси authMiddleware пропускает всех — а метрики без явного разрешения не отдаём
+    if (getApiKeys().length === 0 && !hasManagedApiKeys()) {
+        logWarn('Запрос /metrics отклонён: не задан ни METRICS_API_KEY, ни ключи прокси');
+        return res.status(401).json({ error: 'Метрики требуют авторизации: задайте METRICS_API_KEY или METRICS_PUBLIC=true' });
+    }
+    return authMiddleware(req, res, next);
+}
+
+router.get('/metrics', metricsAuth, (req, res) => {
+    try {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics(collectGauges()));
+    } catch (error) {
+        logError('Ошибка при формировании метрик', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+export default router;
@@ -229,6 +229,9 @@ const buildModelMapping = () => {
 
 export const MODEL_MAPPING = buildModelMapping();
 
+// Модель по умолчанию для генерации картинок и видео через Qwen Chat
+export const CHAT_MEDIA_MODEL = 'qwen3-vl-plus';
+
 /**
  * Получить соответствующую доступную модель
  * @param {string} requestedModel - Запрошенная модель
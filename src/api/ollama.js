@@ -0,0 +1,322 @@
+// ollama.js — Ollama-совместимый API (/ollama/api/tags, /api/show, /api/chat, /api/generate).
+// Монтируется в index.js под префиксом /ollama: путь /api/chat уже занят нативным
+// эндпоинтом прокси. Стриминг — NDJSON поверх onChunk из sendMessage.
+
+import express from 'express';
+import crypto from 'crypto';
+import { sendMessage, getAllModels } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { authMiddleware, apiKeyQuota } from './authMiddleware.js';
+import { prepareOpenAIMessageInput, applyToolPrompt, parseToolCallJson, toQwenContent, createToolCallStreamParser, createClientAbortSignal } from './promptAdapter.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+import { DEFAULT_MODEL } from '../config.js';
+import { requestQueue } from './requestQueue.js';
+
+const OLLAMA_VERSION = '0.6.0';
+
+const router = express.Router();
+
+router.get('/', (req, res) => res.type('text/plain').send('Ollama is running'));
+router.head('/', (req, res) => res.sendStatus(200));
+
+router.use(authMiddleware);
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function stripTag(model) {
+    return typeof model === 'string' ? model.replace(/:latest$/, '') : model;
+}
+
+function resolveModel(model) {
+    const mapped = getMappedModel(stripTag(model));
+    logInfo(`Используется модель: ${mapped}${model && stripTag(model) !== mapped ? ` (запрошена "${model}")` : ''}`);
+    return mapped;
+}
+
+function getModelCapabilities(model) {
+    const capabilities = ['completion', 'tools'];
+    if (/vl|omni|qvq/i.test(model)) capabilities.push('vision');
+    return capabilities;
+}
+
+function buildModelDetails() {
+    return {
+        parent_model: '',
+        format: 'qwen-chat',
+        family: 'qwen',
+        families: ['qwen'],
+        parameter_size: '',
+        quantization_level: ''
+    };
+}
+
+/**
+ * Ollama передаёт изображения как base64 без data:-префикса — определяем MIME по сигнатуре.
+ */
+function imageToDataUrl(image) {
+    if (typeof image !== 'string' || image.startsWith('data:') || /^https?:\/\//.test(image)) return image;
+    const mimeType = image.startsWith('iVBOR') ? 'image/png'
+        : image.startsWith('R0lG') ? 'image/gif'
+            : image.startsWith('UklGR') ? 'image/webp'
+                : 'image/jpeg';
+    return `data:${mimeType};base64,${image}`;
+}
+
+function withImages(text, images) {
+    if (!Array.isArray(images) || images.length === 0) return text || '';
+    return [
+        ...(text ? [{ type: 'text', text }] : []),
+        ...images.map(image => ({ type: 'image_url', image_url: { url: imageToDataUrl(image) } }))
+    ];
+}
+
+function ollamaToOpenAIMessages(messages) {
+    return (messages || []).filter(Boolean).map(msg => {
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+            return {
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: msg.tool_calls.map((call, index) => ({
+                    id: call.id || `call_${index}`,
+                    type: 'function',
+                    function: {
+                        name: call.function?.name,
+                        arguments: typeof call.function?.arguments === 'string'
+                            ? call.function.arguments
+                            : JSON.stringify(call.function?.arguments || {})
+                    }
+                }))
+            };
+        }
+        if (msg.role === 'tool') {
+            return { role: 'tool', name: msg.tool_name || msg.name, content: msg.content || '' };
+        }
+        return { role: msg.role || 'user', content: withImages(msg.content, msg.images) };
+    });
+}
+
+function toOllamaToolCalls(toolCalls) {
+    return toolCalls.map(call => {
+        let args = {};
+        try {
+            args = JSON.parse(call.function.arguments || '{}');
+        } catch {
+            args = {};
+        }
+        return { function: { name: call.function.name, arguments: args } };
+    });
+}
+
+function buildStats(startedAt, usage) {
+    const totalDuration = Number(process.hrtime.bigint() - startedAt);
+    return {
+        total_duration: totalDuration,
+        load_duration: 0,
+        prompt_eval_count: usage?.input_tokens ?? usage?.prompt_tokens ?? 0,
+        prompt_eval_duration: 0,
+        eval_count: usage?.output_tokens ?? usage?.completion_tokens ?? 0,
+        eval_duration: totalDuration
+    };
+}
+
+function startNdjson(res) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    return (payload) => res.write(JSON.stringify(payload) + '\n');
+}
+
+/**
+ * Общий конвейер /api/chat и /api/generate: sendMessage + NDJSON-стриминг.
+ * buildChunk(text, toolCalls) и buildFinal(text, toolCalls, result) формируют тела ответов в нужной форме.
+ * Обрыв соединения клиентом прерывает генерацию.
+ */
+async function runOllamaRequest(res, { model, messageContent, systemMessage, tools, stream, files, buildChunk, buildFinal }) {
+    const startedAt = process.hrtime.bigint();
+    const captureToolCalls = Array.isArray(tools) && tools.length > 0;
+    const toolAwareSystemMessage = captureToolCalls ? applyToolPrompt(systemMessage, tools) : systemMessage;
+    const sendOptions = { signal: createClientAbortSignal(res) };
+
+    if (!stream) {
+        const result = await sendMessage(messageContent, model, null, null, files, null, null, toolAwareSystemMessage, 't2t', null, true, 0, null, sendOptions);
+        if (result.error) return res.status(500).json({ error: result.error });
+
+        const text = result.choices?.[0]?.message?.content || '';
+        const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+        return res.json({ ...buildFinal(toolCalls?.length > 0 ? '' : text, toolCalls, result), ...buildStats(startedAt, result.usage) });
+    }
+
+    const writeLine = startNdjson(res);
+    let hasStreamedChunks = false;
+    // С tools обычный текст стримится сразу, а вызовы инструментов Ollama отдаёт целиком — в конце
+    const toolCallStream = captureToolCalls
+        ? createToolCallStreamParser({ onContent: (chunk) => writeLine(buildChunk(chunk)), onToolCallStart: () => {}, onToolCallDelta: () => {} })
+        : null;
+    const streamingCallback = (chunk) => {
+        hasStreamedChunks = true;
+        if (toolCallStream) toolCallStream.push(chunk);
+        else writeLine(buildChunk(chunk));
+    };
+
+    try {
+        const result = await sendMessage(
+            messageContent, model, null, null, files, null, null, toolAwareSystemMessage,
+            't2t', null, true, 0, streamingCallback, sendOptions
+        );
+
+        if (result.error) {
+            writeLine({ error: result.error });
+            res.end();
+            return;
+        }
+
+        const text = result.choices?.[0]?.message?.content || '';
+        if (!hasStreamedChunks && text) {
+            logDebug(`JSON response content length: ${text.length}`);
+            streamingCallback(text);
+        }
+        const toolCalls = toolCallStream ? toolCallStream.finish().toolCalls : [];
+        if (toolCalls.length > 0) writeLine(buildChunk('', toolCalls));
+
+        writeLine({ ...buildFinal('', null, result), ...buildStats(startedAt, result.usage) });
+        res.end();
+    } catch (error) {
+        logError('Ошибка при обработке потокового Ollama запроса', error);
+        writeLine({ error: 'Internal server error' });
+        res.end();
+    }
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.get('/api/version', (req, res) => res.json({ version: OLLAMA_VERSION }));
+
+router.get('/api/tags', (req, res) => {
+    try {
+        const models = getAllModels().models.map(m => {
+            const name = `${m.id}:latest`;
+            return {
+                name,
+                model: name,
+                modified_at: new Date(0).toISOString(),
+                size: 0,
+                digest: crypto.createHash('sha256').update(m.id).digest('hex'),
+                details: buildModelDetails()
+            };
+        });
+        logInfo(`Возвращено ${models.length} моделей (Ollama формат)`);
+        res.json({ models });
+    } catch (error) {
+        logError('Ошибка при получении списка моделей', error);
+        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+    }
+});
+
+router.get('/api/ps', (req, res) => res.json({ models: [] }));
+
+router.post('/api/show', (req, res) => {
+    const requested = req.body?.model || req.body?.name;
+    if (!requested) return res.status(400).json({ error: 'model is required' });
+
+    const model = getMappedModel(stripTag(requested), null);
+    if (!model) return res.status(404).json({ error: `model '${requested}' not found` });
+
+    res.json({
+        modelfile: `FROM ${model}`,
+        parameters: '',
+        template: '{{ .Prompt }}',
+        details: buildModelDetails(),
+        model_info: { 'general.architecture': 'qwen', 'general.basename': model },
+        capabilities: getModelCapabilities(model),
+        modified_at: new Date(0).toISOString()
+    });
+});
+
+router.post('/api/chat', apiKeyQuota, requestQueue, async (req, res) => {
+    try {
+        const { model, messages, tools, stream = true } = req.body || {};
+        logInfo(`Получен Ollama chat запрос${stream ? ' (stream)' : ''}`);
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'messages are required' });
+        }
+
+        const openaiMessages = ollamaToOpenAIMessages(messages);
+        const combinedTools = Array.isArray(tools) && tools.length > 0 ? tools : null;
+        const preparedInput = prepareOpenAIMessageInput(openaiMessages, combinedTools, null);
+        if (preparedInput.missingUser) {
+            return res.status(400).json({ error: 'no user message in request' });
+        }
+
+        const systemMessage = openaiMessages
+            .filter(m => m.role === 'system' && typeof m.content === 'string')
+            .map(m => m.content)
+            .join('\n\n') || null;
+        const mappedModel = resolveModel(model);
+        const modelName = model || `${DEFAULT_MODEL}:latest`;
+
+        await runOllamaRequest(res, {
+            model: mappedModel,
+            messageContent: toQwenContent(preparedInput.messageContent),
+            systemMessage,
+            tools: combinedTools,
+            stream,
+            files: preparedInput.files,
+            buildChunk: (content, toolCalls = null) => ({
+                model: modelName,
+                created_at: new Date().toISOString(),
+                message: { role: 'assistant', content, ...(toolCalls ? { tool_calls: toOllamaToolCalls(toolCalls) } : {}) },
+                done: false
+            }),
+            buildFinal: (content, toolCalls) => ({
+                model: modelName,
+                created_at: new Date().toISOString(),
+                message: { role: 'assistant', content, ...(toolCalls?.length > 0 ? { tool_calls: toOllamaToolCalls(toolCalls) } : {}) },
+                done: true,
+                done_reason: 'stop'
+            })
+        });
+    } catch (error) {
+        logError('Ошибка при обработке Ollama chat запроса', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+        else res.end();
+    }
+});
+
+router.post('/api/generate', apiKeyQuota, requestQueue, async (req, res) => {
+    try {
+        const { model, prompt, system, images, stream = true } = req.body || {};
+        logInfo(`Получен Ollama generate запрос${stream ? ' (stream)' : ''}`);
+
+        const modelName = model || `${DEFAULT_MODEL}:latest`;
+        if (!prompt && !(Array.isArray(images) && images.length > 0)) {
+            // Пустой prompt в Ollama означает «загрузить модель» — отвечаем сразу.
+            return res.json({ model: modelName, created_at: new Date().toISOString(), response: '', done: true, done_reason: 'load' });
+        }
+
+        const mappedModel = resolveModel(model);
+        await runOllamaRequest(res, {
+            model: mappedModel,
+            messageContent: toQwenContent(withImages(prompt, images)),
+            systemMessage: system || null,
+            tools: null,
+            stream,
+            files: null,
+            buildChunk: (response) => ({ model: modelName, created_at: new Date().toISOString(), response, done: false }),
+            buildFinal: (response) => ({
+                model: modelName,
+                created_at: new Date().toISOString(),
+                response,
+                done: true,
+                done_reason: 'stop',
+                context: []
+            })
+        });
+    } catch (error) {
+        logError('Ошибка при обработке Ollama generate запроса', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Внутренняя ошибка сервера' });
+        else res.end();
+    }
+});
+
+export default router;
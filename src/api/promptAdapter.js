@@ -0,0 +1,589 @@
+// promptAdapter.js — Адаптация OpenAI-совместимых запросов к Qwen Chat:
+// сворачивание transcript в одно сообщение и эмуляция tool calling через JSON-prompt.
+// Используется всеми совместимыми API (OpenAI, Anthropic и т.д.), чтобы логика была одна.
+
+import crypto from 'crypto';
+import { logInfo } from '../logger/index.js';
+
+export function stringifyOpenAIContent(content) {
+    if (content === null || content === undefined) return '';
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(item => {
+            if (!item) return '';
+            if (typeof item === 'string') return item;
+            if (item.type === 'text') return item.text || '';
+            if (item.type === 'image_url') return `[image: ${item.image_url?.url || ''}]`;
+            if (item.type === 'image') return `[image: ${item.image || ''}]`;
+            if (item.type === 'file') return `[file: ${item.file || item.name || ''}]`;
+            return JSON.stringify(item);
+        }).filter(Boolean).join('\n');
+    }
+    return JSON.stringify(content);
+}
+
+export function buildStatelessTranscript(messages) {
+    const parts = [];
+    for (const msg of messages || []) {
+        if (!msg || msg.role === 'system') continue;
+        if (msg.role === 'user') {
+            parts.push(`User: ${stringifyOpenAIContent(msg.content)}`);
+        } else if (msg.role === 'assistant') {
+            const text = stringifyOpenAIContent(msg.content);
+            if (text) parts.push(`Assistant: ${text}`);
+            if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+                parts.push(`Assistant tool calls: ${JSON.stringify(msg.tool_calls)}`);
+            }
+        } else if (msg.role === 'tool') {
+            const name = msg.name || msg.tool_call_id || 'tool';
+            parts.push(`Tool result (${name}): ${stringifyOpenAIContent(msg.content)}`);
+        } else {
+            parts.push(`${msg.role || 'message'}: ${stringifyOpenAIContent(msg.content)}`);
+        }
+    }
+    return parts.join('\n\n');
+}
+
+
+function hasOpenAIToolState(messages) {
+    return (messages || []).some(msg =>
+        msg?.role === 'tool' ||
+        msg?.role === 'function' ||
+        (msg?.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) ||
+        (msg?.role === 'assistant' && msg.function_call)
+    );
+}
+
+function shouldFoldOpenAITranscript(messages, combinedTools, effectiveChatId) {
+    const nonSystemMessages = (messages || []).filter(msg => msg && msg.role !== 'system');
+    if (nonSystemMessages.length === 0) return false;
+
+    // Hermes/OpenAI agents send the full state every request. After a tool call the
+    // next request often ends with role=tool, not role=user. Qwen Chat has no native
+    // OpenAI tool-result role, so preserving context means folding the whole OpenAI
+    // transcript into a single user message for that turn.
+    if (hasOpenAIToolState(messages)) return true;
+
+    // If FreeQwenApi is used as a stateless OpenAI-compatible endpoint and no
+    // conversation id/chat id was provided, keep the complete client-side history.
+    if (!effectiveChatId && nonSystemMessages.length > 1) return true;
+
+    // When tools are available, prefer the OpenAI transcript over Qwen's opaque web
+    // chat memory on multi-message turns. This keeps Hermes skill/tool discipline in
+    // the prompt visible to Qwen instead of depending on previous web-chat state.
+    if (Array.isArray(combinedTools) && combinedTools.length > 0 && nonSystemMessages.length > 1) return true;
+
+    return false;
+}
+
+export function prepareOpenAIMessageInput(messages, combinedTools, effectiveChatId) {
+    const lastUserMessage = (messages || []).filter(msg => msg && msg.role === 'user').pop();
+    if (shouldFoldOpenAITranscript(messages, combinedTools, effectiveChatId)) {
+        return {
+            messageContent: buildStatelessTranscript(messages),
+            files: lastUserMessage?.files || [],
+            folded: true,
+            missingUser: false
+        };
+    }
+
+    if (!lastUserMessage) {
+        return { messageContent: null, files: [], folded: false, missingUser: true };
+    }
+
+    return {
+        messageContent: lastUserMessage.content,
+        files: lastUserMessage.files || [],
+        folded: false,
+        missingUser: false
+    };
+}
+
+function truncateForPrompt(value, maxLen = 240) {
+    const text = String(value || '');
+    return text.length > maxLen ? text.slice(0, maxLen).trimEnd() + '…' : text;
+}
+
+export function compactJsonSchema(schema, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > 2) return schema;
+    if (Array.isArray(schema)) return schema.slice(0, 20).map(item => compactJsonSchema(item, depth + 1));
+
+    const out = {};
+    for (const key of ['type', 'enum', 'required', 'default']) {
+        if (schema[key] !== undefined) out[key] = schema[key];
+    }
+    if (schema.description) out.description = truncateForPrompt(schema.description, depth === 0 ? 180 : 90);
+    if (schema.properties && typeof schema.properties === 'object') {
+        out.properties = {};
+        for (const [name, prop] of Object.entries(schema.properties)) {
+            out.properties[name] = compactJsonSchema(prop, depth + 1);
+        }
+    }
+    if (schema.items) out.items = compactJsonSchema(schema.items, depth + 1);
+    if (schema.oneOf) out.oneOf = compactJsonSchema(schema.oneOf, depth + 1);
+    if (schema.anyOf) out.anyOf = compactJsonSchema(schema.anyOf, depth + 1);
+    return out;
+}
+
+export function toolsToPrompt(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return '';
+
+    const priorityNames = new Set([
+        'skill_view', 'skills_list', 'skill_manage',
+        'read_file', 'search_files', 'write_file', 'patch', 'terminal', 'process',
+        'web_search', 'web_extract', 'session_search', 'todo', 'clarify', 'delegate_task'
+    ]);
+
+    const schemas = tools.map(tool => {
+        const fn = tool?.function || tool;
+        if (!fn?.name) return null;
+        return {
+            name: fn.name,
+            description: truncateForPrompt(fn.description || '', priorityNames.has(fn.name) ? 420 : 180),
+            parameters: compactJsonSchema(fn.parameters || { type: 'object', properties: {} }),
+            priority: priorityNames.has(fn.name) ? 0 : 1
+        };
+    }).filter(Boolean).sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+
+    if (schemas.length === 0) return '';
+
+    const toolNames = schemas.map(s => s.name).join(', ');
+    const skillRules = schemas.some(s => s.name === 'skill_view') ? `
+SKILL RULES ARE HARD REQUIREMENTS:
+- If the system prompt says a skill MUST be loaded, you MUST call skill_view before answering.
+- If the user asks about Hermes Agent setup/config/providers/models/tools/skills/gateway/plugins/troubleshooting, FIRST call:
+  {"tool_calls":[{"name":"skill_view","arguments":{"name":"hermes-agent"}}]}
+- If a task is related to any listed skill category, call skill_view with the most relevant skill name before giving the final answer.
+- After receiving a skill_view result, use it, then continue normally or call the next needed tool.
+` : '';
+
+    return `
+
+OPENAI-COMPATIBLE TOOL CALLING ADAPTER ACTIVE.
+You are behind a proxy that converts your JSON into real OpenAI tool_calls. Native prose like "I will use X" is NOT a tool call.
+
+Available tool names exactly:
+${toolNames}
+
+${skillRules}
+GENERAL TOOL RULES:
+- When an action, lookup, file read/write, command, web search, calculation, or verification is needed, CALL A TOOL instead of describing the action.
+- If the user asks you to do something, and a suitable tool exists, respond with a tool call first.
+- Never invent tool results. After tool results appear in the conversation, use them to continue.
+- Use exact tool names from the list above. Do not prefix names with namespaces.
+
+TOOL CALL OUTPUT FORMAT — respond ONLY with minified JSON, no markdown, no prose:
+{"tool_calls":[{"name":"tool_name","arguments":{}}]}
+
+Multiple calls are allowed:
+{"tool_calls":[{"name":"skill_view","arguments":{"name":"hermes-agent"}},{"name":"terminal","arguments":{"command":"pwd"}}]}
+
+Supported fallback shapes also work, but the format above is preferred.
+
+Compact tool schemas:
+${JSON.stringify(schemas.map(({priority, ...schema}) => schema), null, 2)}
+
+If no tool is needed and no skill rule applies, answer normally.`;
+}
+export function parseToolCallJson(content) {
+    if (typeof content !== 'string') return null;
+    let text = content.trim();
+    const fence = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+    if (fence) text = fence[1].trim();
+    const first = text.indexOf('{');
+    const last = text.lastIndexOf('}');
+    if (first > 0 || last !== text.length - 1) {
+        if (first >= 0 && last > first) text = text.slice(first, last + 1);
+    }
+    const parseAttempts = [text];
+    // Qwen sometimes emits one missing brace in the common shape:
+    // {"tool_calls":[{"name":"x","arguments":{...}}]} -> may become ..."arguments":{...}]}
+    if (/^\s*\{\s*"tool_calls"\s*:\s*\[\s*\{/.test(text) && /\}\]\}\s*$/.test(text)) {
+        parseAttempts.push(text.replace(/\}\]\}\s*$/, '}}]}'));
+    }
+    if (/^\s*\{\s*"tool_calls"\s*:\s*\[/.test(text) && !/\}\s*$/.test(text)) {
+        parseAttempts.push(text + '}');
+    }
+
+    for (const candidate of parseAttempts) {
+        try {
+            const parsed = JSON.parse(candidate);
+            let calls = null;
+            if (Array.isArray(parsed.tool_calls)) {
+                calls = parsed.tool_calls;
+            } else if (parsed.function_call || parsed.tool_call) {
+                calls = [parsed.function_call || parsed.tool_call];
+            } else if (parsed.name || parsed.tool) {
+                calls = [parsed];
+            }
+            if (!calls || calls.length === 0) continue;
+            return calls.map((call, index) => {
+                const name = call.name || call.tool || call.function?.name;
+                const rawArgs = call.arguments ?? call.args ?? call.input ?? call.function?.arguments ?? {};
+                const args = typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {});
+                if (!name) return null;
+                return {
+                    id: call.id || `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`,
+                    type: 'function',
+                    function: { name, arguments: args },
+                    index
+                };
+            }).filter(Boolean);
+        } catch {
+            // try next repair candidate
+        }
+    }
+    return null;
+}
+
+export function applyToolPrompt(systemMessage, tools) {
+    const prompt = toolsToPrompt(tools);
+    return prompt ? `${systemMessage || ''}${prompt}`.trim() : systemMessage;
+}
+
+/**
+ * Переводит OpenAI content array (text / image_url) во внутренний формат sendMessage.
+ * Элементы { type: 'file', file: url } уже в формате Qwen и передаются как есть.
+ */
+export function toQwenContent(content) {
+    if (!Array.isArray(content)) return content;
+    return content.map(item => {
+        if (item.type === 'image_url') return { type: 'image', image: item.image_url.url };
+        if (item.type === 'file') return item;
+        return { type: 'text', text: item.text };
+    });
+}
+
+// ─── Режим рассуждений (thinking) ────────────────────────────────────────────
+
+const THINKING_MODEL_SUFFIX = '-thinking';
+const THINKING_BUDGETS = { low: 4096, medium: 16384, high: 38912 };
+
+/**
+ * Определяет, нужен ли thinking-режим Qwen: суффикс модели `-thinking`, `enable_thinking`
+ * (DashScope), `reasoning_effort` (OpenAI) или `reasoning.effort` (OpenRouter).
+ * Возвращает модель без суффикса и опции для sendMessage.
+ */
+export function resolveThinkingOptions(body, model) {
+    let baseModel = model;
+    let thinking = false;
+    if (typeof model === 'string' && model.endsWith(THINKING_MODEL_SUFFIX)) {
+        baseModel = model.slice(0, -THINKING_MODEL_SUFFIX.length);
+        thinking = true;
+    }
+
+    const enableThinking = body?.enable_thinking ?? body?.chat_template_kwargs?.enable_thinking;
+    if (typeof enableThinking === 'boolean') thinking = enableThinking;
+
+    const effort = body?.reasoning_effort ?? body?.reasoning?.effort;
+    let thinkingBudget = Number(body?.thinking_budget) || null;
+    if (typeof effort === 'string') {
+        if (effort === 'none' || effort === 'minimal') {
+            thinking = false;
+        } else if (THINKING_BUDGETS[effort]) {
+            thinking = true;
+            thinkingBudget = thinkingBudget || THINKING_BUDGETS[effort];
+        }
+    }
+
+    return { model: baseModel, thinking, thinkingBudget: thinking ? thinkingBudget : null };
+}
+
+// ─── Веб-поиск ───────────────────────────────────────────────────────────────
+
+const ONLINE_MODEL_SUFFIX = ':online';
+const CITATION_MARKER_RE = /\[\[(\d+)\]\]|\[(\d+)\]/g;
+
+/**
+ * Определяет, нужен ли веб-поиск Qwen: суффикс модели `:online` (OpenRouter),
+ * флаг `web_search` или объект `web_search_options` (OpenAI search-модели).
+ * Возвращает модель без суффикса и флаг для sendMessage.
+ */
+export function resolveSearchOptions(body, model) {
+    let baseModel = model;
+    let search = false;
+    if (typeof model === 'string' && model.endsWith(ONLINE_MODEL_SUFFIX)) {
+        baseModel = model.slice(0, -ONLINE_MODEL_SUFFIX.length);
+        search = true;
+    }
+    if (body?.web_search_options && typeof body.web_search_options === 'object') search = true;
+    if (typeof body?.web_search === 'boolean') search = body.web_search;
+    return { model: baseModel, search };
+}
+
+/**
+ * Строит OpenAI annotations (url_citation) по источникам веб-поиска.
+ * Маркеры вида [1] / [[1]] в тексте дают точные start_index/end_index;
+ * источник без маркера относится ко всему ответу.
+ */
+export function buildCitationAnnotations(content, searchResults) {
+    if (!Array.isArray(searchResults) || searchResults.length === 0) return [];
+    const text = typeof content === 'string' ? content : '';
+    const annotations = [];
+    const cited = new Set();
+
+    for (const match of text.matchAll(CITATION_MARKER_RE)) {
+        const index = Number(match[1] || match[2]) - 1;
+        const source = searchResults[index];
+        if (!source) continue;
+        cited.add(index);
+        annotations.push({
+            type: 'url_citation',
+            url_citation: { url: source.url, title: source.title, start_index: match.index, end_index: match.index + match[0].length }
+        });
+    }
+    searchResults.forEach((source, index) => {
+        if (cited.has(index)) return;
+        annotations.push({
+            type: 'url_citation',
+            url_citation: { url: source.url, title: source.title, start_index: 0, end_index: text.length }
+        });
+    });
+    return annotations;
+}
+
+// ─── Отмена запроса клиентом ─────────────────────────────────────────────────
+
+/**
+ * AbortSignal, срабатывающий при обрыве соединения клиентом до конца ответа (кнопка «Стоп» в Open WebUI).
+ * Слушаем res, а не req: 'close' у req в Node 16+ приходит сразу после чтения тела запроса.
+ */
+export function createClientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (res.writableEnded) return;
+        logInfo('Клиент закрыл соединение до завершения ответа — отменяем генерацию');
+        controller.abort();
+    });
+    return controller.signal;
+}
+
+// ─── Потоковый разбор tool calls ─────────────────────────────────────────────
+
+const TOOL_CALLS_PREFIX = '{"tool_calls":';
+const TOOL_NAME_KEYS = new Set(['name', 'tool']);
+const TOOL_ARGUMENT_KEYS = new Set(['arguments', 'args', 'input']);
+
+function generateToolCallId() {
+    return `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+/**
+ * Инкрементальный разбор ответа модели при эмуляции tool calling.
+ *
+ * По первым символам решает, что пишет модель:
+ * - обычный текст — сразу отдаётся в onContent и дальше стримится как есть;
+ * - {"tool_calls":[...]} — сканер идёт по JSON по мере поступления и вызывает
+ *   onToolCallStart(call) при появлении имени и onToolCallDelta(index, text) для кусков arguments;
+ * - другой JSON (запасные формы вызова) — буферизуется и в finish() разбирается parseToolCallJson.
+ *
+ * finish() возвращает { toolCalls } в том же формате, что parseToolCallJson.
+ */
+export function createToolCallStreamParser({ onContent, onToolCallStart, onToolCallDelta }) {
+    let mode = 'detect';
+    let raw = '';
+    let pos = 0;
+
+    const stack = [];
+    let inString = false;
+    let escape = false;
+    let stringRole = null;
+    let token = '';
+
+    const calls = [];
+    let current = null;
+
+    function emitStart(call) {
+        call.index = calls.length;
+        calls.push(call);
+        onToolCallStart({ index: call.index, id: call.id, type: 'function', function: { name: call.name, arguments: '' } });
+    }
+
+    function emitArguments(call) {
+        if (call.index === null || call.args.length <= call.emitted) return;
+        onToolCallDelta(call.index, call.args.slice(call.emitted));
+        call.emitted = call.args.length;
+    }
+
+    function endCapture() {
+        if (!current?.capture) return;
+        const { kind, text } = current.capture;
+        if (kind === 'string') {
+            try {
+                current.args = JSON.parse(text);
+            } catch {
+                current.args = text;
+            }
+        } else if (kind === 'scalar') {
+            current.args = text.trim();
+        }
+        current.capture = null;
+    }
+
+    function finalizeCall() {
+        if (!current) return;
+        endCapture();
+        if (current.name) {
+            if (current.index === null) emitStart(current);
+            if (!current.args) current.args = '{}';
+            emitArguments(current);
+        }
+        current = null;
+    }
+
+    function popContainer() {
+        const depth = stack.length;
+        const opener = stack.pop();
+        if (current?.capture && depth > 3) {
+            current.capture.text += opener === '{' ? '}' : ']';
+            if (current.capture.kind === 'container') current.args = current.capture.text;
+            if (depth === 4) endCapture();
+        }
+        if (depth === 3) finalizeCall();
+        if (depth <= 2) mode = 'done';
+    }
+
+    function scanChar(c) {
+        const depth = stack.length;
+        const capture = current?.capture;
+
+        if (inString) {
+            if (capture) capture.text += c;
+            if (escape) {
+                escape = false;
+            } else if (c === '\\') {
+                escape = true;
+            } else if (c === '"') {
+                inString = false;
+                if (capture?.kind === 'string' && depth === 3) endCapture();
+                if (stringRole === 'key') {
+                    current.key = token;
+                    current.expect = 'colon';
+                } else if (stringRole === 'name') {
+                    current.name = token;
+                } else if (stringRole === 'id') {
+                    current.id = token;
+                }
+                stringRole = null;
+                return;
+            }
+            if (!capture && !escape) token += c;
+            return;
+        }
+
+        const atCallLevel = depth === 3 && current && stack[2] === '{';
+        if (atCallLevel && current.expect === 'value' && !/\s/.test(c) && c !== ',' && c !== '}') {
+            current.expect = 'comma';
+            if (TOOL_ARGUMENT_KEYS.has(current.key)) {
+                current.capture = { kind: c === '"' ? 'string' : (c === '{' || c === '[') ? 'container' : 'scalar', text: '' };
+            } else if (c === '"') {
+                stringRole = TOOL_NAME_KEYS.has(current.key) ? 'name' : current.key === 'id' ? 'id' : 'skip';
+                token = '';
+                inString = true;
+                return;
+            }
+        }
+
+        if (current?.capture) current.capture.text += c;
+
+        if (c === '"') {
+            inString = true;
+            if (atCallLevel && current.expect === 'key') {
+                stringRole = 'key';
+                token = '';
+            }
+            return;
+        }
+        if (c === '{' || c === '[') {
+            stack.push(c);
+            if (stack.length === 3 && c === '{') current = { id: generateToolCallId(), name: null, args: '', emitted: 0, index: null, key: null, expect: 'key', capture: null };
+            return;
+        }
+        if (c === '}' || c === ']') {
+            if (current?.capture) current.capture.text = current.capture.text.slice(0, -1);
+            if (current?.capture?.kind === 'scalar' && depth === 3) endCapture();
+            // Qwen иногда теряет закрывающую скобку arguments — закрываем недостающие контейнеры сами.
+            const opener = c === '}' ? '{' : '[';
+            while (stack.length > 0 && stack[stack.length - 1] !== opener) popContainer();
+            if (stack.length > 0) popContainer();
+            return;
+        }
+        if (atCallLevel) {
+            if (c === ':' && current.expect === 'colon') current.expect = 'value';
+            if (c === ',') {
+                if (current.capture?.kind === 'scalar') {
+                    current.capture.text = current.capture.text.slice(0, -1);
+                    endCapture();
+                }
+                current.expect = 'key';
+            }
+        }
+    }
+
+    function scan() {
+        while (mode === 'tool' && pos < raw.length) scanChar(raw[pos++]);
+        if (current?.capture?.kind === 'container') current.args = current.capture.text;
+        if (current?.name && current.index === null) emitStart(current);
+        for (const call of calls) emitArguments(call);
+    }
+
+    function detect() {
+        const head = raw.trimStart();
+        if ('```json'.startsWith(head.toLowerCase())) return;
+        const fence = head.match(/^```(?:json)?\s*/i);
+        const body = fence ? head.slice(fence[0].length) : head;
+        const compact = body.slice(0, TOOL_CALLS_PREFIX.length * 2).replace(/\s+/g, '');
+
+        if (compact.startsWith(TOOL_CALLS_PREFIX)) {
+            mode = 'tool';
+            pos = raw.length - body.length;
+            scan();
+        } else if (compact === '' || TOOL_CALLS_PREFIX.startsWith(compact)) {
+            // ещё не ясно — ждём следующие чанки
+        } else if (compact.startsWith('{')) {
+            mode = 'buffer';
+        } else {
+            mode = 'content';
+            onContent(raw);
+        }
+    }
+
+    function emitWhole(toolCalls) {
+        for (const call of toolCalls) {
+            onToolCallStart({ index: call.index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } });
+            onToolCallDelta(call.index, call.function.arguments);
+        }
+    }
+
+    return {
+        push(chunk) {
+            if (!chunk) return;
+            raw += chunk;
+            if (mode === 'detect') detect();
+            else if (mode === 'content') onContent(chunk);
+            else if (mode === 'tool') scan();
+        },
+        finish() {
+            if (mode === 'content') return { toolCalls: [] };
+            if (mode === 'tool' || mode === 'done') {
+                // Ответ оборвался посреди JSON — закрываем незавершённую строку и контейнеры.
+                if (inString && current?.capture) current.capture.text += '"';
+                inString = false;
+                while (stack.length > 0 && mode !== 'done') popContainer();
+                finalizeCall();
+                if (calls.length > 0) {
+                    return {
+                        toolCalls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.args }, index: call.index }))
+                    };
+                }
+            }
+            const toolCalls = parseToolCallJson(raw);
+            if (toolCalls?.length > 0) {
+                emitWhole(toolCalls);
+                return { toolCalls };
+            }
+            if (raw) onContent(raw);
+            return { toolCalls: [] };
+        }
+    };
+}
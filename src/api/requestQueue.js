@@ -0,0 +1,214 @@
+// requestQueue.js — Общая очередь генерирующих запросов перед sendMessage.
+// Одновременно обрабатывается не больше REQUEST_MAX_ACTIVE запросов (по умолчанию — сколько
+// выдерживают доступные аккаунты), остальные ждут в очереди по классам приоритета ключей
+// (API_KEY_PRIORITIES). Переполнение и таймаут очереди — 503, все аккаунты в rate-limit без
+// запасного токена браузера — 429; в обоих случаях с Retry-After, а квота ключа возвращается.
+
+import { getTokensSnapshot, isTokenUsable } from './tokenManager.js';
+import { getSchedulerCapacity } from './accountScheduler.js';
+import { isBrowserFallbackAvailable } from './chat.js';
+import { refundApiKeyCharge } from './authMiddleware.js';
+import { logInfo, logWarn, logDebug } from '../logger/index.js';
+import {
+    REQUEST_MAX_ACTIVE, REQUEST_QUEUE_MAX_DEPTH, REQUEST_QUEUE_TIMEOUT,
+    API_KEY_PRIORITIES, PAGE_POOL_SIZE
+} from '../config.js';
+
+export const PRIORITY_CLASSES = ['high', 'normal', 'low'];
+
+// Как часто очередь перепроверяет лимит: он зависит от числа доступных аккаунтов
+const QUEUE_POLL_MS = 1_000;
+// Начальная оценка длительности запроса для Retry-After, пока нет замеров
+const DEFAULT_DURATION_MS = 10_000;
+
+const keyPriorities = new Map(
+    API_KEY_PRIORITIES.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.lastIndexOf(':');
+            return [entry.slice(0, separator), entry.slice(separator + 1).toLowerCase()];
+        })
+        .filter(([key, priority]) => key && PRIORITY_CLASSES.includes(priority))
+);
+
+const queues = Object.fromEntries(PRIORITY_CLASSES.map(priority => [priority, []]));
+let active = 0;
+let pollTimer = null;
+let averageDurationMs = DEFAULT_DURATION_MS;
+const counters = { admitted: 0, queued: 0, dequeued: 0, rejectedFull: 0, timedOut: 0, rateLimited: 0, cancelled: 0, waitMsTotal: 0 };
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+export function getKeyPriority(apiKey) {
+    return (apiKey && keyPriorities.get(apiKey)) || 'normal';
+}
+
+/**
+ * Лимит одновременных запросов: REQUEST_MAX_ACTIVE или суммарный лимит доступных аккаунтов.
+ * Без аккаунтов запросы идут через токен браузера — ограничиваемся размером пула страниц.
+ */
+function activeLimit() {
+    if (REQUEST_MAX_ACTIVE > 0) return REQUEST_MAX_ACTIVE;
+    const capacity = getSchedulerCapacity();
+    return capacity > 0 ? capacity : PAGE_POOL_SIZE;
+}
+
+/**
+ * Помещается ли запрос весом weight в лимит. Запрос тяжелее всего лимита пропускаем,
+ * когда больше ничего не выполняется, иначе он ждал бы вечно.
+ */
+function fits(weight, limit = activeLimit()) {
+    return active + weight <= limit || active === 0;
+}
+
+function queuedCount() {
+    return PRIORITY_CLASSES.reduce((sum, priority) => sum + queues[priority].length, 0);
+}
+
+/**
+ * Ближайший сброс rate-limit, если все аккаунты сейчас залимичены и токен браузера их не заменит; иначе null.
+ * Недействительные и отключённые аккаунты не учитываются — их сброс не ожидается.
+ */
+function nearestResetAt(now = Date.now()) {
+    const tokens = getTokensSnapshot();
+    if (tokens.length === 0 || tokens.some(token => isTokenUsable(token, now))) return null;
+    if (isBrowserFallbackAvailable()) return null;
+    const resets = tokens
+        .filter(token => !token.invalid && !token.disabled && token.resetAt)
+        .map(token => new Date(token.resetAt).getTime())
+        .filter(time => time > now);
+    return resets.length > 0 ? Math.min(...resets) : null;
+}
+
+function busyRetryAfter() {
+    const limit = activeLimit();
+    const perSlot = Number.isFinite(limit) ? (queuedCount() + 1) / limit : 1;
+    return Math.max(1, Math.ceil((averageDurationMs * perSlot) / 1000));
+}
+
+function reject(req, res, status, retryAfter, error) {
+    // Запрос до Qwen не дошёл — не засчитываем его в лимиты ключа
+    refundApiKeyCharge(req);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(status).json({ error, retryAfter });
+}
+
+function admit(req, res, next, priority, weight) {
+    active += weight;
+    counters.admitted++;
+    const startedAt = Date.now();
+    let finished = false;
+    res.on('close', () => {
+        if (finished) return;
+        finished = true;
+        active = Math.max(0, active - weight);
+        // Скользящее среднее длительности — для оценки Retry-After
+        averageDurationMs = averageDurationMs * 0.8 + (Date.now() - startedAt) * 0.2;
+        drainQueue();
+    });
+    logDebug(`Очередь запросов: принят ${req.method} ${req.originalUrl} (${priority}), в работе ${active}`);
+    next();
+}
+
+function removeWaiter(waiter) {
+    const queue = queues[waiter.priority];
+    const index = queue.indexOf(waiter);
+    if (index !== -1) queue.splice(index, 1);
+    clearTimeout(waiter.timer);
+    if (queuedCount() === 0 && pollTimer) {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+}
+
+function drainQueue() {
+    const limit = activeLimit();
+    for (const priority of PRIORITY_CLASSES) {
+        while (queues[priority].length > 0) {
+            const waiter = queues[priority][0];
+            // Тяжёлый запрос в голове очереди не обгоняем, иначе он не дождётся места
+            if (!fits(waiter.weight, limit)) return;
+            removeWaiter(waiter);
+            counters.dequeued++;
+            counters.waitMsTotal += Date.now() - waiter.enqueuedAt;
+            waiter.admit();
+        }
+    }
+}
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+/**
+ * Express-middleware для генерирующих эндпоинтов. Ключ берётся из req.apiKey (authMiddleware),
+ * req.queueWeight — сколько генераций запускает запрос (по умолчанию одна), столько мест он и занимает.
+ */
+export function requestQueue(req, res, next) {
+    const resetAt = nearestResetAt();
+    if (resetAt) {
+        counters.rateLimited++;
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        logWarn(`Все аккаунты достигли лимита Qwen, отказ ${req.method} ${req.originalUrl}; сброс через ${retryAfter} с`);
+        return reject(req, res, 429, retryAfter, 'Все аккаунты достигли лимита Qwen, попробуйте позже');
+    }
+
+    const priority = getKeyPriority(req.apiKey);
+    const weight = req.queueWeight || 1;
+    // Более приоритетных ожидающих не обгоняем, менее приоритетных — можно
+    const waitingAhead = PRIORITY_CLASSES
+        .slice(0, PRIORITY_CLASSES.indexOf(priority) + 1)
+        .some(level => queues[level].length > 0);
+    if (fits(weight) && !waitingAhead) return admit(req, res, next, priority, weight);
+
+    if (queuedCount() >= REQUEST_QUEUE_MAX_DEPTH) {
+        counters.rejectedFull++;
+        logWarn(`Очередь запросов переполнена (${REQUEST_QUEUE_MAX_DEPTH}), отказ ${req.method} ${req.originalUrl}`);
+        return reject(req, res, 503, busyRetryAfter(), 'Сервер перегружен: очередь запросов заполнена');
+    }
+
+    const waiter = { priority, weight, enqueuedAt: Date.now() };
+    waiter.admit = () => {
+        res.removeListener('close', waiter.onClose);
+        admit(req, res, next, priority, weight);
+    };
+    waiter.onClose = () => {
+        removeWaiter(waiter);
+        refundApiKeyCharge(req);
+        counters.cancelled++;
+    };
+    waiter.timer = setTimeout(() => {
+        removeWaiter(waiter);
+        res.removeListener('close', waiter.onClose);
+        counters.timedOut++;
+        logWarn(`Запрос ${req.method} ${req.originalUrl} не дождался очереди за ${REQUEST_QUEUE_TIMEOUT} мс`);
+        reject(req, res, 503, busyRetryAfter(), 'Сервер перегружен: превышено время ожидания в очереди');
+    }, REQUEST_QUEUE_TIMEOUT);
+    res.on('close', waiter.onClose);
+
+    queues[priority].push(waiter);
+    counters.queued++;
+    logInfo(`Очередь запросов: ${req.method} ${req.originalUrl} ждёт (${priority}), в очереди ${queuedCount()}`);
+    if (!pollTimer) {
+        pollTimer = setInterval(drainQueue, QUEUE_POLL_MS);
+        pollTimer.unref();
+    }
+}
+
+/**
+ * Метрики очереди для /api/health и мониторинга.
+ */
+export function getRequestQueueStats() {
+    const limit = activeLimit();
+    return {
+        active,
+        limit: Number.isFinite(limit) ? limit : null,
+        queued: queuedCount(),
+        queuedByPriority: Object.fromEntries(PRIORITY_CLASSES.map(priority => [priority, queues[priority].length])),
+        maxDepth: REQUEST_QUEUE_MAX_DEPTH,
+        admitted: counters.admitted,
+        rejected: { full: counters.rejectedFull, timeout: counters.timedOut, rateLimited: counters.rateLimited },
+        cancelled: counters.cancelled,
+        averageWaitMs: counters.dequeued > 0 ? Math.round(counters.waitMsTotal / counters.dequeued) : 0,
+        averageDurationMs: Math.round(averageDurationMs)
+    };
+}
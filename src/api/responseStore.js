@@ -0,0 +1,70 @@
+// responseStore.js — Хранилище ответов Responses API (session/responses/<id>.json).
+// В ответе лежат Qwen chatId/parentId для previous_response_id и id создавшего его ключа.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logError, logDebug } from '../logger/index.js';
+import { SESSION_DIR } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const RESPONSES_DIR = path.resolve(__dirname, '..', '..', SESSION_DIR, 'responses');
+
+function ensureResponsesDir() {
+    if (!fs.existsSync(RESPONSES_DIR)) fs.mkdirSync(RESPONSES_DIR, { recursive: true });
+}
+
+/**
+ * Путь к файлу ответа. id приходит от клиента (previous_response_id),
+ * поэтому допускаем только [a-zA-Z0-9_-] — защита от path traversal.
+ */
+function getResponseFilePath(responseId) {
+    if (typeof responseId !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(responseId)) return null;
+    return path.join(RESPONSES_DIR, `${responseId}.json`);
+}
+
+/**
+ * Сохраняет ответ. ownerId — id управляемого ключа, создавшего ответ (null — ключи из Authorization.txt):
+ * читать, удалять и продолжать ответ может только он.
+ */
+export function saveResponse(response, ownerId = null) {
+    try {
+        ensureResponsesDir();
+        const filePath = getResponseFilePath(response?.id);
+        if (!filePath) return false;
+        fs.writeFileSync(filePath, JSON.stringify({ ...response, x_api_key_id: ownerId }, null, 2), 'utf8');
+        logDebug(`Ответ ${response.id} сохранён`);
+        return true;
+    } catch (error) {
+        logError(`Ошибка при сохранении ответа ${response?.id}`, error);
+        return false;
+    }
+}
+
+/**
+ * Ответ ключа ownerId; чужой ответ не отличается от несуществующего — null.
+ */
+export function loadResponse(responseId, ownerId = null) {
+    const filePath = getResponseFilePath(responseId);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    try {
+        const { x_api_key_id: storedOwnerId = null, ...response } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return storedOwnerId === ownerId ? response : null;
+    } catch (error) {
+        logError(`Ошибка при чтении ответа ${responseId}`, error);
+        return null;
+    }
+}
+
+export function deleteResponse(responseId, ownerId = null) {
+    if (!loadResponse(responseId, ownerId)) return false;
+    const filePath = getResponseFilePath(responseId);
+    try {
+        fs.unlinkSync(filePath);
+        return true;
+    } catch (error) {
+        logError(`Ошибка при удалении ответа ${responseId}`, error);
+        return false;
+    }
+}
@@ -0,0 +1,362 @@
+// responses.js — Совместимость с OpenAI Responses API (POST /api/v1/responses).
+// previous_response_id хранит пару Qwen chatId/parentId, поэтому продолжение диалога
+// идёт в том же Qwen-чате без эвристик conversation-hint и без пересылки всей истории.
+
+import express from 'express';
+import crypto from 'crypto';
+import { sendMessage } from './chat.js';
+import { getMappedModel } from './modelMapping.js';
+import { prepareOpenAIMessageInput, applyToolPrompt, parseToolCallJson, toQwenContent } from './promptAdapter.js';
+import { saveResponse, loadResponse, deleteResponse } from './responseStore.js';
+import { logInfo, logError, logDebug } from '../logger/index.js';
+import { DEFAULT_MODEL } from '../config.js';
+import { apiKeyQuota } from './authMiddleware.js';
+import { requestQueue } from './requestQueue.js';
+
+const router = express.Router();
+
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+// ─── Helpers: Responses input -> OpenAI messages ─────────────────────────────
+
+function contentToOpenAI(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+
+    const parts = content.map(part => {
+        if (!part) return null;
+        if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+            return { type: 'text', text: part.text || '' };
+        }
+        if (part.type === 'input_image') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            return url ? { type: 'image_url', image_url: { url } } : null;
+        }
+        if (part.type === 'input_file') {
+            return { type: 'text', text: `[file: ${part.filename || part.file_id || part.file_url || ''}]` };
+        }
+        return null;
+    }).filter(Boolean);
+
+    return parts.every(p => p.type === 'text') ? parts.map(p => p.text).join('\n') : parts;
+}
+
+/**
+ * Переводит `input` Responses API в OpenAI chat messages.
+ * Имена функций для function_call_output ищутся в самом input и в output предыдущего ответа.
+ */
+function inputToOpenAIMessages(input, previousOutput = []) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+
+    const toolNames = new Map(
+        previousOutput.filter(item => item.type === 'function_call').map(item => [item.call_id, item.name])
+    );
+    const messages = [];
+
+    for (const item of Array.isArray(input) ? input : []) {
+        if (!item) continue;
+
+        if (item.type === 'function_call') {
+            toolNames.set(item.call_id, item.name);
+            messages.push({
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } }]
+            });
+            continue;
+        }
+
+        if (item.type === 'function_call_output') {
+            messages.push({
+                role: 'tool',
+                tool_call_id: item.call_id,
+                name: toolNames.get(item.call_id),
+                content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+            });
+            continue;
+        }
+
+        if (item.type && item.type !== 'message') continue;
+        messages.push({
+            role: item.role === 'developer' ? 'system' : (item.role || 'user'),
+            content: contentToOpenAI(item.content)
+        });
+    }
+
+    return messages;
+}
+
+function buildSystemMessage(instructions, messages) {
+    const parts = [instructions, ...messages.filter(m => m.role === 'system').map(m => contentToOpenAI(m.content))]
+        .filter(part => typeof part === 'string' && part.trim());
+    return parts.length > 0 ? parts.join('\n\n') : null;
+}
+
+function responsesToolsToOpenAI(tools) {
+    if (!Array.isArray(tools)) return null;
+    const converted = tools
+        .filter(tool => tool?.type === 'function' && tool.name)
+        .map(tool => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description || '',
+                parameters: tool.parameters || { type: 'object', properties: {} }
+            }
+        }));
+    return converted.length > 0 ? converted : null;
+}
+
+function toolChoiceToPrompt(toolChoice) {
+    if (toolChoice === 'required') return '\n\nYou MUST respond with a tool call from the list above.';
+    if (toolChoice?.type === 'function' && toolChoice.name) return `\n\nYou MUST respond with a call of the tool "${toolChoice.name}".`;
+    return '';
+}
+
+// ─── Helpers: response objects ───────────────────────────────────────────────
+
+function buildUsage(usage) {
+    const inputTokens = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+    const outputTokens = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+    return { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+}
+
+function buildMessageItem(text, status = 'completed', id = generateId('msg')) {
+    return {
+        type: 'message',
+        id,
+        status,
+        role: 'assistant',
+        content: [{ type: 'output_text', text, annotations: [] }]
+    };
+}
+
+function buildFunctionCallItem(call, status = 'completed') {
+    return {
+        type: 'function_call',
+        id: generateId('fc'),
+        call_id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments,
+        status
+    };
+}
+
+function buildResponseObject(base, { status, output = [], usage = null, error = null, chatId = null, parentId = null }) {
+    return {
+        ...base,
+        status,
+        error,
+        output,
+        usage: usage ? buildUsage(usage) : null,
+        x_qwen_chat_id: chatId,
+        x_qwen_parent_id: parentId
+    };
+}
+
+function buildErrorBody(message, type = 'server_error', code = null) {
+    return { error: { message, type, param: null, code } };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+router.post('/responses', apiKeyQuota, requestQueue, async (req, res) => {
+    try {
+        const { model, input, instructions, previous_response_id, tools, tool_choice, stream, store, metadata } = req.body || {};
+        logInfo(`Получен Responses API запрос${stream ? ' (stream)' : ''}${previous_response_id ? `, previous_response_id: ${previous_response_id}` : ''}`);
+
+        if (input === undefined || input === null || (Array.isArray(input) && input.length === 0)) {
+            logError('Запрос без input');
+            return res.status(400).json(buildErrorBody('Missing required parameter: input', 'invalid_request_error', 'missing_required_parameter'));
+        }
+
+        // Ответы видны только создавшему их управляемому ключу
+        const ownerId = req.apiKeyRecord?.id || null;
+        let previous = null;
+        if (previous_response_id) {
+            previous = loadResponse(previous_response_id, ownerId);
+            if (!previous) {
+                return res.status(404).json(buildErrorBody(`Previous response with id '${previous_response_id}' not found.`, 'invalid_request_error', 'previous_response_not_found'));
+            }
+        }
+
+        const chatId = previous?.x_qwen_chat_id || null;
+        const parentId = previous?.x_qwen_parent_id || null;
+        const messages = inputToOpenAIMessages(input, previous?.output || []);
+        const combinedTools = tool_choice === 'none' ? null : responsesToolsToOpenAI(tools);
+
+        // С previous_response_id контекст уже лежит в Qwen-чате: отправляем только новые items.
+        const preparedInput = prepareOpenAIMessageInput(messages, combinedTools, chatId);
+        if (preparedInput.missingUser) {
+            logError('В запросе нет сообщений от пользователя');
+            return res.status(400).json(buildErrorBody('Input must contain a user message or function_call_output', 'invalid_request_error'));
+        }
+
+        const messageContent = toQwenContent(preparedInput.messageContent);
+        const mappedModel = getMappedModel(model || previous?.model);
+        const systemMessage = buildSystemMessage(instructions, messages);
+        const toolAwareSystemMessage = combinedTools
+            ? applyToolPrompt(systemMessage, combinedTools) + toolChoiceToPrompt(tool_choice)
+            : systemMessage;
+        const captureToolCalls = Boolean(combinedTools);
+        const shouldStore = store !== false;
+
+        logInfo(`Используется модель: ${mappedModel}`);
+        if (chatId) logInfo(`Продолжение Qwen chatId: ${chatId}, parentId: ${parentId || 'null'}`);
+
+        const base = {
+            id: generateId('resp'),
+            object: 'response',
+            created_at: Math.floor(Date.now() / 1000),
+            model: mappedModel || DEFAULT_MODEL,
+            instructions: instructions || null,
+            previous_response_id: previous_response_id || null,
+            tools: tools || [],
+            tool_choice: tool_choice || 'auto',
+            parallel_tool_calls: true,
+            store: shouldStore,
+            metadata: metadata || {}
+        };
+
+        // messageItemId — id элемента, под которым клиент уже получил стриминговые дельты.
+        const finalizeResult = (result, messageItemId = undefined) => {
+            if (result.error) {
+                return buildResponseObject(base, {
+                    status: 'failed',
+                    error: { code: 'server_error', message: result.error },
+                    chatId: result.chatId || chatId,
+                    parentId
+                });
+            }
+
+            const text = result.choices?.[0]?.message?.content || '';
+            const toolCalls = captureToolCalls ? parseToolCallJson(text) : null;
+            const output = toolCalls?.length > 0
+                ? toolCalls.map(call => buildFunctionCallItem(call))
+                : [buildMessageItem(text, 'completed', messageItemId)];
+
+            const response = buildResponseObject(base, {
+                status: 'completed',
+                output,
+                usage: result.usage,
+                chatId: result.chatId,
+                parentId: result.parentId || result.response_id
+            });
+            if (shouldStore) saveResponse(response, ownerId);
+            return response;
+        };
+
+        if (!stream) {
+            const result = await sendMessage(messageContent, mappedModel, chatId, parentId, preparedInput.files, null, null, toolAwareSystemMessage);
+            const response = finalizeResult(result);
+            if (response.status === 'failed') {
+                return res.status(500).json(buildErrorBody(response.error.message));
+            }
+            return res.json(response);
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+
+        let sequenceNumber = 0;
+        const writeEvent = (type, data) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...data })}\n\n`);
+        };
+
+        const inProgress = buildResponseObject(base, { status: 'in_progress', chatId, parentId });
+        writeEvent('response.created', { response: inProgress });
+        writeEvent('response.in_progress', { response: inProgress });
+
+        let messageItem = null;
+        let streamedText = '';
+        const writeText = (delta) => {
+            if (!messageItem) {
+                messageItem = buildMessageItem('', 'in_progress');
+                messageItem.content = [];
+                writeEvent('response.output_item.added', { output_index: 0, item: messageItem });
+                writeEvent('response.content_part.added', {
+                    item_id: messageItem.id, output_index: 0, content_index: 0,
+                    part: { type: 'output_text', text: '', annotations: [] }
+                });
+            }
+            streamedText += delta;
+            writeEvent('response.output_text.delta', { item_id: messageItem.id, output_index: 0, content_index: 0, delta });
+        };
+
+        const streamingCallback = captureToolCalls ? null : writeText;
+
+        try {
+            const result = await sendMessage(
+                messageContent, mappedModel, chatId, parentId, preparedInput.files, null, null, toolAwareSystemMessage,
+                't2t', null, true, 0, streamingCallback
+            );
+            const response = finalizeResult(result, messageItem?.id);
+
+            if (response.status === 'failed') {
+                writeEvent('response.failed', { response });
+                res.end();
+                return;
+            }
+
+            if (response.output[0]?.type === 'function_call') {
+                response.output.forEach((item, outputIndex) => {
+                    writeEvent('response.output_item.added', { output_index: outputIndex, item: { ...item, arguments: '', status: 'in_progress' } });
+                    writeEvent('response.function_call_arguments.delta', { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+                    writeEvent('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+                    writeEvent('response.output_item.done', { output_index: outputIndex, item });
+                });
+            } else {
+                const text = response.output[0].content[0].text;
+                if (!streamedText && text) {
+                    logDebug(`JSON response content length: ${text.length}`);
+                    writeText(text);
+                }
+                if (messageItem) {
+                    const part = response.output[0].content[0];
+                    writeEvent('response.output_text.done', { item_id: messageItem.id, output_index: 0, content_index: 0, text: part.text });
+                    writeEvent('response.content_part.done', { item_id: messageItem.id, output_index: 0, content_index: 0, part });
+                    writeEvent('response.output_item.done', { output_index: 0, item: response.output[0] });
+                }
+            }
+
+            writeEvent('response.completed', { response });
+            res.end();
+        } catch (error) {
+            logError('Ошибка при обработке потокового Responses запроса', error);
+            writeEvent('response.failed', {
+                response: buildResponseObject(base, { status: 'failed', error: { code: 'server_error', message: 'Internal server error' }, chatId, parentId })
+            });
+            res.end();
+        }
+    } catch (error) {
+        logError('Ошибка при обработке Responses запроса', error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(500).json(buildErrorBody('Внутренняя ошибка сервера'));
+    }
+});
+
+router.get('/responses/:responseId', (req, res) => {
+    const response = loadResponse(req.params.responseId, req.apiKeyRecord?.id || null);
+    if (!response) {
+        return res.status(404).json(buildErrorBody(`Response with id '${req.params.responseId}' not found.`, 'invalid_request_error', 'not_found'));
+    }
+    res.json(response);
+});
+
+router.delete('/responses/:responseId', (req, res) => {
+    const { responseId } = req.params;
+    if (!deleteResponse(responseId, req.apiKeyRecord?.id || null)) {
+        return res.status(404).json(buildErrorBody(`Response with id '${responseId}' not found.`, 'invalid_request_error', 'not_found'));
+    }
+    logInfo(`Ответ ${responseId} удалён`);
+    res.json({ id: responseId, object: 'response.deleted', deleted: true });
+});
+
+export default router;
@@ -1,19 +1,29 @@
 import express from 'express';
-import { sendMessage, getAllModels, getApiKeys, createChatV2, pollQwenTaskStatus, extractMediaUrl, pagePool, extractAuthToken } from './chat.js';
+import { sendMessage, getAllModels, createChatV2, pollQwenTaskStatus, extractMediaUrl, pagePool, extractAuthToken } from './chat.js';
 import { getAuthenticationStatus, getBrowserContext } from '../browser/browser.js';
 import { checkAuthentication } from '../browser/auth.js';
-import { logInfo, logError, logDebug } from '../logger/index.js';
-import { getMappedModel } from './modelMapping.js';
+import { logInfo, logError, logDebug, previewText } from '../logger/index.js';
+import { getMappedModel, CHAT_MEDIA_MODEL } from './modelMapping.js';
 import { getStsToken, uploadFileToQwen } from './fileUpload.js';
-import { loadHistory, saveHistory } from './chatHistory.js';
+import { recordTranscript } from './chatHistory.js';
 import { generateImage, getAvailableImageModels, checkImageApiAvailability } from './imageGeneration.js';
-import { MAX_FILE_SIZE, UPLOADS_DIR, DEFAULT_MODEL, STREAMING_CHUNK_DELAY, ALLOW_UNSCOPED_SESSION_CHAT_RESTORE } from '../config.js';
+import { MAX_FILE_SIZE, UPLOADS_DIR, DEFAULT_MODEL, STREAMING_CHUNK_DELAY, ALLOW_UNSCOPED_SESSION_CHAT_RESTORE, SESSION_STORE_TTL_DAYS } from '../config.js';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import crypto from 'crypto';
-import { listTokens, markInvalid, markRateLimited, markValid } from './tokenManager.js';
+import { listTokens, markInvalid, markRateLimited, markValid, isTokenUsable, getTokenExpiresAt } from './tokenManager.js';
 import { FORGETMEAI_WATERMARK } from '../utils/branding.js';
+import { prepareOpenAIMessageInput, parseToolCallJson, applyToolPrompt, createToolCallStreamParser, resolveThinkingOptions, resolveSearchOptions, buildCitationAnnotations, createClientAbortSignal } from './promptAdapter.js';
+import anthropicRouter from './anthropic.js';
+import responsesRouter from './responses.js';
+import completionsRouter from './completions.js';
+import historyRouter from './history.js';
+import { normalizeResponseFormat, createStructuredSender } from './structuredOutput.js';
+import { authMiddleware, apiKeyQuota } from './authMiddleware.js';
+import { createPersistentMap, getSessionStoreStats } from './sessionStore.js';
+import { getSchedulerStats } from './accountScheduler.js';
+import { requestQueue, getRequestQueueStats } from './requestQueue.js';
 
 // Функция для генерирования детерминированного chatId на основе истории
 function generateChatIdFromHistory(messages) {
@@ -147,8 +157,9 @@ function shouldPersistSessionContext(scope = null) {
     return Boolean(normalizedScope) || ALLOW_UNSCOPED_SESSION_CHAT_RESTORE;
 }
 
-// Глобальное хранилище для маппинга между сгенерированными ID и реальными Qwen chatId
-const chatIdMap = new Map();
+// Глобальное хранилище для маппинга между сгенерированными ID и реальными Qwen chatId.
+// Персистентное (sessionStore.js): после перезапуска chat_xxx из Open WebUI ведут в те же Qwen-чаты.
+const chatIdMap = createPersistentMap('chatIdMap', { ttlMs: SESSION_STORE_TTL_DAYS * 24 * 3600 * 1000 });
 
 function mapChatId(generatedId, qwenChatId) {
     if (generatedId) {
@@ -215,7 +226,8 @@ function isOpenWebUiMetaRequest(messages) {
 // Scoped-сессии (по conversation_id/chat_id) включены всегда.
 // Unscoped fallback по IP + User-Agent работает только в legacy-режиме
 // через ALLOW_UNSCOPED_SESSION_CHAT_RESTORE=true.
-const sessionToChatMap = new Map(); // session-key -> {chatId, parentId, timestamp}
+const SESSION_TTL_MS = 3600000; // 1 hour
+const sessionToChatMap = createPersistentMap('sessions', { ttlMs: SESSION_TTL_MS }); // session-key -> {chatId, parentId, timestamp}
 
 function getSessionKey(req) {
     // Создаём уникальный ключ сессии на основе IP и User-Agent
@@ -235,7 +247,7 @@ function getSavedChatId(req, scope = null) {
 
     for (const sessionKey of keysToTry) {
         const sessionData = sessionToChatMap.get(sessionKey);
-        if (sessionData && (Date.now() - sessionData.timestamp) < 3600000) { // 1 hour
+        if (sessionData && (Date.now() - sessionData.timestamp) < SESSION_TTL_MS) {
             return sessionData;
         }
     }
@@ -256,21 +268,7 @@ function saveChatIdForSession(req, chatId, parentId, scope = null) {
     const scopeSuffix = normalizedScope ? ` (scope=${normalizedScope})` : "";
     logDebug(`Saved chatId ${chatId} for session ${sessionKey.substring(0, 8)}${scopeSuffix}`);
 }
-// Очистка старых сессий каждые 10 минут
-setInterval(() => {
-    const now = Date.now();
-    const oneHourAgo = now - 3600000;
-    let cleaned = 0;
-    for (const [key, value] of sessionToChatMap.entries()) {
-        if (value.timestamp < oneHourAgo) {
-            sessionToChatMap.delete(key);
-            cleaned++;
-        }
-    }
-    if (cleaned > 0) {
-        logDebug(`Очищено ${cleaned} старых сессий`);
-    }
-}, 600000); // 10 минут
+// Старые сессии (старше SESSION_TTL_MS) удаляет периодическая компакция sessionStore.
 
 const router = express.Router();
 
@@ -289,32 +287,21 @@ const storage = multer.diskStorage({
 
 const upload = multer({ storage, limits: { fileSize: MAX_FILE_SIZE } });
 
-// ─── Auth middleware ─────────────────────────────────────────────────────────
-
-function authMiddleware(req, res, next) {
-    const apiKeys = getApiKeys();
-    if (apiKeys.length === 0) return next();
-
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        logError('Отсутствует или некорректный заголовок авторизации');
-        return res.status(401).json({ error: 'Требуется авторизация' });
-    }
-
-    const token = authHeader.substring(7).trim();
-    if (!apiKeys.includes(token)) {
-        logError('Предоставлен недействительный API ключ');
-        return res.status(401).json({ error: 'Недействительный токен' });
-    }
-    next();
-}
-
 router.use(authMiddleware);
 router.use((req, res, next) => {
     req.url = req.url.replace(/\/v[12](?=\/|$)/g, '').replace(/\/+/g, '/');
     next();
 });
 
+// Anthropic Messages API: POST /api/v1/messages
+router.use(anthropicRouter);
+// OpenAI Responses API: POST /api/v1/responses, GET/DELETE /api/v1/responses/:id
+router.use(responsesRouter);
+// Legacy OpenAI text completions: POST /api/v1/completions
+router.use(completionsRouter);
+// Локальная история чатов: GET /api/chats, GET/PATCH/DELETE /api/chats/:chatId, /api/chats/:chatId/history
+router.use(historyRouter);
+
 // ─── Helpers: message parsing ────────────────────────────────────────────────
 
 function parseOpenAIMessages(messages) {
@@ -352,242 +339,6 @@ function buildCombinedTools(tools, functions, toolChoice) {
     return { combinedTools, toolChoice };
 }
 
-function stringifyOpenAIContent(content) {
-    if (content === null || content === undefined) return '';
-    if (typeof content === 'string') return content;
-    if (Array.isArray(content)) {
-        return content.map(item => {
-            if (!item) return '';
-            if (typeof item === 'string') return item;
-            if (item.type === 'text') return item.text || '';
-            if (item.type === 'image_url') return `[image: ${item.image_url?.url || ''}]`;
-            if (item.type === 'image') return `[image: ${item.image || ''}]`;
-            if (item.type === 'file') return `[file: ${item.file || item.name || ''}]`;
-            return JSON.stringify(item);
-        }).filter(Boolean).join('\n');
-    }
-    return JSON.stringify(content);
-}
-
-function buildStatelessTranscript(messages) {
-    const parts = [];
-    for (const msg of messages || []) {
-        if (!msg || msg.role === 'system') continue;
-        if (msg.role === 'user') {
-            parts.push(`User: ${stringifyOpenAIContent(msg.content)}`);
-        } else if (msg.role === 'assistant') {
-            const text = stringifyOpenAIContent(msg.content);
-            if (text) parts.push(`Assistant: ${text}`);
-            if (Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
-                parts.push(`Assistant tool calls: ${JSON.stringify(msg.tool_calls)}`);
-            }
-        } else if (msg.role === 'tool') {
-            const name = msg.name || msg.tool_call_id || 'tool';
-            parts.push(`Tool result (${name}): ${stringifyOpenAIContent(msg.content)}`);
-        } else {
-            parts.push(`${msg.role || 'message'}: ${stringifyOpenAIContent(msg.content)}`);
-        }
-    }
-    return parts.join('\n\n');
-}
-
-
-function hasOpenAIToolState(messages) {
-    return (messages || []).some(msg =>
-        msg?.role === 'tool' ||
-        msg?.role === 'function' ||
-        (msg?.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) ||
-        (msg?.role === 'assistant' && msg.function_call)
-    );
-}
-
-function shouldFoldOpenAITranscript(messages, combinedTools, effectiveChatId) {
-    const nonSystemMessages = (messages || []).filter(msg => msg && msg.role !== 'system');
-    if (nonSystemMessages.length === 0) return false;
-
-    // Hermes/OpenAI agents send the full state every request. After a tool call the
-    // next request often ends with role=tool, not role=user. Qwen Chat has no native
-    // OpenAI tool-result role, so preserving context means folding the whole OpenAI
-    // transcript into a single user message for that turn.
-    if (hasOpenAIToolState(messages)) return true;
-
-    // If FreeQwenApi is used as a stateless OpenAI-compatible endpoint and no
-    // conversation id/chat id was provided, keep the complete client-side history.
-    if (!effectiveChatId && nonSystemMessages.length > 1) return true;
-
-    // When tools are available, prefer the OpenAI transcript over Qwen's opaque web
-    // chat memory on multi-message turns. This keeps Hermes skill/tool discipline in
-    // the prompt visible to Qwen instead of depending on previous web-chat state.
-    if (Array.isArray(combinedTools) && combinedTools.length > 0 && nonSystemMessages.length > 1) return true;
-
-    return false;
-}
-
-function prepareOpenAIMessageInput(messages, combinedTools, effectiveChatId) {
-    const lastUserMessage = (messages || []).filter(msg => msg && msg.role === 'user').pop();
-    if (shouldFoldOpenAITranscript(messages, combinedTools, effectiveChatId)) {
-        return {
-            messageContent: buildStatelessTranscript(messages),
-            files: lastUserMessage?.files || [],
-            folded: true,
-            missingUser: false
-        };
-    }
-
-    if (!lastUserMessage) {
-        return { messageContent: null, files: [], folded: false, missingUser: true };
-    }
-
-    return {
-        messageContent: lastUserMessage.content,
-        files: lastUserMessage.files || [],
-        folded: false,
-        missingUser: false
-    };
-}
-
-function truncateForPrompt(value, maxLen = 240) {
-    const text = String(value || '');
-    return text.length > maxLen ? text.slice(0, maxLen).trimEnd() + '…' : text;
-}
-
-function compactJsonSchema(schema, depth = 0) {
-    if (!schema || typeof schema !== 'object' || depth > 2) return schema;
-    if (Array.isArray(schema)) return schema.slice(0, 20).map(item => compactJsonSchema(item, depth + 1));
-
-    const out = {};
-    for (const key of ['type', 'enum', 'required', 'default']) {
-        if (schema[key] !== undefined) out[key] = schema[key];
-    }
-    if (schema.description) out.description = truncateForPrompt(schema.description, depth === 0 ? 180 : 90);
-    if (schema.properties && typeof schema.properties === 'object') {
-        out.properties = {};
-        for (const [name, prop] of Object.entries(schema.properties)) {
-            out.properties[name] = compactJsonSchema(prop, depth + 1);
-        }
-    }
-    if (schema.items) out.items = compactJsonSchema(schema.items, depth + 1);
-    if (schema.oneOf) out.oneOf = compactJsonSchema(schema.oneOf, depth + 1);
-    if (schema.anyOf) out.anyOf = compactJsonSchema(schema.anyOf, depth + 1);
-    return out;
-}
-
-function toolsToPrompt(tools) {
-    if (!Array.isArray(tools) || tools.length === 0) return '';
-
-    const priorityNames = new Set([
-        'skill_view', 'skills_list', 'skill_manage',
-        'read_file', 'search_files', 'write_file', 'patch', 'terminal', 'process',
-        'web_search', 'web_extract', 'session_search', 'todo', 'clarify', 'delegate_task'
-    ]);
-
-    const schemas = tools.map(tool => {
-        const fn = tool?.function || tool;
-        if (!fn?.name) return null;
-        return {
-            name: fn.name,
-            description: truncateForPrompt(fn.description || '', priorityNames.has(fn.name) ? 420 : 180),
-            parameters: compactJsonSchema(fn.parameters || { type: 'object', properties: {} }),
-            priority: priorityNames.has(fn.name) ? 0 : 1
-        };
-    }).filter(Boolean).sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
-
-    if (schemas.length === 0) return '';
-
-    const toolNames = schemas.map(s => s.name).join(', ');
-    const skillRules = schemas.some(s => s.name === 'skill_view') ? `
-SKILL RULES ARE HARD REQUIREMENTS:
-- If the system prompt says a skill MUST be loaded, you MUST call skill_view before answering.
-- If the user asks about Hermes Agent setup/config/providers/models/tools/skills/gateway/plugins/troubleshooting, FIRST call:
-  {"tool_calls":[{"name":"skill_view","arguments":{"name":"hermes-agent"}}]}
-- If a task is related to any listed skill category, call skill_view with the most relevant skill name before giving the final answer.
-- After receiving a skill_view result, use it, then continue normally or call the next needed tool.
-` : '';
-
-    return `
-
-OPENAI-COMPATIBLE TOOL CALLING ADAPTER ACTIVE.
-You are behind a proxy that converts your JSON into real OpenAI tool_calls. Native prose like "I will use X" is NOT a tool call.
-
-Available tool names exactly:
-${toolNames}
-
-${skillRules}
-GENERAL TOOL RULES:
-- When an action, lookup, file read/write, command, web search, calculation, or verification is needed, CALL A TOOL instead of describing the action.
-- If the user asks you to do something, and a suitable tool exists, respond with a tool call first.
-- Never invent tool results. After tool results appear in the conversation, use them to continue.
-- Use exact tool names from the list above. Do not prefix names with namespaces.
-
-TOOL CALL OUTPUT FORMAT — respond ONLY with minified JSON, no markdown, no prose:
-{"tool_calls":[{"name":"tool_name","arguments":{}}]}
-
-Multiple calls are allowed:
-{"tool_calls":[{"name":"skill_view","arguments":{"name":"hermes-agent"}},{"name":"terminal","arguments":{"command":"pwd"}}]}
-
-Supported fallback shapes also work, but the format above is preferred.
-
-Compact tool schemas:
-${JSON.stringify(schemas.map(({priority, ...schema}) => schema), null, 2)}
-
-If no tool is needed and no skill rule applies, answer normally.`;
-}
-function parseToolCallJson(content) {
-    if (typeof content !== 'string') return null;
-    let text = content.trim();
-    const fence = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
-    if (fence) text = fence[1].trim();
-    const first = text.indexOf('{');
-    const last = text.lastIndexOf('}');
-    if (first > 0 || last !== text.length - 1) {
-        if (first >= 0 && last > first) text = text.slice(first, last + 1);
-    }
-    const parseAttempts = [text];
-    // Qwen sometimes emits one missing brace in the common shape:
-    // {"tool_calls":[{"name":"x","arguments":{...}}]} -> may become ..."arguments":{...}]}
-    if (/^\s*\{\s*"tool_calls"\s*:\s*\[\s*\{/.test(text) && /\}\]\}\s*$/.test(text)) {
-        parseAttempts.push(text.replace(/\}\]\}\s*$/, '}}]}'));
-    }
-    if (/^\s*\{\s*"tool_calls"\s*:\s*\[/.test(text) && !/\}\s*$/.test(text)) {
-        parseAttempts.push(text + '}');
-    }
-
-    for (const candidate of parseAttempts) {
-        try {
-            const parsed = JSON.parse(candidate);
-            let calls = null;
-            if (Array.isArray(parsed.tool_calls)) {
-                calls = parsed.tool_calls;
-            } else if (parsed.function_call || parsed.tool_call) {
-                calls = [parsed.function_call || parsed.tool_call];
-            } else if (parsed.name || parsed.tool) {
-                calls = [parsed];
-            }
-            if (!calls || calls.length === 0) continue;
-            return calls.map((call, index) => {
-                const name = call.name || call.tool || call.function?.name;
-                const rawArgs = call.arguments ?? call.args ?? call.input ?? call.function?.arguments ?? {};
-                const args = typeof rawArgs === 'string' ? rawArgs : JSON.stringify(rawArgs || {});
-                if (!name) return null;
-                return {
-                    id: call.id || `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`,
-                    type: 'function',
-                    function: { name, arguments: args },
-                    index
-                };
-            }).filter(Boolean);
-        } catch {
-            // try next repair candidate
-        }
-    }
-    return null;
-}
-
-function applyToolPrompt(systemMessage, tools) {
-    const prompt = toolsToPrompt(tools);
-    return prompt ? `${systemMessage || ''}${prompt}`.trim() : systemMessage;
-}
-
 function buildOpenAIToolResponse(result, mappedModel, toolCalls) {
     return {
         id: result.id || 'chatcmpl-' + Date.now(),
@@ -611,40 +362,69 @@ function buildOpenAIToolResponse(result, mappedModel, toolCalls) {
     };
 }
 
-function writeToolCallsSse(res, mappedModel, result, toolCalls) {
-    const base = {
-        id: result.id || 'chatcmpl-stream',
+/**
+ * stream_options.include_usage: как у OpenAI, перед [DONE] отдаётся чанк с пустым choices и usage.
+ */
+function writeUsageChunk(writeSse, req, model, result) {
+    if (!req.body?.stream_options?.include_usage || !result?.usage) return;
+    writeSse({
+        id: 'chatcmpl-stream',
         object: 'chat.completion.chunk',
         created: Math.floor(Date.now() / 1000),
-        model: result.model || mappedModel || DEFAULT_MODEL
-    };
-    res.write('data: ' + JSON.stringify({
-        ...base,
-        choices: [{ index: 0, delta: { role: 'assistant' }, finish_reason: null }]
-    }) + '\n\n');
-    for (const call of toolCalls) {
-        res.write('data: ' + JSON.stringify({
-            ...base,
-            choices: [{
-                index: 0,
-                delta: {
-                    tool_calls: [{
-                        index: call.index,
-                        id: call.id,
-                        type: 'function',
-                        function: call.function
-                    }]
-                },
-                finish_reason: null
-            }]
-        }) + '\n\n');
-    }
-    res.write('data: ' + JSON.stringify({
-        ...base,
-        choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }]
-    }) + '\n\n');
-    res.write('data: [DONE]\n\n');
-    res.end();
+        model,
+        choices: [],
+        usage: result.usage
+    });
+}
+
+/**
+ * Потоковый разбор ответа при наличии tools: обычный текст сразу уходит в delta.content,
+ * а {"tool_calls":...} — чанками delta.tool_calls (имя, затем куски arguments) по мере генерации.
+ */
+function createToolCallSseStream(writeSse, mappedModel, id = 'chatcmpl-stream') {
+    const writeDelta = (delta) => writeSse({
+        id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: mappedModel || DEFAULT_MODEL,
+        choices: [{ index: 0, delta, finish_reason: null }]
+    });
+    return createToolCallStreamParser({
+        onContent: (content) => writeDelta({ content }),
+        onToolCallStart: (call) => writeDelta({ ...(call.index === 0 ? { role: 'assistant' } : {}), tool_calls: [call] }),
+        onToolCallDelta: (index, args) => writeDelta({ tool_calls: [{ index, function: { arguments: args } }] })
+    });
+}
+
+/**
+ * Источники веб-поиска (message.search_results из sendMessage) в OpenAI-форме:
+ * message.annotations (url_citation) плюс citations/search_results на верхнем уровне, как у Perplexity.
+ */
+function attachSearchResults(openaiResponse) {
+    const message = openaiResponse.choices?.[0]?.message;
+    const searchResults = message?.search_results;
+    if (!Array.isArray(searchResults) || searchResults.length === 0) return openaiResponse;
+
+    delete message.search_results;
+    message.annotations = buildCitationAnnotations(message.content, searchResults);
+    openaiResponse.citations = searchResults.map(item => item.url);
+    openaiResponse.search_results = searchResults;
+    return openaiResponse;
+}
+
+/**
+ * Сохраняет OpenAI-историю диалога с ответом модели под Qwen chatId (дерево веток, см. chatHistory.js).
+ * Из неё же восстанавливается контекст, если чат придётся перенести на другой аккаунт.
+ */
+function saveOpenAITranscript(result, messages, content) {
+    if (!result?.chatId) return;
+    recordTranscript(result.chatId, messages, {
+        content,
+        model: result.model,
+        qwenId: result.response_id,
+        userQwenId: result.userMessageId,
+        qwenChatId: result.chatId
+    });
 }
 
 // ─── Helpers: streaming ──────────────────────────────────────────────────────
@@ -723,7 +503,7 @@ function handleNonStreamingResponse(res, result, mappedModel) {
 
 // ─── Routes ──────────────────────────────────────────────────────────────────
 
-router.post('/chat', async (req, res) => {
+router.post('/chat', apiKeyQuota, requestQueue, async (req, res) => {
     try {
         const { message, messages, model, chatId, parentId, stream, chatType, size, waitForCompletion } = req.body;
 
@@ -744,9 +524,9 @@ router.post('/chat', async (req, res) => {
             return res.status(400).json({ error: 'Сообщение не указано' });
         }
 
-        logInfo(`Получен запрос: ${typeof messageContent === 'string' ? messageContent.substring(0, 50) + (messageContent.length > 50 ? '...' : '') : 'Составное сообщение'}`);
+        logInfo(`Получен запрос: ${typeof messageContent === 'string' ? previewText(messageContent, 50) : 'Составное сообщение'}`);
         if (systemMessage) {
-            logInfo(`System message: ${systemMessage.substring(0, 50)}${systemMessage.length > 50 ? '...' : ''}`);
+            logInfo(`System message: ${previewText(systemMessage, 50)}`);
         }
         if (chatId && !isMeta) {
             logInfo(`Используется chatId: ${chatId}, parentId: ${parentId || 'null'}`);
@@ -855,6 +635,7 @@ router.post('/chat', async (req, res) => {
                         { index: 0, delta: {}, finish_reason: 'stop' }
                     ]
                 });
+                writeUsageChunk(writeSse, req, mappedModel || DEFAULT_MODEL, result);
                 res.write('data: [DONE]\n\n');
                 res.end();
                 return;
@@ -882,18 +663,7 @@ router.post('/chat', async (req, res) => {
             logInfo(`Ответ успешно сформирован для запроса, длина ответа: ${responseLength}`);
             
             // Сохраняем историю чата
-            if (result.chatId) {
-                try {
-                    const currentChat = loadHistory(result.chatId);
-                    const updatedMessages = allMessages || [
-                        { role: 'user', content: messageContent },
-                        { role: 'assistant', content: result.choices[0].message.content }
-                    ];
-                    saveHistory(result.chatId, { ...currentChat, messages: updatedMessages });
-                } catch (e) {
-                    logDebug(`Не удалось сохранить историю: ${e.message}`);
-                }
-            }
+            saveOpenAITranscript(result, allMessages || [{ role: 'user', content: messageContent }], result.choices[0].message.content);
         } else if (result.error) {
             logInfo(`Получена ошибка в ответе: ${result.error}`);
         }
@@ -910,7 +680,7 @@ router.get('/health', async (req, res) => {
         const modelData = getAllModels();
         const tokens = listTokens();
         const now = Date.now();
-        const availableAccounts = tokens.filter(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid).length;
+        const availableAccounts = tokens.filter(t => isTokenUsable(t, now)).length;
 
         res.json({
             ok: availableAccounts > 0,
@@ -922,8 +692,12 @@ router.get('/health', async (req, res) => {
                 total: tokens.length,
                 available: availableAccounts,
                 invalid: tokens.filter(t => t.invalid).length,
+                disabled: tokens.filter(t => t.disabled).length,
                 waiting: tokens.filter(t => t.resetAt && new Date(t.resetAt).getTime() > now).length
             },
+            sessionStore: getSessionStoreStats(),
+            scheduler: (({ inFlight, queued }) => ({ inFlight, queued }))(getSchedulerStats()),
+            queue: getRequestQueueStats(),
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -959,7 +733,14 @@ router.get('/status', async (req, res) => {
         logInfo('Запрос статуса авторизации');
         const tokens = listTokens();
         const accounts = await Promise.all(tokens.map(async t => {
-            const accInfo = { id: t.id, status: 'UNKNOWN', resetAt: t.resetAt || null };
+            const expiresAt = getTokenExpiresAt(t);
+            const accInfo = {
+                id: t.id,
+                status: 'UNKNOWN',
+                resetAt: t.resetAt || null,
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                expiresIn: expiresAt ? Math.max(0, Math.round((expiresAt - Date.now()) / 1000)) : null
+            };
 
             if (t.resetAt) {
                 const resetTime = new Date(t.resetAt).getTime();
@@ -1014,7 +795,7 @@ router.get('/chat/completions', (req, res) => {
     });
 });
 
-router.post('/chat/completions', async (req, res) => {
+router.post('/chat/completions', apiKeyQuota, requestQueue, async (req, res) => {
     try {
         const { messages, model, stream, tools, functions, tool_choice, chatId } = req.body;
         const snakeCaseChatId = normalizeIdValue(req.body?.chat_id);
@@ -1117,18 +898,32 @@ router.post('/chat/completions', async (req, res) => {
             logDebug('OpenWebUI meta-запрос: используем отдельный чат (без привязки к сессии)');
         }
 
-        let mappedModel = model ? getMappedModel(model) : DEFAULT_MODEL;
-        if (model && mappedModel !== model) {
-            logInfo(`Модель "${model}" заменена на "${mappedModel}"`);
+        // Суффикс :online / web_search включают веб-поиск Qwen,
+        // суффикс -thinking / reasoning_effort / enable_thinking — фазу рассуждений.
+        const { model: baseModel, search } = resolveSearchOptions(req.body, model);
+        const { model: requestedModel, thinking, thinkingBudget } = resolveThinkingOptions(req.body, baseModel);
+        let mappedModel = requestedModel ? getMappedModel(requestedModel) : DEFAULT_MODEL;
+        if (requestedModel && mappedModel !== requestedModel) {
+            logInfo(`Модель "${requestedModel}" заменена на "${mappedModel}"`);
         }
         logInfo(`Используется модель: ${mappedModel}`);
-        if (systemMessage) logInfo(`System message: ${systemMessage.substring(0, 50)}${systemMessage.length > 50 ? '...' : ''}`);
+        if (thinking) logInfo(`Режим рассуждений включён${thinkingBudget ? ` (budget: ${thinkingBudget})` : ''}`);
+        if (search) logInfo('Веб-поиск включён');
+        const sendOptions = { thinking, thinkingBudget, search, signal: createClientAbortSignal(res) };
+        if (systemMessage) logInfo(`System message: ${previewText(systemMessage, 50)}`);
 
         const qwenTools = null; // Qwen Chat web API не умеет OpenAI tool schemas; эмулируем через JSON prompt ниже.
         const toolAwareSystemMessage = applyToolPrompt(systemMessage, combinedTools);
 
+        // response_format: ответ проверяется и при необходимости переспрашивается в том же чате.
+        const responseFormat = normalizeResponseFormat(req.body.response_format);
+        const send = responseFormat
+            ? createStructuredSender(responseFormat, { isToolCall: (content) => Boolean(combinedTools) && Boolean(parseToolCallJson(content)?.length) })
+            : sendMessage;
+        if (responseFormat) logInfo(`Запрошен response_format: ${responseFormat.type}`);
+
         if (toolAwareSystemMessage) {
-            logInfo(`System message: ${toolAwareSystemMessage.substring(0, 50)}${toolAwareSystemMessage.length > 50 ? '...' : ''}`);
+            logInfo(`System message: ${previewText(toolAwareSystemMessage, 50)}`);
         }
 
         // Логируем полную историю сообщений
@@ -1154,25 +949,28 @@ router.post('/chat/completions', async (req, res) => {
                 const qwenChatId = await resolveQwenChatId(effectiveChatId, mappedModel);
 
                 // Setup streaming callback if stream=true
-                let streamingCallback = null;
                 let hasStreamedChunks = false;
                 const captureToolCalls = Array.isArray(combinedTools) && combinedTools.length > 0;
-                if (stream && !captureToolCalls) {
-                    streamingCallback = (chunk) => {
-                        hasStreamedChunks = true;
-                        writeSse({
-                            id: 'chatcmpl-stream',
-                            object: 'chat.completion.chunk',
-                            created: Math.floor(Date.now() / 1000),
-                            model: mappedModel || DEFAULT_MODEL,
-                            choices: [
-                                { index: 0, delta: { content: chunk }, finish_reason: null }
-                            ]
-                        });
-                    };
-                }
+                const toolCallStream = captureToolCalls ? createToolCallSseStream(writeSse, mappedModel) : null;
+                const searchResults = [];
+                const streamingCallback = (chunk) => {
+                    hasStreamedChunks = true;
+                    if (toolCallStream) {
+                        toolCallStream.push(chunk);
+                        return;
+                    }
+                    writeSse({
+                        id: 'chatcmpl-stream',
+                        object: 'chat.completion.chunk',
+                        created: Math.floor(Date.now() / 1000),
+                        model: mappedModel || DEFAULT_MODEL,
+                        choices: [
+                            { index: 0, delta: { content: chunk }, finish_reason: null }
+                        ]
+                    });
+                };
 
-                const result = await sendMessage(
+                const result = await send(
                     messageContent,
                     mappedModel,
                     qwenChatId,
@@ -1185,15 +983,57 @@ router.post('/chat/completions', async (req, res) => {
                     null,
                     true,
                     0,
-                    streamingCallback
+                    streamingCallback,
+                    {
+                        ...sendOptions,
+                        onReasoning: (chunk) => writeSse({
+                            id: 'chatcmpl-stream',
+                            object: 'chat.completion.chunk',
+                            created: Math.floor(Date.now() / 1000),
+                            model: mappedModel || DEFAULT_MODEL,
+                            choices: [
+                                { index: 0, delta: { reasoning_content: chunk }, finish_reason: null }
+                            ]
+                        }),
+                        onSearch: (results) => {
+                            searchResults.push(...results);
+                            writeSse({
+                                id: 'chatcmpl-stream',
+                                object: 'chat.completion.chunk',
+                                created: Math.floor(Date.now() / 1000),
+                                model: mappedModel || DEFAULT_MODEL,
+                                choices: [
+                                    { index: 0, delta: {}, finish_reason: null }
+                                ],
+                                citations: searchResults.map(item => item.url),
+                                search_results: results
+                            });
+                        }
+                    }
                 );
 
-                if (captureToolCalls) {
-                    const toolCalls = parseToolCallJson(result?.choices?.[0]?.message?.content);
-                    if (toolCalls && toolCalls.length > 0) {
-                        writeToolCallsSse(res, mappedModel, result, toolCalls);
-                        return;
-                    }
+                if (!result.error && !hasStreamedChunks && result.choices?.[0]?.message?.content) {
+                    // Qwen вернул JSON/обычный ответ вместо SSE - отправляем контент одним чанком
+                    const content = result.choices[0].message.content;
+                    logDebug(`JSON response content length: ${content.length}`);
+                    streamingCallback(content);
+                }
+
+                const toolCalls = toolCallStream ? toolCallStream.finish().toolCalls : [];
+                if (toolCalls.length > 0) {
+                    writeSse({
+                        id: 'chatcmpl-stream',
+                        object: 'chat.completion.chunk',
+                        created: Math.floor(Date.now() / 1000),
+                        model: mappedModel || DEFAULT_MODEL,
+                        choices: [
+                            { index: 0, delta: {}, finish_reason: 'tool_calls' }
+                        ]
+                    });
+                    writeUsageChunk(writeSse, req, mappedModel || DEFAULT_MODEL, result);
+                    res.write('data: [DONE]\n\n');
+                    res.end();
+                    return;
                 }
 
                 // Сохраняем chatId в сессию для следующих запросов
@@ -1218,25 +1058,22 @@ router.post('/chat/completions', async (req, res) => {
                             { index: 0, delta: { content: `Ошибка: ${result.error}` }, finish_reason: null }
                         ]
                     });
-                } else if (!hasStreamedChunks && result.choices && result.choices[0] && result.choices[0].message && result.choices[0].message.content) {
-                    // Qwen вернул JSON/обычный ответ вместо SSE - отправляем контент одним чанком
-                    const content = result.choices[0].message.content;
-                    logDebug(`JSON response content length: ${content.length}`);
-                    if (typeof streamingCallback === 'function') {
-                        streamingCallback(content);
-                    } else {
+                } else {
+                    logDebug(`Result structure: ${JSON.stringify(Object.keys(result))}`);
+                    saveOpenAITranscript(result, messages, result.choices?.[0]?.message?.content || '');
+                    if (searchResults.length > 0) {
+                        // Позиции цитат известны только по полному тексту — отдаём их перед finish_reason.
                         writeSse({
                             id: 'chatcmpl-stream',
                             object: 'chat.completion.chunk',
                             created: Math.floor(Date.now() / 1000),
                             model: mappedModel || DEFAULT_MODEL,
                             choices: [
-                                { index: 0, delta: { content }, finish_reason: null }
-                            ]
+                                { index: 0, delta: { annotations: buildCitationAnnotations(result.choices?.[0]?.message?.content, searchResults) }, finish_reason: null }
+                            ],
+                            citations: searchResults.map(item => item.url)
                         });
                     }
-                } else {
-                    logDebug(`Result structure: ${JSON.stringify(Object.keys(result))}`);
                 }
                 // Чанки уже были отправлены через streamingCallback, не дублируем!
 
@@ -1249,6 +1086,7 @@ router.post('/chat/completions', async (req, res) => {
                         { index: 0, delta: {}, finish_reason: 'stop' }
                     ]
                 });
+                writeUsageChunk(writeSse, req, mappedModel || DEFAULT_MODEL, result);
                 res.write('data: [DONE]\n\n');
                 res.end();
 
@@ -1268,7 +1106,7 @@ router.post('/chat/completions', async (req, res) => {
             }
         } else {
             const qwenChatId = await resolveQwenChatId(effectiveChatId, mappedModel);
-            const result = await sendMessage(messageContent, mappedModel, qwenChatId, effectiveParentId, null, qwenTools, tool_choice, toolAwareSystemMessage);
+            const result = await send(messageContent, mappedModel, qwenChatId, effectiveParentId, null, qwenTools, tool_choice, toolAwareSystemMessage, 't2t', null, true, 0, null, sendOptions);
 
             // Сохраняем chatId в сессию для следующих запросов
             if (!isMeta && result.chatId) {
@@ -1287,7 +1125,8 @@ router.post('/chat/completions', async (req, res) => {
                 });
             }
 
-            const toolCalls = parseToolCallJson(result?.choices?.[0]?.message?.content);
+            // JSON-ответ по response_format без tools не должен приниматься за запасную форму tool call.
+            const toolCalls = responseFormat && !combinedTools ? null : parseToolCallJson(result?.choices?.[0]?.message?.content);
             if (toolCalls && toolCalls.length > 0) {
                 return res.json(buildOpenAIToolResponse(result, mappedModel, toolCalls));
             }
@@ -1313,21 +1152,10 @@ router.post('/chat/completions', async (req, res) => {
                 chatId: result.chatId,
                 parentId: result.parentId
             };
+            attachSearchResults(openaiResponse);
 
             // Сохраняем историю чата
-            if (result.chatId) {
-                try {
-                    const currentChat = loadHistory(result.chatId);
-                    const responseMessage = {
-                        role: 'assistant',
-                        content: openaiResponse.choices[0].message.content
-                    };
-                    const updatedMessages = messages.concat([responseMessage]);
-                    saveHistory(result.chatId, { ...currentChat, messages: updatedMessages });
-                } catch (e) {
-                    logDebug(`Не удалось сохранить историю: ${e.message}`);
-                }
-            }
+            saveOpenAITranscript(result, messages, openaiResponse.choices[0].message.content);
 
             res.json(openaiResponse);
         }
@@ -1338,7 +1166,7 @@ router.post('/chat/completions', async (req, res) => {
 });
 
 // OpenAI совместимый эндпоинт v1 (для Open WebUI и других клиентов)
-router.post('/v1/chat/completions', async (req, res) => {
+router.post('/v1/chat/completions', apiKeyQuota, requestQueue, async (req, res) => {
     try {
         const { messages, model, stream, tools, functions, tool_choice, chatId } = req.body;
         const snakeCaseChatId = normalizeIdValue(req.body?.chat_id);
@@ -1442,20 +1270,34 @@ router.post('/v1/chat/completions', async (req, res) => {
             logDebug('OpenWebUI meta-запрос: используем отдельный чат (без привязки к сессии)');
         }
 
-        let mappedModel = model ? getMappedModel(model) : DEFAULT_MODEL;
-        if (model && mappedModel !== model) {
-            logInfo(`Модель "${model}" заменена на "${mappedModel}"`);
+        // Суффикс :online / web_search включают веб-поиск Qwen,
+        // суффикс -thinking / reasoning_effort / enable_thinking — фазу рассуждений.
+        const { model: baseModel, search } = resolveSearchOptions(req.body, model);
+        const { model: requestedModel, thinking, thinkingBudget } = resolveThinkingOptions(req.body, baseModel);
+        let mappedModel = requestedModel ? getMappedModel(requestedModel) : DEFAULT_MODEL;
+        if (requestedModel && mappedModel !== requestedModel) {
+            logInfo(`Модель "${requestedModel}" заменена на "${mappedModel}"`);
         }
         logInfo(`Используется модель: ${mappedModel}`);
+        if (thinking) logInfo(`Режим рассуждений включён${thinkingBudget ? ` (budget: ${thinkingBudget})` : ''}`);
+        if (search) logInfo('Веб-поиск включён');
+        const sendOptions = { thinking, thinkingBudget, search, signal: createClientAbortSignal(res) };
 
         if (systemMessage) {
-            logInfo(`System message: ${systemMessage.substring(0, 50)}${systemMessage.length > 50 ? '...' : ''}`);
+            logInfo(`System message: ${previewText(systemMessage, 50)}`);
         }
 
         const qwenTools = null; // Qwen Chat web API не умеет OpenAI tool schemas; эмулируем через JSON prompt ниже.
         const toolAwareSystemMessage = applyToolPrompt(systemMessage, combinedTools);
+
+        // response_format: ответ проверяется и при необходимости переспрашивается в том же чате.
+        const responseFormat = normalizeResponseFormat(req.body.response_format);
+        const send = responseFormat
+            ? createStructuredSender(responseFormat, { isToolCall: (content) => Boolean(combinedTools) && Boolean(parseToolCallJson(content)?.length) })
+            : sendMessage;
+        if (responseFormat) logInfo(`Запрошен response_format: ${responseFormat.type}`);
         if (toolAwareSystemMessage) {
-            logInfo(`System message: ${toolAwareSystemMessage.substring(0, 50)}${toolAwareSystemMessage.length > 50 ? '...' : ''}`);
+            logInfo(`System message: ${previewText(toolAwareSystemMessage, 50)}`);
         }
 
         // Логируем полную историю сообщений
@@ -1481,26 +1323,29 @@ router.post('/v1/chat/completions', async (req, res) => {
                 const qwenChatId = await resolveQwenChatId(effectiveChatId, mappedModel);
 
                 // Setup streaming callback if stream=true
-                let streamingCallback = null;
                 let hasStreamedChunks = false;
                 const captureToolCalls = Array.isArray(combinedTools) && combinedTools.length > 0;
-                if (stream && !captureToolCalls) {
-                    streamingCallback = (chunk) => {
-                        hasStreamedChunks = true;
-                        // OpenWebUI не нуждается в role в чанках - только контент
-                        writeSse({
-                            id: 'chatcmpl-' + Date.now(),
-                            object: 'chat.completion.chunk',
-                            created: Math.floor(Date.now() / 1000),
-                            model: mappedModel || DEFAULT_MODEL,
-                            choices: [
-                                { index: 0, delta: { content: chunk }, finish_reason: null }
-                            ]
-                        });
-                    };
-                }
+                const toolCallStream = captureToolCalls ? createToolCallSseStream(writeSse, mappedModel) : null;
+                const searchResults = [];
+                const streamingCallback = (chunk) => {
+                    hasStreamedChunks = true;
+                    if (toolCallStream) {
+                        toolCallStream.push(chunk);
+                        return;
+                    }
+                    // OpenWebUI не нуждается в role в чанках - только контент
+                    writeSse({
+                        id: 'chatcmpl-' + Date.now(),
+                        object: 'chat.completion.chunk',
+                        created: Math.floor(Date.now() / 1000),
+                        model: mappedModel || DEFAULT_MODEL,
+                        choices: [
+                            { index: 0, delta: { content: chunk }, finish_reason: null }
+                        ]
+                    });
+                };
                 
-                const result = await sendMessage(
+                const result = await send(
                     messageContent,
                     mappedModel,
                     qwenChatId,
@@ -1513,15 +1358,57 @@ router.post('/v1/chat/completions', async (req, res) => {
                     null,
                     true,
                     0,
-                    streamingCallback
+                    streamingCallback,
+                    {
+                        ...sendOptions,
+                        onReasoning: (chunk) => writeSse({
+                            id: 'chatcmpl-stream',
+                            object: 'chat.completion.chunk',
+                            created: Math.floor(Date.now() / 1000),
+                            model: mappedModel || DEFAULT_MODEL,
+                            choices: [
+                                { index: 0, delta: { reasoning_content: chunk }, finish_reason: null }
+                            ]
+                        }),
+                        onSearch: (results) => {
+                            searchResults.push(...results);
+                            writeSse({
+                                id: 'chatcmpl-stream',
+                                object: 'chat.completion.chunk',
+                                created: Math.floor(Date.now() / 1000),
+                                model: mappedModel || DEFAULT_MODEL,
+                                choices: [
+                                    { index: 0, delta: {}, finish_reason: null }
+                                ],
+                                citations: searchResults.map(item => item.url),
+                                search_results: results
+                            });
+                        }
+                    }
                 );
 
-                if (captureToolCalls) {
-                    const toolCalls = parseToolCallJson(result?.choices?.[0]?.message?.content);
-                    if (toolCalls && toolCalls.length > 0) {
-                        writeToolCallsSse(res, mappedModel, result, toolCalls);
-                        return;
-                    }
+                if (!result.error && !hasStreamedChunks && result.choices?.[0]?.message?.content) {
+                    // Qwen вернул JSON/обычный ответ вместо SSE - отправляем контент одним чанком
+                    const content = result.choices[0].message.content;
+                    logDebug(`JSON response content length: ${content.length}`);
+                    streamingCallback(content);
+                }
+
+                const toolCalls = toolCallStream ? toolCallStream.finish().toolCalls : [];
+                if (toolCalls.length > 0) {
+                    writeSse({
+                        id: 'chatcmpl-stream',
+                        object: 'chat.completion.chunk',
+                        created: Math.floor(Date.now() / 1000),
+                        model: mappedModel || DEFAULT_MODEL,
+                        choices: [
+                            { index: 0, delta: {}, finish_reason: 'tool_calls' }
+                        ]
+                    });
+                    writeUsageChunk(writeSse, req, mappedModel || DEFAULT_MODEL, result);
+                    res.write('data: [DONE]\n\n');
+                    res.end();
+                    return;
                 }
 
                 // Сохраняем chatId в сессию для следующих запросов
@@ -1541,25 +1428,22 @@ router.post('/v1/chat/completions', async (req, res) => {
                             { index: 0, delta: { content: `Ошибка: ${result.error}` }, finish_reason: 'stop' }
                         ]
                     });
-                } else if (!hasStreamedChunks && result.choices && result.choices[0] && result.choices[0].message && result.choices[0].message.content) {
-                    // Qwen вернул JSON/обычный ответ вместо SSE - отправляем контент одним чанком
-                    const content = result.choices[0].message.content;
-                    logDebug(`JSON response content length: ${content.length}`);
-                    if (typeof streamingCallback === 'function') {
-                        streamingCallback(content);
-                    } else {
+                } else {
+                    logDebug(`Result structure: ${JSON.stringify(Object.keys(result))}`);
+                    saveOpenAITranscript(result, messages, result.choices?.[0]?.message?.content || '');
+                    if (searchResults.length > 0) {
+                        // Позиции цитат известны только по полному тексту — отдаём их перед finish_reason.
                         writeSse({
                             id: 'chatcmpl-stream',
                             object: 'chat.completion.chunk',
                             created: Math.floor(Date.now() / 1000),
                             model: mappedModel || DEFAULT_MODEL,
                             choices: [
-                                { index: 0, delta: { content }, finish_reason: null }
-                            ]
+                                { index: 0, delta: { annotations: buildCitationAnnotations(result.choices?.[0]?.message?.content, searchResults) }, finish_reason: null }
+                            ],
+                            citations: searchResults.map(item => item.url)
                         });
                     }
-                } else {
-                    logDebug(`Result structure: ${JSON.stringify(Object.keys(result))}`);
                 }
                 // Чанки уже были отправлены через streamingCallback, не дублируем!
 
@@ -1572,6 +1456,7 @@ router.post('/v1/chat/completions', async (req, res) => {
                         { index: 0, delta: {}, finish_reason: 'stop' }
                     ]
                 });
+                writeUsageChunk(writeSse, req, mappedModel || DEFAULT_MODEL, result);
                 res.write('data: [DONE]\n\n');
                 res.end();
 
@@ -1592,7 +1477,7 @@ router.post('/v1/chat/completions', async (req, res) => {
         } else {
             const qwenChatId = await resolveQwenChatId(effectiveChatId, mappedModel);
 
-            const result = await sendMessage(messageContent, mappedModel, qwenChatId, effectiveParentId, files, qwenTools, tool_choice, toolAwareSystemMessage);
+            const result = await send(messageContent, mappedModel, qwenChatId, effectiveParentId, files, qwenTools, tool_choice, toolAwareSystemMessage, 't2t', null, true, 0, null, sendOptions);
 
             // Сохраняем chatId в сессии для следующих запросов
             if (!isMeta && result.chatId) {
@@ -1620,7 +1505,7 @@ router.post('/v1/chat/completions', async (req, res) => {
                 messageText = result.response.text;
             }
 
-            const toolCalls = parseToolCallJson(messageText);
+            const toolCalls = responseFormat && !combinedTools ? null : parseToolCallJson(messageText);
             if (toolCalls && toolCalls.length > 0) {
                 return res.json(buildOpenAIToolResponse(result, mappedModel, toolCalls));
             }
@@ -1634,7 +1519,9 @@ router.post('/v1/chat/completions', async (req, res) => {
                     index: 0,
                     message: {
                         role: "assistant",
-                        content: messageText
+                        content: messageText,
+                        ...(result.choices?.[0]?.message?.reasoning ? { reasoning: result.choices[0].message.reasoning } : {}),
+                        ...(result.choices?.[0]?.message?.search_results ? { search_results: result.choices[0].message.search_results } : {})
                     },
                     finish_reason: "stop"
                 }],
@@ -1647,6 +1534,7 @@ router.post('/v1/chat/completions', async (req, res) => {
                 x_qwen_chat_id: result.chatId,
                 x_qwen_parent_id: result.parentId || result.response_id
             };
+            attachSearchResults(openaiResponse);
 
             // Сохраняем историю чата для v1 эндпоинта
             if (result.chatId) {
@@ -1661,17 +1549,7 @@ router.post('/v1/chat/completions', async (req, res) => {
                     }
                 }
 
-                try {
-                    const currentChat = loadHistory(result.chatId);
-                    const responseMessage = {
-                        role: 'assistant',
-                        content: messageText
-                    };
-                    const updatedMessages = messages.concat([responseMessage]);
-                    saveHistory(result.chatId, { ...currentChat, messages: updatedMessages });
-                } catch (e) {
-                    logDebug(`Не удалось сохранить историю: ${e.message}`);
-                }
+                saveOpenAITranscript(result, messages, messageText);
             }
 
             res.json(openaiResponse);
@@ -1720,58 +1598,10 @@ router.post('/files/upload', upload.single('file'), async (req, res) => {
     }
 });
 
-// Эндпоинт для сохранения истории чата (для работы с Open WebUI)
-router.post('/chats/:chatId/history', async (req, res) => {
-    try {
-        const { chatId } = req.params;
-        const { messages } = req.body;
-
-        logInfo(`Запрос сохранения истории для чата: ${chatId}`);
-
-        if (!messages || !Array.isArray(messages)) {
-            logError('История сообщений не указана или некорректна');
-            return res.status(400).json({ error: 'История сообщений должна быть массивом' });
-        }
-
-        // Здесь можно добавить логику сохранения истории
-        // Для теперь просто подтверждаем сохранение
-        res.json({
-            success: true,
-            chatId: chatId,
-            messagesCount: messages.length
-        });
-    } catch (error) {
-        logError('Ошибка при сохранении истории чата', error);
-        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
-    }
-});
-
-// Эндпоинт для получения истории чата (для работы с Open WebUI)
-router.get('/chats/:chatId/history', async (req, res) => {
-    try {
-        const { chatId } = req.params;
-
-        logInfo(`Запрос истории для чата: ${chatId}`);
-
-        // Здесь можно добавить логику получения истории из БД
-        // Для теперь возвращаем пустую историю
-        res.json({
-            success: true,
-            chatId: chatId,
-            messages: []
-        });
-    } catch (error) {
-        logError('Ошибка при получении истории чата', error);
-        res.status(500).json({ error: 'Внутренняя ошибка сервера' });
-    }
-});
-
 // ============================================
 // МЕДИА-ЭНДПОИНТЫ QWEN CHAT / DASHSCOPE
 // ============================================
 
-const CHAT_MEDIA_MODEL = 'qwen3-vl-plus';
-
 function normalizeQwenAspectRatio(size, fallback = '16:9') {
     if (!size) return fallback;
     const value = String(size).trim();
@@ -1837,12 +1667,12 @@ function buildVideoResponse({ result, prompt, model, waitForCompletion }) {
  * По умолчанию генерирует изображения через Qwen Chat (`chatType: t2i`).
  * Для старого DashScope-режима передайте `provider: "dashscope"`.
  */
-router.post('/images/generations', async (req, res) => {
+router.post('/images/generations', apiKeyQuota, requestQueue, async (req, res) => {
     try {
         const { prompt, model, n, size, response_format, provider } = req.body;
 
         logInfo('Получен запрос на генерацию изображения');
-        logDebug(`Запрос: ${prompt?.substring(0, 100)}${prompt?.length > 100 ? '...' : ''}`);
+        logDebug(`Запрос: ${previewText(prompt)}`);
 
         if (!prompt) {
             return res.status(400).json({ error: 'Параметр "prompt" обязателен' });
@@ -1920,13 +1750,13 @@ router.post('/images/generations', async (req, res) => {
 /**
  * POST /api/videos/generations - Генерация видео через Qwen Chat (`chatType: t2v`).
  */
-router.post('/videos/generations', async (req, res) => {
+router.post('/videos/generations', apiKeyQuota, requestQueue, async (req, res) => {
     try {
         const { prompt, model, size, wait, waitForCompletion } = req.body;
         const shouldWait = waitForCompletion ?? wait ?? true;
 
         logInfo('Получен запрос на генерацию видео через Qwen Chat');
-        logDebug(`Видео-запрос: ${prompt?.substring(0, 100)}${prompt?.length > 100 ? '...' : ''}`);
+        logDebug(`Видео-запрос: ${previewText(prompt)}`);
 
         if (!prompt) {
             return res.status(400).json({ error: 'Параметр "prompt" обязателен' });
@@ -2046,7 +1876,7 @@ router.get('/images/status', async (req, res) => {
         const dashScopeAvailable = await checkImageApiAvailability();
         const tokens = listTokens();
         const now = Date.now();
-        const qwenChatAvailable = tokens.some(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid);
+        const qwenChatAvailable = tokens.some(t => isTokenUsable(t, now));
 
         res.json({
             watermark: FORGETMEAI_WATERMARK,
@@ -2077,7 +1907,7 @@ router.get('/images/status', async (req, res) => {
 router.get('/videos/status', async (req, res) => {
     const tokens = listTokens();
     const now = Date.now();
-    const availableAccounts = tokens.filter(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid).length;
+    const availableAccounts = tokens.filter(t => isTokenUsable(t, now)).length;
     res.json({
         watermark: FORGETMEAI_WATERMARK,
         available: availableAccounts > 0,
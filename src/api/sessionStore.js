@@ -0,0 +1,341 @@
+// sessionStore.js — Персистентное хранилище маппингов сессий (chatIdMap, sessionToChatMap, владельцы чатов).
+// Данные живут в памяти (Map-подобные объекты), а каждое изменение синхронно пишется
+// в бэкенд под SESSION_DIR, поэтому после перезапуска диалоги Open WebUI продолжаются
+// в тех же Qwen-чатах. Бэкенды: json (append-only журнал с компакцией), sqlite, memory.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logInfo, logWarn, logError, logDebug } from '../logger/index.js';
+import { SESSION_DIR, SESSION_STORE_BACKEND } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STORE_DIR = path.resolve(__dirname, '..', '..', SESSION_DIR);
+const JSON_FILE = path.join(STORE_DIR, 'session-store.jsonl');
+const SQLITE_FILE = path.join(STORE_DIR, 'session-store.sqlite');
+
+// Журнал переписывается, когда в нём больше записей, чем max(порог, 2 × живых).
+const COMPACTION_MIN_RECORDS = 1000;
+const COMPACTION_INTERVAL = 10 * 60 * 1000;
+// Чтение продлевает TTL записи, но в бэкенд пишет, только если прошло больше этой доли TTL
+const TTL_REFRESH_SHARE = 0.1;
+
+const maps = new Map(); // namespace -> persistent map
+let pendingRecords = []; // записи для namespace, чей map ещё не создан
+let backend = null;
+let compactionTimer = null;
+
+// ─── Backends ────────────────────────────────────────────────────────────────
+
+function ensureStoreDir() {
+    if (!fs.existsSync(STORE_DIR)) fs.mkdirSync(STORE_DIR, { recursive: true });
+}
+
+function createMemoryBackend() {
+    return {
+        name: 'memory',
+        load: () => [],
+        put() {},
+        remove() {},
+        compact: () => false,
+        close() {}
+    };
+}
+
+/**
+ * JSON-бэкенд: одна строка журнала на изменение (set/del), при загрузке журнал проигрывается.
+ * Оборванная последняя строка (падение посреди записи) просто пропускается.
+ */
+function createJsonBackend(filePath) {
+    let records = 0;
+
+    const append = (record) => {
+        try {
+            fs.appendFileSync(filePath, JSON.stringify(record) + '\n', 'utf8');
+            records++;
+        } catch (error) {
+            logError('SessionStore: ошибка записи журнала', error);
+        }
+    };
+
+    return {
+        name: 'json',
+        load() {
+            if (!fs.existsSync(filePath)) return [];
+            const state = new Map();
+            for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                records++;
+                try {
+                    const record = JSON.parse(line);
+                    const id = `${record.ns}\u0000${record.key}`;
+                    if (record.op === 'del') state.delete(id);
+                    else state.set(id, { ns: record.ns, key: record.key, value: record.value, updatedAt: record.updatedAt });
+                } catch {
+                    // Недописанная строка — пропускаем.
+                }
+            }
+            return [...state.values()];
+        },
+        put(ns, key, value, updatedAt) {
+            append({ op: 'set', ns, key, value, updatedAt });
+        },
+        remove(ns, key) {
+            append({ op: 'del', ns, key });
+        },
+        compact(liveRecords, force = false) {
+            if (!force && records <= Math.max(COMPACTION_MIN_RECORDS, liveRecords.length * 2)) return false;
+            const tmpFile = `${filePath}.tmp`;
+            const body = liveRecords.map(record => JSON.stringify({ op: 'set', ...record }) + '\n').join('');
+            fs.writeFileSync(tmpFile, body, 'utf8');
+            fs.renameSync(tmpFile, filePath);
+            logDebug(`SessionStore: журнал сжат ${records} -> ${liveRecords.length} записей`);
+            records = liveRecords.length;
+            return true;
+        },
+        close() {}
+    };
+}
+
+/**
+ * SQLite-драйвер: встроенный node:sqlite (Node 22.5+) или пакет better-sqlite3, если установлен.
+ * API у них совпадает в нужной части (exec, prepare().run/all, close).
+ */
+async function openSqliteDatabase(filePath) {
+    try {
+        const { DatabaseSync } = await import('node:sqlite');
+        return new DatabaseSync(filePath);
+    } catch {
+        // node:sqlite недоступен в этой версии Node
+    }
+    try {
+        const { default: Database } = await import('better-sqlite3');
+        return new Database(filePath);
+    } catch {
+        return null;
+    }
+}
+
+function createSqliteBackend(db) {
+    db.exec(`CREATE TABLE IF NOT EXISTS session_store (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (namespace, key)
+    )`);
+    const selectAll = db.prepare('SELECT namespace, key, value, updated_at FROM session_store');
+    const upsert = db.prepare('INSERT OR REPLACE INTO session_store (namespace, key, value, updated_at) VALUES (?, ?, ?, ?)');
+    const deleteOne = db.prepare('DELETE FROM session_store WHERE namespace = ? AND key = ?');
+    let removedSinceVacuum = 0;
+
+    return {
+        name: 'sqlite',
+        load() {
+            return selectAll.all().map(row => ({
+                ns: row.namespace,
+                key: row.key,
+                value: JSON.parse(row.value),
+                updatedAt: Number(row.updated_at)
+            }));
+        },
+        put(ns, key, value, updatedAt) {
+            upsert.run(ns, key, JSON.stringify(value), updatedAt);
+        },
+        remove(ns, key) {
+            deleteOne.run(ns, key);
+            removedSinceVacuum++;
+        },
+        compact(liveRecords, force = false) {
+            if (!force && removedSinceVacuum < COMPACTION_MIN_RECORDS) return false;
+            db.exec('VACUUM');
+            removedSinceVacuum = 0;
+            return true;
+        },
+        close() {
+            db.close();
+        }
+    };
+}
+
+async function createBackend(name) {
+    if (name === 'memory') return createMemoryBackend();
+    ensureStoreDir();
+    if (name === 'sqlite') {
+        const db = await openSqliteDatabase(SQLITE_FILE);
+        if (db) return createSqliteBackend(db);
+        logWarn('SessionStore: SQLite недоступен (нужен Node 22.5+ или пакет better-sqlite3), используем JSON');
+    } else if (name !== 'json') {
+        logWarn(`SessionStore: неизвестный бэкенд "${name}", используем JSON`);
+    }
+    return createJsonBackend(JSON_FILE);
+}
+
+// ─── Persistent maps ─────────────────────────────────────────────────────────
+
+const memoryBackend = createMemoryBackend();
+
+function getBackend() {
+    return backend || memoryBackend;
+}
+
+function safeBackendCall(action, fn) {
+    try {
+        fn(getBackend());
+    } catch (error) {
+        logError(`SessionStore: ошибка ${action}`, error);
+    }
+}
+
+/**
+ * Map-подобное хранилище (get/set/has/touch/delete/size/entries) с записью в бэкенд.
+ * ttlMs — запись удаляется, если к ней не обращались (get/set) дольше ttlMs (null — без TTL).
+ */
+export function createPersistentMap(namespace, { ttlMs = null } = {}) {
+    const data = new Map(); // key -> { value, updatedAt }
+    const stats = { hits: 0, misses: 0 };
+    const isExpired = (entry, now = Date.now()) => Boolean(ttlMs) && now - entry.updatedAt > ttlMs;
+
+    const map = {
+        namespace,
+        get(key) {
+            const entry = data.get(key);
+            if (entry && !isExpired(entry)) {
+                stats.hits++;
+                if (ttlMs) map.touch(key, ttlMs * TTL_REFRESH_SHARE);
+                return entry.value;
+            }
+            stats.misses++;
+            return undefined;
+        },
+        has(key) {
+            const entry = data.get(key);
+            return Boolean(entry) && !isExpired(entry);
+        },
+        set(key, value) {
+            const updatedAt = Date.now();
+            data.set(key, { value, updatedAt });
+            safeBackendCall('записи', store => store.put(namespace, key, value, updatedAt));
+            return map;
+        },
+        /** Продлевает TTL записи, если она не обновлялась дольше minAgeMs; иначе ничего не пишет. */
+        touch(key, minAgeMs = 0) {
+            const entry = data.get(key);
+            if (!entry || isExpired(entry) || Date.now() - entry.updatedAt < minAgeMs) return false;
+            map.set(key, entry.value);
+            return true;
+        },
+        delete(key) {
+            if (!data.delete(key)) return false;
+            safeBackendCall('удаления', store => store.remove(namespace, key));
+            return true;
+        },
+        get size() {
+            return data.size;
+        },
+        *entries() {
+            for (const [key, entry] of data) yield [key, entry.value];
+        },
+        /** Удаляет просроченные записи; возвращает их количество. */
+        sweep(now = Date.now()) {
+            let removed = 0;
+            for (const [key, entry] of data) {
+                if (isExpired(entry, now)) {
+                    map.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+        records() {
+            return [...data].map(([key, entry]) => ({ ns: namespace, key, value: entry.value, updatedAt: entry.updatedAt }));
+        },
+        hydrate(key, value, updatedAt) {
+            data.set(key, { value, updatedAt });
+        },
+        stats() {
+            const lookups = stats.hits + stats.misses;
+            return { entries: data.size, hits: stats.hits, misses: stats.misses, hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null };
+        }
+    };
+
+    maps.set(namespace, map);
+    const own = pendingRecords.filter(record => record.ns === namespace);
+    if (own.length > 0) {
+        pendingRecords = pendingRecords.filter(record => record.ns !== namespace);
+        own.forEach(record => map.hydrate(record.key, record.value, record.updatedAt));
+        map.sweep();
+    }
+    return map;
+}
+
+// ─── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Удаляет просроченные записи и при необходимости сжимает бэкенд.
+ */
+export function compactSessionStore(force = false) {
+    let expired = 0;
+    for (const map of maps.values()) expired += map.sweep();
+    const live = [...maps.values()].flatMap(map => map.records()).concat(pendingRecords);
+    try {
+        const compacted = getBackend().compact(live, force);
+        if (expired > 0 || compacted) logDebug(`SessionStore: удалено ${expired} просроченных записей${compacted ? ', бэкенд сжат' : ''}`);
+    } catch (error) {
+        logError('SessionStore: ошибка компакции', error);
+    }
+}
+
+/**
+ * Выбирает бэкенд (SESSION_STORE_BACKEND) и восстанавливает сохранённые маппинги.
+ * Map'ы, созданные до вызова, наполняются сразу; созданные позже — при создании.
+ */
+export async function initSessionStore() {
+    if (backend) return;
+    backend = await createBackend(SESSION_STORE_BACKEND);
+
+    let records = [];
+    try {
+        records = backend.load();
+    } catch (error) {
+        logError('SessionStore: не удалось загрузить сохранённые сессии', error);
+    }
+    for (const record of records) {
+        const map = maps.get(record.ns);
+        if (map) map.hydrate(record.key, record.value, record.updatedAt);
+        else pendingRecords.push(record);
+    }
+    compactSessionStore(backend.name === 'json');
+
+    compactionTimer = setInterval(() => compactSessionStore(), COMPACTION_INTERVAL);
+    compactionTimer.unref();
+    logInfo(`Хранилище сессий: ${backend.name}, восстановлено ${records.length} записей`);
+}
+
+export function closeSessionStore() {
+    if (compactionTimer) clearInterval(compactionTimer);
+    compactionTimer = null;
+    try {
+        backend?.close();
+    } catch (error) {
+        logError('SessionStore: ошибка закрытия', error);
+    }
+    backend = null;
+}
+
+export function getSessionStoreStats() {
+    const namespaces = {};
+    let hits = 0;
+    let misses = 0;
+    for (const [namespace, map] of maps) {
+        namespaces[namespace] = map.stats();
+        hits += namespaces[namespace].hits;
+        misses += namespaces[namespace].misses;
+    }
+    return {
+        backend: getBackend().name,
+        hitRate: hits + misses ? Number((hits / (hits + misses)).toFixed(3)) : null,
+        namespaces
+    };
+}
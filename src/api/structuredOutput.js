@@ -0,0 +1,244 @@
+// structuredOutput.js — OpenAI response_format (json_object / json_schema) поверх Qwen Chat.
+// Схема добавляется в system prompt, ответ проверяется, а при ошибках модель
+// переспрашивается в том же Qwen-чате (parent_id предыдущего ответа) до STRUCTURED_OUTPUT_MAX_RETRIES раз.
+
+import { sendMessage } from './chat.js';
+import { compactJsonSchema } from './promptAdapter.js';
+import { logInfo, logWarn } from '../logger/index.js';
+import { STRUCTURED_OUTPUT_MAX_RETRIES } from '../config.js';
+
+const MAX_REPORTED_ERRORS = 10;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Приводит response_format к { type, name, schema, strict } или null для обычного текста.
+ */
+export function normalizeResponseFormat(responseFormat) {
+    if (!responseFormat || typeof responseFormat !== 'object') return null;
+    if (responseFormat.type === 'json_object') return { type: 'json_object' };
+    if (responseFormat.type === 'json_schema') {
+        const spec = responseFormat.json_schema || {};
+        if (!spec.schema || typeof spec.schema !== 'object') return { type: 'json_object' };
+        return {
+            type: 'json_schema',
+            name: spec.name || 'response',
+            schema: spec.schema,
+            strict: Boolean(spec.strict ?? responseFormat.strict)
+        };
+    }
+    return null;
+}
+
+function responseFormatToPrompt(format) {
+    const base = '\n\nRESPONSE FORMAT: respond ONLY with a single valid JSON value. No markdown fences, no prose before or after the JSON.';
+    if (format.type === 'json_object') return `${base}\nThe top-level value MUST be a JSON object.`;
+    const strictRules = format.strict
+        ? '\nAll required properties MUST be present; do NOT add properties that are not described in the schema.'
+        : '';
+    return `${base}\nThe JSON MUST conform to the JSON schema "${format.name}":\n${JSON.stringify(compactJsonSchema(format.schema))}${strictRules}`;
+}
+
+/**
+ * Достаёт JSON из ответа модели: целиком, из ```json fence или между первой и последней скобкой.
+ */
+function extractJson(text) {
+    const trimmed = String(text || '').trim();
+    const candidates = [trimmed];
+    const fence = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+    if (fence) candidates.push(fence[1].trim());
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start >= 0 && end > start) candidates.push(trimmed.slice(start, end + 1));
+
+    let lastError = null;
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate), text: candidate };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    return { error: `response is not valid JSON (${lastError?.message || 'empty response'})` };
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function resolveRef(ref, root) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return null;
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root) || null;
+}
+
+/**
+ * Минимальная проверка по JSON Schema: подмножество, которое используют OpenAI structured outputs
+ * (type, enum, const, properties, required, additionalProperties, items, anyOf/oneOf/allOf, $ref, границы).
+ */
+function validateSchema(value, schema, path, root, errors) {
+    if (!schema || typeof schema !== 'object' || errors.length >= MAX_REPORTED_ERRORS) return;
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (target) validateSchema(value, target, path, root, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = [...(Array.isArray(schema.type) ? schema.type : [schema.type])];
+        if (schema.nullable) types.push('null');
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    for (const combinator of ['anyOf', 'oneOf']) {
+        if (!Array.isArray(schema[combinator])) continue;
+        const passing = schema[combinator].filter(option => {
+            const optionErrors = [];
+            validateSchema(value, option, path, root, optionErrors);
+            return optionErrors.length === 0;
+        }).length;
+        if (passing === 0 || (combinator === 'oneOf' && passing > 1)) {
+            errors.push(`${path}: must match ${combinator === 'oneOf' ? 'exactly one' : 'at least one'} of the ${combinator} schemas`);
+        }
+    }
+    if (Array.isArray(schema.allOf)) {
+        for (const option of schema.allOf) validateSchema(value, option, path, root, errors);
+    }
+
+    const type = typeOf(value);
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+        }
+        for (const [key, propValue] of Object.entries(value)) {
+            if (properties[key]) {
+                validateSchema(propValue, properties[key], `${path}.${key}`, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateSchema(propValue, schema.additionalProperties, `${path}.${key}`, root, errors);
+            }
+        }
+    } else if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`, root, errors));
+        }
+    } else if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        if (schema.pattern) {
+            try {
+                if (!new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match pattern ${schema.pattern}`);
+            } catch {
+                // некорректный pattern в схеме клиента — не проверяем
+            }
+        }
+    } else if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+}
+
+/**
+ * Проверяет текст ответа на соответствие формату. Возвращает { text, errors }:
+ * text — извлечённый JSON без обёртки, errors — список проблем (пустой, если всё в порядке).
+ */
+export function validateStructuredOutput(content, format) {
+    const extracted = extractJson(content);
+    if (extracted.error) return { text: content, errors: [extracted.error] };
+
+    const errors = [];
+    if (format.type === 'json_object') {
+        if (typeOf(extracted.value) !== 'object') errors.push(`$: expected a JSON object, got ${typeOf(extracted.value)}`);
+    } else {
+        validateSchema(extracted.value, format.schema, '$', format.schema, errors);
+    }
+    return { text: extracted.text, errors };
+}
+
+function buildRepairPrompt(errors) {
+    return 'Your previous answer does not satisfy the required JSON format:\n' +
+        errors.map(error => `- ${error}`).join('\n') +
+        '\n\nRespond again with ONLY the corrected JSON. No markdown fences, no explanations.';
+}
+
+function sumUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+    const sum = { ...total };
+    for (const [key, value] of Object.entries(usage)) {
+        if (typeof value === 'number') sum[key] = (sum[key] || 0) + value;
+    }
+    return sum;
+}
+
+// ─── Sender ──────────────────────────────────────────────────────────────────
+
+/**
+ * Возвращает функцию с сигнатурой sendMessage, которая добавляет инструкцию формата,
+ * проверяет ответ и при ошибках переспрашивает модель в том же чате.
+ * Стриминг буферизуется: onChunk получает уже проверенный JSON одним куском. Если ответ не прошёл
+ * проверку и после всех повторов, возвращается { error } — как при любой другой ошибке генерации.
+ * Если ответ — вызов инструмента (isToolCall), он возвращается без проверки.
+ */
+export function createStructuredSender(format, { isToolCall = () => false, maxRetries = STRUCTURED_OUTPUT_MAX_RETRIES } = {}) {
+    return async (message, model, chatId = null, parentId = null, files = null, tools = null, toolChoice = null, systemMessage = null,
+        chatType = 't2t', size = null, waitForCompletion = true, retryCount = 0, onChunk = null, options = {}) => {
+        const formatSystemMessage = `${systemMessage || ''}${responseFormatToPrompt(format)}`.trim();
+        let result = await sendMessage(message, model, chatId, parentId, files, tools, toolChoice, formatSystemMessage, chatType, size, waitForCompletion, retryCount, null, options);
+        let usage = result.usage;
+
+        for (let attempt = 0; !result.error; attempt++) {
+            const content = result.choices?.[0]?.message?.content || '';
+            // Клиент отключился — переспрашивать некому.
+            if (result.aborted || isToolCall(content)) break;
+
+            const { text, errors } = validateStructuredOutput(content, format);
+            if (errors.length === 0) {
+                result.choices[0].message.content = text;
+                break;
+            }
+            if (attempt >= maxRetries) {
+                // Невалидный по формату ответ не выдаём за успешный — клиент получает ошибку
+                logWarn(`Ответ не соответствует response_format после ${attempt + 1} попыток: ${errors.join('; ')}`);
+                result = { ...result, error: `Ответ модели не соответствует response_format после ${attempt + 1} попыток: ${errors.join('; ')}` };
+                break;
+            }
+
+            logInfo(`Ответ не соответствует response_format (${errors.length} ошибок), повторный запрос ${attempt + 1}/${maxRetries}`);
+            result = await sendMessage(
+                buildRepairPrompt(errors), model, result.chatId, result.parentId || result.response_id,
+                null, tools, toolChoice, formatSystemMessage, chatType, size, waitForCompletion, 0, null, options
+            );
+            usage = sumUsage(usage, result.usage);
+        }
+
+        result.usage = usage;
+        if (result.error) return result;
+        const content = result.choices?.[0]?.message?.content;
+        if (onChunk && content) onChunk(content);
+        return result;
+    };
+}
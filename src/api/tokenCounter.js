@@ -0,0 +1,176 @@
+// tokenCounter.js — Локальный подсчёт токенов Qwen для usage, когда Qwen его не прислал.
+// Byte-level BPE по tokenizer.json Qwen2.5 из пакета @lenml/tokenizer-qwen2_5 (или по файлу
+// QWEN_TOKENIZER_FILE): для подсчёта достаточно правил слияния (model.merges). Если файл не
+// загрузился — оценка по тем же претокенам Qwen2 с поправкой на письменность.
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { logInfo, logWarn, logError } from '../logger/index.js';
+import { QWEN_TOKENIZER_FILE } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+
+const BUNDLED_TOKENIZER = '@lenml/tokenizer-qwen2_5/models/tokenizer.json';
+
+// Претокенизатор Qwen2 (без (?i:...) — в JS его нет, регистр сокращений перечислен явно)
+const PRETOKEN_PATTERN = /'(?:[sStTmMdD]|[rR][eE]|[vV][eE]|[lL][lL])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+// Служебные токены шаблона чата: <|im_start|>role\n ... <|im_end|>\n на сообщение и начало ответа
+const MESSAGE_OVERHEAD_TOKENS = 5;
+const REPLY_PRIMING_TOKENS = 3;
+// Длинные претокены (base64, хэши) не прогоняем через BPE: квадратичная сложность, а точность не нужна
+const MAX_BPE_PRETOKEN_LENGTH = 256;
+const BPE_CACHE_SIZE = 50_000;
+
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CYRILLIC_PATTERN = /\p{Script=Cyrillic}/u;
+
+let tokenizer; // undefined — не загружали, null — файла нет, иначе { ranks, byteMap, cache }
+
+// ─── BPE ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Байт -> символ юникода, как в GPT-2/Qwen: печатные байты остаются собой, остальные сдвигаются за 255.
+ */
+function buildByteMap() {
+    const map = new Array(256);
+    let shift = 0;
+    for (let byte = 0; byte < 256; byte++) {
+        const printable = (byte >= 33 && byte <= 126) || (byte >= 161 && byte <= 172) || byte >= 174;
+        map[byte] = String.fromCharCode(printable ? byte : 256 + shift++);
+    }
+    return map;
+}
+
+function resolveTokenizerPath() {
+    if (QWEN_TOKENIZER_FILE) return path.resolve(__dirname, '..', '..', QWEN_TOKENIZER_FILE);
+    return require.resolve(BUNDLED_TOKENIZER);
+}
+
+function loadTokenizer() {
+    if (tokenizer !== undefined) return tokenizer;
+    tokenizer = null;
+    const source = QWEN_TOKENIZER_FILE || BUNDLED_TOKENIZER;
+    try {
+        const merges = JSON.parse(fs.readFileSync(resolveTokenizerPath(), 'utf8')).model?.merges;
+        if (!Array.isArray(merges) || merges.length === 0) throw new Error('в файле нет model.merges');
+        // Правило — строка "a b" (старый формат) или пара ["a", "b"]
+        const ranks = new Map(merges.map((merge, rank) => [Array.isArray(merge) ? merge.join(' ') : merge, rank]));
+        tokenizer = { ranks, byteMap: buildByteMap(), cache: new Map() };
+        logInfo(`Токенизатор Qwen загружен: ${ranks.size} правил слияния`);
+    } catch (error) {
+        logError(`Не удалось загрузить токенизатор Qwen из ${source}`, error);
+        logWarn('usage без данных Qwen оценивается приближённо');
+    }
+    return tokenizer;
+}
+
+function bpeLength({ ranks, byteMap, cache }, pretoken) {
+    if (cache.has(pretoken)) return cache.get(pretoken);
+
+    let parts = Array.from(Buffer.from(pretoken, 'utf8'), byte => byteMap[byte]);
+    while (parts.length > 1) {
+        let best = -1;
+        let bestRank = Infinity;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const rank = ranks.get(`${parts[i]} ${parts[i + 1]}`);
+            if (rank !== undefined && rank < bestRank) {
+                best = i;
+                bestRank = rank;
+            }
+        }
+        if (best === -1) break;
+        // Сливаем все вхождения лучшей пары за проход, как в эталонной реализации
+        const [left, right] = [parts[best], parts[best + 1]];
+        const merged = [];
+        for (let i = 0; i < parts.length; i++) {
+            if (i < parts.length - 1 && parts[i] === left && parts[i + 1] === right) {
+                merged.push(left + right);
+                i++;
+            } else {
+                merged.push(parts[i]);
+            }
+        }
+        parts = merged;
+    }
+
+    if (cache.size >= BPE_CACHE_SIZE) cache.clear();
+    cache.set(pretoken, parts.length);
+    return parts.length;
+}
+
+// ─── Оценка без словаря ──────────────────────────────────────────────────────
+
+/**
+ * Приближённое число токенов претокена: иероглифы — ~1,5 символа, кириллица — ~3 символа,
+ * латиница — ~6 символов на токен (частые слова — один токен); цифры Qwen всегда режет по одной.
+ */
+function estimateLength(pretoken) {
+    const text = pretoken.trim();
+    if (text.length === 0 || /^\p{N}$/u.test(text)) return 1;
+    if (CJK_PATTERN.test(text)) return Math.ceil(Array.from(text).length / 1.5);
+    const charsPerToken = CYRILLIC_PATTERN.test(text) ? 3 : /\p{L}/u.test(text) ? 6 : 2;
+    return Math.ceil(text.length / charsPerToken);
+}
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Число токенов текста (без служебных токенов шаблона чата).
+ */
+export function countTokens(text) {
+    if (typeof text !== 'string' || text.length === 0) return 0;
+    const bpe = loadTokenizer();
+    let total = 0;
+    for (const [pretoken] of text.matchAll(PRETOKEN_PATTERN)) {
+        total += bpe && pretoken.length <= MAX_BPE_PRETOKEN_LENGTH ? bpeLength(bpe, pretoken) : estimateLength(pretoken);
+    }
+    return total;
+}
+
+/**
+ * Текст сообщения Qwen: строка или массив частей ({ type: 'text', text }); картинки и файлы не считаются.
+ */
+function messageText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map(item => (typeof item === 'string' ? item : typeof item?.text === 'string' ? item.text : '')).join('\n');
+}
+
+/**
+ * usage в формате OpenAI. Данные Qwen (input_tokens/output_tokens или prompt_tokens/completion_tokens)
+ * берутся как есть, если они ненулевые; иначе токены считаются локально по тексту запроса и ответа.
+ * prompt: { message, systemMessage, tools }, completion: { content, reasoning }.
+ */
+export function resolveUsage(upstream, prompt, completion) {
+    const upstreamPrompt = upstream?.prompt_tokens ?? upstream?.input_tokens ?? 0;
+    const upstreamCompletion = upstream?.completion_tokens ?? upstream?.output_tokens ?? 0;
+    if (upstreamPrompt > 0 || upstreamCompletion > 0) {
+        return {
+            prompt_tokens: upstreamPrompt,
+            completion_tokens: upstreamCompletion,
+            total_tokens: upstreamPrompt + upstreamCompletion,
+            estimated: false
+        };
+    }
+
+    const messages = [messageText(prompt.message), prompt.systemMessage || ''].filter(Boolean);
+    const promptTokens = messages.reduce((sum, text) => sum + countTokens(text) + MESSAGE_OVERHEAD_TOKENS, REPLY_PRIMING_TOKENS)
+        + (prompt.tools?.length ? countTokens(JSON.stringify(prompt.tools)) : 0);
+    const completionTokens = countTokens(completion.content || '') + countTokens(completion.reasoning || '');
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        estimated: true
+    };
+}
+
+/**
+ * Источник локального подсчёта для логов и админ-API: bpe (словарь Qwen) или heuristic.
+ */
+export function getTokenCounterMode() {
+    return loadTokenizer() ? 'bpe' : 'heuristic';
+}
@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logError } from '../logger/index.js';
+import { incCounter } from './metrics.js';
 import { SESSION_DIR, ACCOUNTS_DIR, RATE_LIMIT_HOURS } from '../config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -10,7 +11,7 @@ const SESSION_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR);
 const ACCOUNTS_PATH = path.join(SESSION_PATH, ACCOUNTS_DIR);
 const TOKENS_FILE = path.join(SESSION_PATH, 'tokens.json');
 
-let pointer = 0;
+let snapshot = null; // { mtimeMs, size, tokens } — кэш для планировщика аккаунтов
 
 function ensureSessionDir() {
     if (!fs.existsSync(SESSION_PATH)) fs.mkdirSync(SESSION_PATH, { recursive: true });
@@ -32,34 +33,111 @@ export function saveTokens(tokens) {
     ensureSessionDir();
     try {
         fs.writeFileSync(TOKENS_FILE, JSON.stringify(tokens, null, 2), 'utf8');
+        snapshot = null;
     } catch (e) {
         logError('TokenManager: ошибка сохранения tokens.json', e);
     }
 }
 
-export async function getAvailableToken() {
-    const tokens = loadTokens();
-    const now = Date.now();
-    const valid = tokens.filter(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid);
-    if (!valid.length) return null;
-    const token = valid[pointer % valid.length];
-    pointer = (pointer + 1) % valid.length;
-    return token;
+/**
+ * Аккаунт участвует в ротации: не залимичен, не помечен невалидным и не отключён администратором.
+ */
+export function isTokenUsable(token, now = Date.now()) {
+    return Boolean(token) && (!token.resetAt || new Date(token.resetAt).getTime() <= now) && !token.invalid && !token.disabled;
+}
+
+/**
+ * Статус аккаунта для админ-API и метрик: DISABLED | INVALID | WAIT (rate-limit) | OK.
+ */
+export function getTokenStatus(token, now = Date.now()) {
+    if (token.disabled) return 'DISABLED';
+    if (token.invalid) return 'INVALID';
+    if (token.resetAt && new Date(token.resetAt).getTime() > now) return 'WAIT';
+    return 'OK';
+}
+
+/**
+ * Список аккаунтов только для чтения: tokens.json перечитывается, лишь когда файл изменился.
+ * Для горячего пути (выбор аккаунта на каждый запрос); изменять записи нельзя — используйте loadTokens.
+ */
+export function getTokensSnapshot() {
+    let stat;
+    try {
+        stat = fs.statSync(TOKENS_FILE);
+    } catch {
+        return [];
+    }
+    if (!snapshot || snapshot.mtimeMs !== stat.mtimeMs || snapshot.size !== stat.size) {
+        snapshot = { mtimeMs: stat.mtimeMs, size: stat.size, tokens: loadTokens() };
+    }
+    return snapshot.tokens;
+}
+
+/**
+ * Токен конкретного аккаунта, если он не залимичен и не помечен невалидным; иначе null.
+ * Берётся из снимка getTokensSnapshot — запись только для чтения.
+ */
+export function getUsableTokenById(id) {
+    const token = getTokensSnapshot().find(t => t.id === id);
+    return isTokenUsable(token) ? token : null;
 }
 
 export function hasValidTokens() {
     const tokens = loadTokens();
     const now = Date.now();
-    return tokens.some(t => (!t.resetAt || new Date(t.resetAt).getTime() <= now) && !t.invalid);
+    return tokens.some(t => isTokenUsable(t, now));
 }
 
 export function markRateLimited(id, hours = RATE_LIMIT_HOURS) {
     const tokens = loadTokens();
     const idx = tokens.findIndex(t => t.id === id);
     if (idx !== -1) {
+        const wasLimited = Boolean(tokens[idx].resetAt) && new Date(tokens[idx].resetAt).getTime() > Date.now();
         tokens[idx].resetAt = new Date(Date.now() + hours * 3600 * 1000).toISOString();
         saveTokens(tokens);
+        if (!wasLimited) incCounter('account_rate_limited_total', { account: id });
+    }
+}
+
+/**
+ * Добавляет аккаунт по готовому токену: запись в tokens.json и token.txt в каталоге аккаунта.
+ * meta — необязательные { label, note } для оператора.
+ */
+export function addToken(id, token, meta = {}) {
+    const tokens = loadTokens();
+    const accountDir = path.join(ACCOUNTS_PATH, id);
+    if (!fs.existsSync(accountDir)) fs.mkdirSync(accountDir, { recursive: true });
+    fs.writeFileSync(path.join(accountDir, 'token.txt'), token, 'utf8');
+
+    const entry = { id, token, resetAt: null, expiresAt: expiryField(token) };
+    if (meta.label) entry.label = meta.label;
+    if (meta.note) entry.note = meta.note;
+    tokens.push(entry);
+    saveTokens(tokens);
+    return entry;
+}
+
+/**
+ * Обновляет настройки аккаунта: label, note и параметры планировщика (weight, maxConcurrency,
+ * maxRpm, models). undefined — поле не меняется, null или пустая строка — удаляется.
+ */
+export function updateTokenMeta(id, fields) {
+    const tokens = loadTokens();
+    const idx = tokens.findIndex(t => t.id === id);
+    if (idx === -1) return null;
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        if (value === null || value === '') delete tokens[idx][key];
+        else tokens[idx][key] = value;
     }
+    saveTokens(tokens);
+    return tokens[idx];
+}
+
+export function setDisabled(id, disabled) {
+    const tokens = loadTokens();
+    const idx = tokens.findIndex(t => t.id === id);
+    if (idx !== -1) { tokens[idx].disabled = Boolean(disabled); saveTokens(tokens); }
 }
 
 export function removeToken(id) {
@@ -80,11 +158,74 @@ export function markValid(id, newToken) {
     if (idx !== -1) {
         tokens[idx].invalid = false;
         tokens[idx].resetAt = null;
-        if (newToken) tokens[idx].token = newToken;
+        if (newToken) {
+            tokens[idx].token = newToken;
+            tokens[idx].expiresAt = expiryField(newToken);
+        }
         saveTokens(tokens);
     }
 }
 
+/**
+ * Замена токена аккаунта обновлённым (фоновое обновление по cookies): tokens.json и token.txt.
+ * Пометка invalid снимается, ожидание сброса rate-limit сохраняется.
+ */
+export function updateToken(id, token) {
+    const tokens = loadTokens();
+    const idx = tokens.findIndex(t => t.id === id);
+    if (idx === -1) return null;
+    const accountDir = path.join(ACCOUNTS_PATH, id);
+    if (!fs.existsSync(accountDir)) fs.mkdirSync(accountDir, { recursive: true });
+    fs.writeFileSync(path.join(accountDir, 'token.txt'), token, 'utf8');
+
+    Object.assign(tokens[idx], { token, expiresAt: expiryField(token), invalid: false });
+    saveTokens(tokens);
+    return tokens[idx];
+}
+
 export function listTokens() {
     return loadTokens();
 }
+
+// ─── Срок действия токена ────────────────────────────────────────────────────
+
+/**
+ * Время истечения JWT (мс) из claim exp; null, если токен не JWT или exp нет.
+ */
+export function decodeTokenExpiry(token) {
+    try {
+        const payload = String(token || '').split('.')[1];
+        if (!payload) return null;
+        const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
+function expiryField(token) {
+    const expiresAt = decodeTokenExpiry(token);
+    return expiresAt ? new Date(expiresAt).toISOString() : null;
+}
+
+/**
+ * Срок действия токена аккаунта (мс). Для записей из старых версий без expiresAt — из самого JWT.
+ */
+export function getTokenExpiresAt(entry) {
+    if (!entry) return null;
+    return entry.expiresAt ? new Date(entry.expiresAt).getTime() : decodeTokenExpiry(entry.token);
+}
+
+/**
+ * «Истекает через» для консольных списков: "3 д 4 ч", "5 ч 10 мин", "истёк"; null, если срок неизвестен.
+ */
+export function formatExpiresIn(entry, now = Date.now()) {
+    const expiresAt = getTokenExpiresAt(entry);
+    if (!expiresAt) return null;
+    const left = expiresAt - now;
+    if (left <= 0) return 'истёк';
+    const hours = Math.floor(left / 3_600_000);
+    if (hours >= 24) return `${Math.floor(hours / 24)} д ${hours % 24} ч`;
+    const minutes = Math.floor((left % 3_600_000) / 60_000);
+    return hours > 0 ? `${hours} ч ${minutes} мин` : `${Math.max(minutes, 1)} мин`;
+}
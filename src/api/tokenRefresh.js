@@ -0,0 +1,150 @@
+// tokenRefresh.js — Фоновое обновление токенов аккаунтов до истечения срока (claim exp в JWT).
+// Свежий токен извлекается из Qwen Chat по cookies аккаунта (session/accounts/<id>/cookies.json)
+// в изолированном контексте браузера, чтобы не трогать сессию основной страницы.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getBrowserContext } from '../browser/browser.js';
+import { extractAuthToken } from './chat.js';
+import { listTokens, updateToken, getTokenExpiresAt, formatExpiresIn } from './tokenManager.js';
+import { logInfo, logWarn, logDebug } from '../logger/index.js';
+import {
+    SESSION_DIR, ACCOUNTS_DIR, CHAT_PAGE_URL,
+    TOKEN_REFRESH_INTERVAL_MINUTES, TOKEN_REFRESH_MARGIN_HOURS
+} from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNTS_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR);
+// Повторная попытка для аккаунта, у которого обновление не удалось (например, истекли и cookies)
+const FAILED_RETRY_MS = 6 * 3600 * 1000;
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+let timer = null;
+let running = false;
+const failedAt = new Map(); // id аккаунта -> время последней неудачной попытки
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function cookiesPath(id) {
+    return path.join(ACCOUNTS_PATH, id, 'cookies.json');
+}
+
+function loadAccountCookies(id) {
+    try {
+        const data = JSON.parse(fs.readFileSync(cookiesPath(id), 'utf8'));
+        const cookies = Array.isArray(data) ? data : data?.cookies;
+        return Array.isArray(cookies) && cookies.length > 0 ? cookies : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Cookie из выгрузки Puppeteer или расширения браузера (expirationDate, sameSite: "no_restriction")
+ * в формат setCookie Puppeteer.
+ */
+function toCookieParams(cookies) {
+    const defaultDomain = new URL(CHAT_PAGE_URL).hostname;
+    return cookies.filter(cookie => cookie?.name && cookie.value !== undefined).map(cookie => {
+        const expires = cookie.expires ?? cookie.expirationDate;
+        const sameSite = SAME_SITE[String(cookie.sameSite || '').toLowerCase()];
+        return {
+            name: cookie.name,
+            value: String(cookie.value),
+            domain: cookie.domain || defaultDomain,
+            path: cookie.path || '/',
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly),
+            ...(expires > 0 ? { expires } : {}),
+            ...(sameSite ? { sameSite } : {})
+        };
+    });
+}
+
+/**
+ * Аккаунт пора обновлять: срок токена известен и подходит к концу (или токен уже помечен
+ * недействительным), есть cookies, и недавно не было неудачной попытки.
+ */
+function needsRefresh(account, now) {
+    if (account.disabled) return false;
+    const expiresAt = getTokenExpiresAt(account);
+    const expiring = expiresAt !== null && expiresAt - now <= TOKEN_REFRESH_MARGIN_HOURS * 3600 * 1000;
+    if (!expiring && !account.invalid) return false;
+    if (now - (failedAt.get(account.id) || 0) < FAILED_RETRY_MS) return false;
+    return fs.existsSync(cookiesPath(account.id));
+}
+
+// ─── Обновление ──────────────────────────────────────────────────────────────
+
+/**
+ * Получает свежий токен аккаунта по его cookies. Обновлённые cookies сохраняются обратно.
+ * Возвращает { token, expiresAt } или { error }.
+ */
+export async function refreshAccountToken(account) {
+    const browserContext = getBrowserContext();
+    if (!browserContext) return { error: 'Браузер не инициализирован' };
+    const cookies = loadAccountCookies(account.id);
+    if (!cookies) return { error: 'Нет сохранённых cookies аккаунта' };
+
+    let isolated = null;
+    try {
+        isolated = await browserContext.browser().createBrowserContext();
+        await isolated.setCookie(...toCookieParams(cookies));
+        const token = await extractAuthToken(isolated, true, { remember: false });
+        if (!token) return { error: 'Qwen Chat не выдал токен — вероятно, cookies тоже истекли' };
+
+        fs.writeFileSync(cookiesPath(account.id), JSON.stringify(await isolated.cookies(), null, 2));
+        const updated = updateToken(account.id, token);
+        if (!updated) return { error: `Аккаунт ${account.id} удалён во время обновления` };
+        return { token, expiresAt: updated.expiresAt };
+    } catch (error) {
+        return { error: error.message };
+    } finally {
+        if (isolated) await isolated.close().catch(() => {});
+    }
+}
+
+/**
+ * Один проход фоновой задачи: обновляет токены, срок которых истекает в пределах TOKEN_REFRESH_MARGIN_HOURS.
+ */
+export async function refreshExpiringTokens() {
+    if (running) return 0;
+    running = true;
+    let refreshed = 0;
+    try {
+        const now = Date.now();
+        for (const account of listTokens().filter(t => needsRefresh(t, now))) {
+            const left = formatExpiresIn(account, now);
+            logInfo(`Обновление токена аккаунта ${account.id}${left ? ` (истекает через: ${left})` : ''}`);
+            const result = await refreshAccountToken(account);
+            if (result.error) {
+                failedAt.set(account.id, Date.now());
+                logWarn(`Не удалось обновить токен аккаунта ${account.id}: ${result.error}`);
+                continue;
+            }
+            failedAt.delete(account.id);
+            refreshed++;
+            logInfo(`Токен аккаунта ${account.id} обновлён, действует до ${result.expiresAt || 'неизвестно'}`);
+        }
+    } finally {
+        running = false;
+    }
+    if (refreshed === 0) logDebug('Фоновое обновление токенов: обновлять нечего');
+    return refreshed;
+}
+
+export function startTokenRefresh() {
+    if (timer || TOKEN_REFRESH_INTERVAL_MINUTES <= 0) return;
+    const run = () => refreshExpiringTokens().catch(error => logWarn(`Ошибка фонового обновления токенов: ${error.message}`));
+    timer = setInterval(run, TOKEN_REFRESH_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    logInfo(`Фоновое обновление токенов: проверка каждые ${TOKEN_REFRESH_INTERVAL_MINUTES} мин, за ${TOKEN_REFRESH_MARGIN_HOURS} ч до истечения`);
+    run();
+}
+
+export function stopTokenRefresh() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
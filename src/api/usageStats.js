@@ -0,0 +1,142 @@
+// usageStats.js — Накопленный расход токенов по API-ключам и аккаунтам Qwen (session/usage.json).
+// Пишется sendMessage после каждого успешного ответа; токены — от Qwen или локальная оценка
+// (tokenCounter.js). Запросы по ключам из Authorization.txt учитываются под ключом legacy,
+// без авторизации — под anonymous. Просмотр — GET /api/admin/usage.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logError } from '../logger/index.js';
+import { SESSION_DIR } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SESSION_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR);
+const USAGE_FILE = path.join(SESSION_PATH, 'usage.json');
+// Как и счётчики API-ключей, итоги пишутся на диск не чаще этого интервала
+const USAGE_FLUSH_MS = 5_000;
+
+let stats = null; // { keys: { id -> итоги }, accounts: { id -> итоги } }
+let flushTimer = null;
+
+// ─── Хранилище ───────────────────────────────────────────────────────────────
+
+function emptyTotals() {
+    return {
+        requests: 0, promptTokens: 0, completionTokens: 0, estimatedRequests: 0,
+        day: null, dayRequests: 0, dayPromptTokens: 0, dayCompletionTokens: 0, lastUsedAt: null
+    };
+}
+
+function loadStats() {
+    if (stats) return stats;
+    stats = { keys: {}, accounts: {} };
+    try {
+        if (fs.existsSync(USAGE_FILE)) {
+            const data = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+            stats = { keys: data.keys || {}, accounts: data.accounts || {} };
+        }
+    } catch (error) {
+        logError('Ошибка при загрузке статистики использования', error);
+    }
+    return stats;
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flushUsageStats();
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+}
+
+/**
+ * Записывает итоги в usage.json (вызывается и при остановке сервера).
+ */
+export function flushUsageStats() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    if (!stats) return;
+    try {
+        if (!fs.existsSync(SESSION_PATH)) fs.mkdirSync(SESSION_PATH, { recursive: true });
+        fs.writeFileSync(USAGE_FILE, JSON.stringify(stats, null, 2), 'utf8');
+    } catch (error) {
+        logError('Ошибка при сохранении статистики использования', error);
+    }
+}
+
+// ─── Учёт ────────────────────────────────────────────────────────────────────
+
+// Сутки считаются по UTC, как и квоты API-ключей
+function dayKey(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function addUsage(group, id, usage, estimated, now) {
+    const totals = { ...emptyTotals(), ...group[id] };
+    const today = dayKey(now);
+    if (totals.day !== today) Object.assign(totals, { day: today, dayRequests: 0, dayPromptTokens: 0, dayCompletionTokens: 0 });
+
+    totals.requests++;
+    totals.promptTokens += usage.prompt_tokens;
+    totals.completionTokens += usage.completion_tokens;
+    if (estimated) totals.estimatedRequests++;
+    totals.dayRequests++;
+    totals.dayPromptTokens += usage.prompt_tokens;
+    totals.dayCompletionTokens += usage.completion_tokens;
+    totals.lastUsedAt = new Date(now).toISOString();
+    group[id] = totals;
+}
+
+/**
+ * Учитывает один ответ Qwen: usage в формате OpenAI, estimated — токены посчитаны локально.
+ */
+export function recordUsage({ keyId, accountId, usage, estimated = false }, now = Date.now()) {
+    const { keys, accounts } = loadStats();
+    addUsage(keys, keyId || 'anonymous', usage, estimated, now);
+    if (accountId) addUsage(accounts, accountId, usage, estimated, now);
+    scheduleFlush();
+}
+
+function describeTotals(id, totals, now) {
+    const current = { ...emptyTotals(), ...totals };
+    if (current.day !== dayKey(now)) Object.assign(current, { day: dayKey(now), dayRequests: 0, dayPromptTokens: 0, dayCompletionTokens: 0 });
+    return {
+        id,
+        ...current,
+        totalTokens: current.promptTokens + current.completionTokens,
+        dayTotalTokens: current.dayPromptTokens + current.dayCompletionTokens
+    };
+}
+
+/**
+ * Итоги по ключам и аккаунтам; суточные счётчики обнуляются со сменой дня.
+ * filter: { key?, account? } — только указанный ключ или аккаунт.
+ */
+export function getUsageStats(filter = {}, now = Date.now()) {
+    const { keys, accounts } = loadStats();
+    const pick = (group, id) => Object.entries(group)
+        .filter(([entryId]) => !id || entryId === id)
+        .map(([entryId, totals]) => describeTotals(entryId, totals, now));
+    return {
+        keys: filter.account ? [] : pick(keys, filter.key),
+        accounts: filter.key ? [] : pick(accounts, filter.account)
+    };
+}
+
+/**
+ * Обнуляет итоги ключа или аккаунта; без аргументов — все.
+ */
+export function resetUsageStats({ key, account } = {}) {
+    const { keys, accounts } = loadStats();
+    if (!key && !account) {
+        stats = { keys: {}, accounts: {} };
+    } else {
+        if (key) delete keys[key];
+        if (account) delete accounts[account];
+    }
+    flushUsageStats();
+}
@@ -13,6 +13,7 @@ const QWEN_BASE_URL = process.env.QWEN_BASE_URL || 'https://chat.qwen.ai';
 
 export const CHAT_API_URL = process.env.CHAT_API_URL || `${QWEN_BASE_URL}/api/v2/chat/completions`;
 export const CREATE_CHAT_URL = process.env.CREATE_CHAT_URL || `${QWEN_BASE_URL}/api/v2/chats/new`;
+export const CHAT_STOP_URL = process.env.CHAT_STOP_URL || `${QWEN_BASE_URL}/api/v2/chat/completions/stop`;
 export const CHAT_PAGE_URL = process.env.CHAT_PAGE_URL || `${QWEN_BASE_URL}/`;
 export const TASK_STATUS_URL = process.env.TASK_STATUS_URL || `${QWEN_BASE_URL}/api/v1/tasks/status`;
 export const STS_TOKEN_API_URL = process.env.STS_TOKEN_API_URL || `${QWEN_BASE_URL}/api/v1/files/getstsToken`;
@@ -33,14 +34,43 @@ export const MAX_HISTORY_LENGTH = Number(process.env.MAX_HISTORY_LENGTH) || 100;
 export const MAX_RETRY_COUNT = Number(process.env.MAX_RETRY_COUNT) || 3;
 export const TASK_POLL_MAX_ATTEMPTS = Number(process.env.TASK_POLL_MAX_ATTEMPTS) || 90;
 export const TASK_POLL_INTERVAL = Number(process.env.TASK_POLL_INTERVAL) || 2_000;
+// Максимум вариантов (prompt × n) в одном запросе /completions — каждый идёт отдельным запросом к Qwen.
+export const MAX_COMPLETION_CHOICES = Number(process.env.MAX_COMPLETION_CHOICES) || 8;
+// Сколько раз переспрашивать модель, если ответ не прошёл проверку response_format (0 — не переспрашивать).
+export const STRUCTURED_OUTPUT_MAX_RETRIES = Number(process.env.STRUCTURED_OUTPUT_MAX_RETRIES ?? 2);
 // Фолбэк-длительность блокировки токена по rate-limit (часы), когда Qwen не прислал точное значение в ответе.
 export const RATE_LIMIT_HOURS = Number(process.env.QWEN_RATELIMIT_HOURS) || 24;
+// Фоновое обновление токенов по cookies аккаунта: период проверки (мин, 0 — отключено)
+// и за сколько часов до истечения JWT (claim exp) получать новый токен.
+export const TOKEN_REFRESH_INTERVAL_MINUTES = Number(process.env.TOKEN_REFRESH_INTERVAL_MINUTES ?? 30);
+export const TOKEN_REFRESH_MARGIN_HOURS = Number(process.env.TOKEN_REFRESH_MARGIN_HOURS) || 24;
+// Планировщик аккаунтов: одновременных запросов и запросов в минуту на аккаунт (0 — без ограничения),
+// сколько запрос ждёт свободный аккаунт, если все заняты (мс). Для отдельного аккаунта
+// значения переопределяются полями maxConcurrency / maxRpm в tokens.json.
+export const ACCOUNT_MAX_CONCURRENCY = Number(process.env.ACCOUNT_MAX_CONCURRENCY ?? 2);
+export const ACCOUNT_MAX_RPM = Number(process.env.ACCOUNT_MAX_RPM ?? 0);
+export const ACCOUNT_QUEUE_TIMEOUT = Number(process.env.ACCOUNT_QUEUE_TIMEOUT) || 60_000;
+// Общая очередь генерирующих запросов: одновременно обрабатываемых (0 — по суммарному лимиту аккаунтов),
+// максимальная глубина очереди и сколько запрос в ней ждёт (мс) до ответа 503.
+export const REQUEST_MAX_ACTIVE = Number(process.env.REQUEST_MAX_ACTIVE ?? 0);
+export const REQUEST_QUEUE_MAX_DEPTH = Number(process.env.REQUEST_QUEUE_MAX_DEPTH ?? 100);
+export const REQUEST_QUEUE_TIMEOUT = Number(process.env.REQUEST_QUEUE_TIMEOUT) || 30_000;
+// Приоритет ключей прокси в очереди: "ключ:high,ключ2:low" (high | normal | low, по умолчанию normal).
+export const API_KEY_PRIORITIES = process.env.API_KEY_PRIORITIES || '';
+// Сколько дней хранить привязку Qwen-чата к аккаунту-владельцу с момента последнего сообщения.
+export const CHAT_AFFINITY_TTL_DAYS = Number(process.env.CHAT_AFFINITY_TTL_DAYS) || 30;
+// Хранилище маппингов сессий Open WebUI (chat_xxx -> Qwen chatId): json | sqlite | memory.
+export const SESSION_STORE_BACKEND = (process.env.SESSION_STORE_BACKEND || 'json').toLowerCase();
+// Сколько дней хранить маппинг chat_xxx -> Qwen chatId с момента последнего использования (чтение тоже продлевает срок).
+export const SESSION_STORE_TTL_DAYS = Number(process.env.SESSION_STORE_TTL_DAYS) || 30;
 
 // ─── Пути (относительно корня проекта) ───────────────────────────────────────
 export const SESSION_DIR = process.env.SESSION_DIR || 'session';
 export const ACCOUNTS_DIR = 'accounts';
 export const UPLOADS_DIR = process.env.UPLOADS_DIR || 'uploads';
 export const LOGS_DIR = process.env.LOGS_DIR || 'logs';
+// Свой tokenizer.json (Hugging Face) для подсчёта токенов; пустой — Qwen2.5 из @lenml/tokenizer-qwen2_5.
+export const QWEN_TOKENIZER_FILE = process.env.QWEN_TOKENIZER_FILE || '';
 
 // ─── Браузер ─────────────────────────────────────────────────────────────────
 export const VIEWPORT_WIDTH = Number(process.env.VIEWPORT_WIDTH) || 1920;
@@ -52,8 +82,23 @@ export const PORT = Number(process.env.PORT) || 3264;
 export const HOST = process.env.HOST || '0.0.0.0';
 export const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'qwen3.7-max';
 export const ALLOW_UNSCOPED_SESSION_CHAT_RESTORE = toBoolean(process.env.ALLOW_UNSCOPED_SESSION_CHAT_RESTORE);
+// Ключ админ-API (/api/admin/*), отдельный от ключей Authorization.txt. Пустой — доступ только по
+// управляемым API-ключам с областью admin (session/api-keys.json), а без них админ-API отключено.
+export const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+// Ключ для GET /metrics (Authorization: Bearer). Пустой — подходят ключ админ-API и ключи прокси.
+export const METRICS_API_KEY = process.env.METRICS_API_KEY || '';
+// Отдавать /metrics без авторизации (только если METRICS_API_KEY не задан).
+export const METRICS_PUBLIC = toBoolean(process.env.METRICS_PUBLIC);
+// Аккаунты для импорта при старте без браузера (токены через запятую/перевод строки или JSON-массив).
+export const QWEN_TOKENS = process.env.QWEN_TOKENS || '';
 
 // ─── Логирование ─────────────────────────────────────────────────────────────
 export const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// Формат логов: text (по умолчанию) | json — JSON-строки с requestId, accountId, model, chatId, latencyMs.
+export const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
+// Что маскировать в логах: jwt, sts, keys, email, prompt (тексты сообщений) через запятую; none — ничего.
+export const LOG_REDACT = process.env.LOG_REDACT || 'jwt,sts,keys,email';
+// Режим приватности: вместо текстов сообщений в логах только их sha256 и длина.
+export const LOG_PRIVACY_MODE = toBoolean(process.env.LOG_PRIVACY_MODE);
 export const LOG_MAX_SIZE = Number(process.env.LOG_MAX_SIZE) || 5_242_880; // 5 MB
 export const LOG_MAX_FILES = Number(process.env.LOG_MAX_FILES) || 5;
@@ -3,7 +3,9 @@ import morgan from 'morgan';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { LOG_LEVEL, LOG_MAX_SIZE, LOG_MAX_FILES, LOGS_DIR } from '../config.js';
+import { getRequestContext } from './requestContext.js';
+import { redactText, previewText, addKnownSecrets } from './redaction.js';
+import { LOG_LEVEL, LOG_FORMAT, LOG_MAX_SIZE, LOG_MAX_FILES, LOGS_DIR } from '../config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -12,17 +14,46 @@ if (!fs.existsSync(LOG_DIR)) {
     fs.mkdirSync(LOG_DIR, { recursive: true });
 }
 
-const { combine, timestamp, printf, colorize } = winston.format;
+const { combine, timestamp, printf, colorize, json } = winston.format;
 
-const consoleFormat = combine(
+// Маскирование секретов и текстов сообщений (redaction.js) — до записи в любой транспорт
+const redactSecrets = winston.format(info => {
+    info.message = redactText(info.message);
+    if (info.stack) info.stack = redactText(info.stack);
+    return info;
+});
+
+// Поля контекста запроса (X-Request-Id, аккаунт, модель, чат) и время с начала запроса
+const requestFields = winston.format(info => {
+    const context = getRequestContext();
+    if (!context) return info;
+    info.requestId = context.requestId;
+    for (const key of ['accountId', 'model', 'chatId']) {
+        if (context[key]) info[key] = context[key];
+    }
+    info.latencyMs = Date.now() - context.startedAt;
+    return info;
+});
+
+const formatLine = ({ level, message, timestamp, requestId, stack }) =>
+    `${timestamp} [${level}]${requestId ? ` [${requestId}]` : ''}: ${message}${stack ? `\n${stack}` : ''}`;
+
+// LOG_FORMAT=json — одна JSON-запись на строку для сборщиков логов (Loki, ELK и т.п.)
+const jsonFormat = combine(redactSecrets(), requestFields(), timestamp(), json());
+
+const consoleFormat = LOG_FORMAT === 'json' ? jsonFormat : combine(
+    redactSecrets(),
+    requestFields(),
     colorize({ all: true }),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    printf(({ level, message, timestamp }) => `${timestamp} [${level}]: ${message}`)
+    printf(formatLine)
 );
 
-const fileFormat = combine(
+const fileFormat = LOG_FORMAT === 'json' ? jsonFormat : combine(
+    redactSecrets(),
+    requestFields(),
     timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    printf(({ level, message, timestamp }) => `${timestamp} [${level}]: ${message}`)
+    printf(formatLine)
 );
 
 const customLevels = {
@@ -75,8 +106,7 @@ export const logHttpRequest = httpLogger;
 export const logInfo = (message) => logger.info(message);
 export const logError = (message, error) => {
     if (error) {
-        logger.error(`${message}: ${error.message}`);
-        logger.error(error.stack);
+        logger.error(`${message}: ${error.message}`, { stack: error.stack });
     } else {
         logger.error(message);
     }
@@ -85,5 +115,6 @@ export const logWarn = (message) => logger.warn(message);
 export const logDebug = (message) => logger.debug(message);
 export const logRaw = (message) => logger.raw(message);
 export const logHttp = (message) => logger.http(message);
+export { previewText, addKnownSecrets };
 
 export default { logHttpRequest, logInfo, logError, logWarn, logDebug, logRaw, logHttp };
@@ -0,0 +1,100 @@
+// redaction.js — Маскирование секретов и текстов запросов перед записью в логи.
+// Правила (LOG_REDACT): jwt — токены Qwen, sts — учётные данные OSS, keys — Bearer, API-ключи и ?key=
+// в URL, email — адреса почты, prompt — тексты сообщений (в JSON-дампах и через previewText).
+// Режим приватности (LOG_PRIVACY_MODE) вместо текстов пишет только их sha256 и длину.
+
+import crypto from 'crypto';
+import { LOG_REDACT, LOG_PRIVACY_MODE, ADMIN_API_KEY, METRICS_API_KEY } from '../config.js';
+
+export const REDACTION_RULES = ['jwt', 'sts', 'keys', 'email', 'prompt'];
+
+// Поля JSON с текстом сообщений: запрос клиента, payload Qwen и его ответы (message — нет: это ошибки)
+const PROMPT_FIELDS = ['content', 'text', 'prompt', 'input', 'system', 'system_message', 'instructions', 'suffix', 'reasoning_content'];
+const STS_FIELDS = ['access_key_id', 'access_key_secret', 'security_token', 'accessKeyId', 'accessKeySecret', 'securityToken', 'stsToken'];
+
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g;
+const STS_PATTERN = new RegExp(`("?(?:${STS_FIELDS.join('|')})"?\\s*[:=]\\s*"?)[^"\\s,}]+`, 'g');
+const BEARER_PATTERN = /(Bearer\s+)[^\s"',]+/gi;
+const API_KEY_PATTERN = /\b(?:sk|fq)-[A-Za-z0-9_-]{16,}/g;
+// Ключ прокси в query: Gemini-клиенты передают его как ?key=... (попадает в URL строки morgan)
+const QUERY_KEY_PATTERN = /([?&]key=)[^&\s"']+/gi;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const MASKED_PATTERN = /^\[(?:скрыто|sha256):[^\]]*\]$/;
+const PROMPT_PATTERN = new RegExp(`("(?:${PROMPT_FIELDS.join('|')})"\\s*:\\s*)"((?:[^"\\\\]|\\\\.)*)"`, 'g');
+
+const activeRules = new Set(
+    LOG_REDACT.toLowerCase() === 'none'
+        ? []
+        : LOG_REDACT.split(',').map(rule => rule.trim().toLowerCase()).filter(rule => REDACTION_RULES.includes(rule))
+);
+if (LOG_PRIVACY_MODE) activeRules.add('prompt');
+
+// Секреты (правило keys) маскируются целиком, в каком бы виде ни попали в лог: ключи из конфигурации,
+// а также ключи прокси из Authorization.txt и управляемые ключи — по мере того, как они становятся известны
+const MIN_SECRET_LENGTH = 8;
+const knownSecrets = new Set([ADMIN_API_KEY, METRICS_API_KEY].filter(secret => secret && secret.length >= MIN_SECRET_LENGTH));
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function decodeJsonString(raw) {
+    try {
+        return JSON.parse(`"${raw}"`);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Замена текста сообщения: длина, а в режиме приватности — ещё и короткий sha256,
+ * по которому одинаковые запросы можно сопоставить, не видя их содержимого.
+ */
+function maskText(text) {
+    if (!LOG_PRIVACY_MODE) return `[скрыто: ${text.length} симв.]`;
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+    return `[sha256:${hash}, ${text.length} симв.]`;
+}
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Добавляет значения к маскируемым секретам: ключи Authorization.txt (при чтении файла)
+ * и управляемые API-ключи (при создании и успешной авторизации — хранятся только их хэши).
+ */
+export function addKnownSecrets(secrets) {
+    for (const secret of secrets) {
+        if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) knownSecrets.add(secret);
+    }
+}
+
+/**
+ * Применяет включённые правила к строке лога.
+ */
+export function redactText(text) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+    let result = text;
+    if (activeRules.has('prompt')) {
+        // Консольный транспорт форматирует запись повторно — уже замаскированное не трогаем
+        result = result.replace(PROMPT_PATTERN, (match, prefix, raw) => (MASKED_PATTERN.test(raw)
+            ? match
+            : `${prefix}"${maskText(decodeJsonString(raw))}"`));
+    }
+    if (activeRules.has('jwt')) result = result.replace(JWT_PATTERN, '[скрыто:jwt]');
+    if (activeRules.has('sts')) result = result.replace(STS_PATTERN, '$1[скрыто:sts]');
+    if (activeRules.has('keys')) {
+        for (const secret of knownSecrets) result = result.split(secret).join('[скрыто:key]');
+        result = result.replace(BEARER_PATTERN, '$1[скрыто:key]').replace(API_KEY_PATTERN, '[скрыто:key]')
+            .replace(QUERY_KEY_PATTERN, '$1[скрыто:key]');
+    }
+    if (activeRules.has('email')) result = result.replace(EMAIL_PATTERN, '[скрыто:email]');
+    return result;
+}
+
+/**
+ * Фрагмент пользовательского текста для лога (System message, промпт картинки и т.п.):
+ * первые maxLength символов или, при правиле prompt, только длина (и хэш в режиме приватности).
+ */
+export function previewText(text, maxLength = 100) {
+    const value = String(text ?? '');
+    if (activeRules.has('prompt')) return maskText(value);
+    return value.length > maxLength ? `${value.substring(0, maxLength)}...` : value;
+}
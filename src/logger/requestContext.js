@@ -0,0 +1,52 @@
+// requestContext.js — Контекст HTTP-запроса (AsyncLocalStorage) для корреляции логов.
+// Каждый запрос получает X-Request-Id (из заголовка клиента или новый), он попадает во все
+// записи логгера, в заголовок ответа и в тела ответов с ошибкой. По ходу обработки в контекст
+// добавляются ключ API (authMiddleware), аккаунт, модель и чат (sendMessage).
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// Принимаем id клиента, только если он похож на идентификатор: иначе им можно засорить логи
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Контекст текущего запроса: { requestId, startedAt, apiKeyId?, accountId?, model?, chatId? } или undefined
+ * вне запроса (фоновые задачи, CLI).
+ */
+export function getRequestContext() {
+    return storage.getStore();
+}
+
+/**
+ * Дополняет контекст текущего запроса; вне запроса ничего не делает.
+ */
+export function setRequestContext(fields) {
+    const context = storage.getStore();
+    if (!context) return;
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null) context[key] = value;
+    }
+}
+
+/**
+ * Express-middleware: ставится первым, чтобы контекст был у всех последующих обработчиков.
+ */
+export function requestIdMiddleware(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // id в теле ошибки — чтобы клиент мог сослаться на него, даже не видя заголовков
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !('requestId' in body)) {
+            return json({ ...body, requestId });
+        }
+        return json(body);
+    };
+
+    storage.run({ requestId, startedAt: Date.now() }, next);
+}
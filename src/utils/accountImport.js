@@ -0,0 +1,168 @@
+// accountImport.js — Импорт аккаунтов по готовому токену или выгрузке cookie, без запуска браузера.
+// Используется в scripts/auth.js (--import), админ-API (POST /api/admin/accounts) и при старте
+// сервера из переменной QWEN_TOKENS — для headless-серверов, где интерактивный вход невозможен.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { testToken } from '../api/chat.js';
+import { listTokens, addToken, markRateLimited } from '../api/tokenManager.js';
+import { logInfo, logWarn } from '../logger/index.js';
+import { SESSION_DIR, ACCOUNTS_DIR } from '../config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ACCOUNTS_PATH = path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR);
+
+export const ACCOUNT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/;
+const TOKEN_COOKIE = 'token';
+
+// ─── Разбор входных данных ───────────────────────────────────────────────────
+
+/**
+ * Список cookie из выгрузки (массив или storageState), если импорт идёт по cookie; иначе null.
+ */
+function cookiesFromInput(input) {
+    if (typeof input === 'string') {
+        if (!input.trim().startsWith('[') && !input.trim().startsWith('{')) return null;
+        try {
+            return cookiesFromInput(JSON.parse(input));
+        } catch {
+            return null;
+        }
+    }
+    if (Array.isArray(input)) return input;
+    return Array.isArray(input?.cookies) ? input.cookies : null;
+}
+
+function tokenFromCookies(cookies) {
+    const cookie = cookies.find(item => item && item.name === TOKEN_COOKIE && item.value);
+    return cookie ? String(cookie.value).trim() : null;
+}
+
+/**
+ * Достаёт токен из того, что может вставить пользователь: сам JWT, строка заголовка Cookie,
+ * JSON-выгрузка cookie из расширения браузера ([{ name, value }]), storageState Playwright
+ * ({ cookies: [...] }) или объект { token }. Возвращает null, если токен не найден.
+ */
+export function extractToken(input) {
+    if (!input) return null;
+
+    if (typeof input === 'string') {
+        const text = input.trim();
+        if (text.startsWith('[') || text.startsWith('{')) {
+            try {
+                return extractToken(JSON.parse(text));
+            } catch {
+                return null;
+            }
+        }
+        const cookie = text.split(';').map(part => part.trim()).find(part => part.startsWith(`${TOKEN_COOKIE}=`));
+        if (cookie) return extractToken(cookie.slice(TOKEN_COOKIE.length + 1));
+        const value = text.replace(/^Bearer\s+/i, '');
+        return JWT_PATTERN.test(value) ? value : null;
+    }
+
+    if (Array.isArray(input)) return tokenFromCookies(input);
+    if (typeof input === 'object') {
+        if (Array.isArray(input.cookies)) return tokenFromCookies(input.cookies);
+        if (input.token) return extractToken(String(input.token));
+    }
+    return null;
+}
+
+/**
+ * Разбирает список аккаунтов для массового импорта (QWEN_TOKENS, файл для --import):
+ * JSON-массив записей { token | cookies, id?, label?, note? } либо токены через запятую
+ * или перевод строки, каждый с необязательной меткой: "метка:токен".
+ */
+export function parseAccountList(text) {
+    const value = String(text || '').trim();
+    if (!value) return [];
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+        const data = JSON.parse(value);
+        // Одиночная выгрузка cookie — это один аккаунт, а не список
+        if (!Array.isArray(data) || data.every(item => item && 'name' in item && 'value' in item)) return [{ input: data }];
+        return data.filter(Boolean).map(item => (typeof item === 'string'
+            ? { input: item }
+            : { input: item.cookies ? item.cookies : item.token, id: item.id, label: item.label, note: item.note }));
+    }
+
+    return value.split(/[\n,]/).map(line => line.trim()).filter(Boolean).map(line => {
+        const separator = line.indexOf(':');
+        return separator > 0
+            ? { input: line.slice(separator + 1).trim(), label: line.slice(0, separator).trim() }
+            : { input: line };
+    });
+}
+
+function generateAccountId(tokens) {
+    const base = `acc_${Date.now()}`;
+    let id = base;
+    for (let n = 2; tokens.some(t => t.id === id); n++) id = `${base}_${n}`;
+    return id;
+}
+
+// ─── Импорт ──────────────────────────────────────────────────────────────────
+
+/**
+ * Добавляет аккаунт в tokens.json и session/accounts/<id>/token.txt.
+ * test — предварительная проверка токена запросом к Qwen (работает и до запуска браузера):
+ * отклонённый токен не добавляется, при rate-limit аккаунт добавляется с отметкой ожидания.
+ * Возвращает { account, test } или { error, status } (HTTP-код для админ-API).
+ */
+export async function importAccount({ input, id, label, note, test = true }) {
+    const token = extractToken(input);
+    if (!token) return { status: 400, error: 'Не удалось найти токен: ожидается JWT, заголовок Cookie или JSON-выгрузка cookie' };
+
+    const tokens = listTokens();
+    const accountId = id ? String(id) : generateAccountId(tokens);
+    if (!ACCOUNT_ID_PATTERN.test(accountId)) return { status: 400, error: 'id может содержать только латиницу, цифры, "_" и "-"' };
+    if (tokens.some(t => t.id === accountId)) return { status: 409, error: `Аккаунт ${accountId} уже существует` };
+    const duplicate = tokens.find(t => t.token === token);
+    if (duplicate) return { status: 409, error: `Этот токен уже добавлен как ${duplicate.id}` };
+
+    let result = null;
+    if (test) {
+        result = await testToken(token);
+        if (result === 'UNAUTHORIZED') return { status: 400, error: 'Qwen отклонил токен', test: result };
+        if (result === 'ERROR') logWarn(`Не удалось проверить токен аккаунта ${accountId}, он будет добавлен без проверки`);
+    }
+
+    const account = addToken(accountId, token, { label, note });
+    // По сохранённым cookies токен потом обновляется в фоне (tokenRefresh.js)
+    const cookies = cookiesFromInput(input);
+    if (cookies) fs.writeFileSync(path.join(ACCOUNTS_PATH, accountId, 'cookies.json'), JSON.stringify(cookies, null, 2));
+    if (result === 'RATELIMIT') markRateLimited(accountId);
+    logInfo(`Импортирован аккаунт ${accountId}${label ? ` (${label})` : ''}. Всего аккаунтов: ${tokens.length + 1}`);
+    return { account: listTokens().find(t => t.id === accountId) || account, test: result };
+}
+
+/**
+ * Импорт при старте сервера из QWEN_TOKENS. Уже добавленные токены молча пропускаются,
+ * поэтому переменную можно оставлять в окружении между перезапусками.
+ */
+export async function importAccountsFromEnv(value) {
+    let entries;
+    try {
+        entries = parseAccountList(value);
+    } catch (error) {
+        logWarn(`QWEN_TOKENS: некорректный JSON (${error.message})`);
+        return 0;
+    }
+
+    let imported = 0;
+    for (const entry of entries) {
+        const token = extractToken(entry.input);
+        if (token && listTokens().some(t => t.token === token)) continue;
+
+        const result = await importAccount(entry);
+        if (result.error) logWarn(`QWEN_TOKENS: аккаунт${entry.label ? ` ${entry.label}` : ''} не импортирован: ${result.error}`);
+        else imported++;
+    }
+    if (imported > 0) logInfo(`QWEN_TOKENS: импортировано аккаунтов: ${imported}`);
+    return imported;
+}
@@ -4,8 +4,8 @@ import { fileURLToPath } from 'url';
 
 import { initBrowser, shutdownBrowser, getBrowserContext } from '../browser/browser.js';
 import { extractAuthToken } from '../api/chat.js';
-import { loadTokens, saveTokens, markValid, removeToken } from '../api/tokenManager.js';
-import { loadAuthToken } from '../browser/session.js';
+import { loadTokens, addToken, updateToken, removeToken } from '../api/tokenManager.js';
+import { loadAuthToken, saveSession } from '../browser/session.js';
 import { logInfo, logError, logWarn } from '../logger/index.js';
 import { prompt } from './prompt.js';
 import { formatForgetMeAiWatermark } from './branding.js';
@@ -13,12 +13,6 @@ import { SESSION_DIR, ACCOUNTS_DIR } from '../config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-function ensureAccountDir(id) {
-    const accountDir = path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR, id);
-    if (!fs.existsSync(accountDir)) fs.mkdirSync(accountDir, { recursive: true });
-    return accountDir;
-}
-
 export async function addAccountInteractive() {
     logInfo('======================================================');
     logInfo('Добавление нового аккаунта Qwen');
@@ -46,17 +40,14 @@ export async function addAccountInteractive() {
         return null;
     }
 
-    await shutdownBrowser();
-
     const id = 'acc_' + Date.now();
-    ensureAccountDir(id);
-    fs.writeFileSync(path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR, id, 'token.txt'), token, 'utf8');
+    // cookies нужны фоновому обновлению токена (tokenRefresh.js)
+    await saveSession(ctx, id);
+    await shutdownBrowser();
 
-    const list = loadTokens();
-    list.push({ id, token, resetAt: null });
-    saveTokens(list);
+    addToken(id, token);
 
-    logInfo(`Аккаунт '${id}' добавлен. Всего аккаунтов: ${list.length}`);
+    logInfo(`Аккаунт '${id}' добавлен. Всего аккаунтов: ${loadTokens().length}`);
     logInfo('======================================================');
     return id;
 }
@@ -99,12 +90,12 @@ export async function reloginAccountInteractive() {
     if (!ok) { logError('Не удалось запустить браузер.'); return; }
 
     const token = await extractAuthToken(getBrowserContext(), true);
+    if (token) await saveSession(getBrowserContext(), account.id);
     await shutdownBrowser();
 
     if (!token) { logError('Не удалось извлечь токен.'); return; }
 
-    markValid(account.id, token);
-    fs.writeFileSync(path.resolve(__dirname, '..', '..', SESSION_DIR, ACCOUNTS_DIR, account.id, 'token.txt'), token, 'utf8');
+    updateToken(account.id, token);
     logInfo(`Токен обновлён для ${account.id}`);
 }
 